@@ -0,0 +1,70 @@
+// Check-in rules. The values here are the defaults of the check-in policy; admins can override them
+// globally (Settings) and editors per place (Place.checkinPolicy), see utils/checkinPolicy.
+
+const COOLDOWN_MODES = ['calendarDay', 'rolling', 'none'];
+
+function readNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// Allowed distance band (meters) from the place point, for places without a geofence (checkinArea)
+function getCheckinDistanceRange() {
+  return {
+    minDistance: readNumber('CHECKIN_MIN_DISTANCE_METERS', 10),
+    maxDistance: readNumber('CHECKIN_MAX_DISTANCE_METERS', 20)
+  };
+}
+
+// Default check-in policy: distance band, points per check-in, cooldown between check-ins at the same
+// place ("calendarDay" in the place's time zone, "rolling" hours or "none") and a per-user limit (0 = none)
+function getCheckinPolicyDefaults() {
+  const { minDistance, maxDistance } = getCheckinDistanceRange();
+  const cooldownMode = process.env.CHECKIN_COOLDOWN_MODE;
+  return {
+    minDistanceMeters: minDistance,
+    maxDistanceMeters: maxDistance,
+    points: readNumber('CHECKIN_POINTS', 10),
+    cooldownMode: COOLDOWN_MODES.includes(cooldownMode) ? cooldownMode : 'calendarDay',
+    cooldownHours: readNumber('CHECKIN_COOLDOWN_HOURS', 24),
+    maxCheckinsPerUser: readNumber('CHECKIN_MAX_PER_USER', 0)
+  };
+}
+
+// Limits for admin-defined check-in polygons
+function getGeofenceLimits() {
+  return {
+    maxAreaSqMeters: readNumber('GEOFENCE_MAX_AREA_SQ_METERS', 1000000),
+    maxVertices: readNumber('GEOFENCE_MAX_VERTICES', 1000)
+  };
+}
+
+// Spoofing risk scoring: score thresholds for holding/rejecting a check-in and the signal limits
+function getCheckinRiskSettings() {
+  return {
+    holdScore: readNumber('CHECKIN_RISK_HOLD_SCORE', 40),
+    rejectScore: readNumber('CHECKIN_RISK_REJECT_SCORE', 80),
+    maxTravelSpeedKmh: readNumber('CHECKIN_RISK_MAX_SPEED_KMH', 150),
+    maxAccuracyMeters: readNumber('CHECKIN_RISK_MAX_ACCURACY_METERS', 50),
+    repeatLookbackDays: readNumber('CHECKIN_RISK_REPEAT_LOOKBACK_DAYS', 30)
+  };
+}
+
+// Offline check-ins (POST /api/checkins/batch): how old a queued check-in may be, how many per request,
+// and how far ahead of the server clock a device may be
+function getOfflineCheckinSettings() {
+  return {
+    maxDelayHours: readNumber('CHECKIN_OFFLINE_MAX_DELAY_HOURS', 72),
+    maxBatchSize: readNumber('CHECKIN_OFFLINE_MAX_BATCH_SIZE', 50),
+    clockSkewSeconds: readNumber('CHECKIN_OFFLINE_CLOCK_SKEW_SECONDS', 300)
+  };
+}
+
+module.exports = {
+  COOLDOWN_MODES,
+  getCheckinDistanceRange,
+  getCheckinPolicyDefaults,
+  getGeofenceLimits,
+  getCheckinRiskSettings,
+  getOfflineCheckinSettings
+};
@@ -0,0 +1,31 @@
+// Content languages. Base fields (Place.name, Reward.description, ...) are written in the default locale;
+// other supported locales are stored as translations.
+
+function parseLocaleList(value) {
+  return (value || '')
+    .split(',')
+    .map(locale => locale.trim().toLowerCase().replace(/_/g, '-'))
+    .filter(Boolean);
+}
+
+function getDefaultLocale() {
+  return parseLocaleList(process.env.DEFAULT_LOCALE)[0] || 'en';
+}
+
+// Supported locales, default locale first
+function getSupportedLocales() {
+  const configured = parseLocaleList(process.env.SUPPORTED_LOCALES || 'en,de,fr,es,it');
+  const defaultLocale = getDefaultLocale();
+  return [defaultLocale, ...configured.filter(locale => locale !== defaultLocale)];
+}
+
+// Locales content can be translated into (everything but the default)
+function getTranslationLocales() {
+  return getSupportedLocales().slice(1);
+}
+
+module.exports = {
+  getDefaultLocale,
+  getSupportedLocales,
+  getTranslationLocales
+};
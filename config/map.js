@@ -0,0 +1,38 @@
+// Map and vector tile endpoint tuning
+
+function readNumber(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getMapClusterConfig() {
+  return {
+    // At this zoom and above places are returned individually
+    maxClusterZoom: readNumber('MAP_CLUSTER_MAX_ZOOM', 16),
+    // Cluster cell size in screen pixels (power of two keeps cells nested across zooms)
+    cellSize: readNumber('MAP_CLUSTER_CELL_SIZE', 64),
+    // Cap on individual places per response
+    maxPlaces: readNumber('MAP_MAX_PLACES', 1000)
+  };
+}
+
+function getTileConfig() {
+  return {
+    // Server-side tile cache (place tiles are also invalidated on edits)
+    cacheTtlSeconds: readNumber('TILE_CACHE_TTL_SECONDS', 300),
+    cacheMaxEntries: readNumber('TILE_CACHE_MAX_ENTRIES', 1000),
+    // Cap on place features per tile
+    maxFeatures: readNumber('TILE_MAX_FEATURES', 2000),
+    // How far back the check-in density layer looks
+    densityDays: readNumber('TILE_DENSITY_DAYS', 90),
+    // Finest density bins (a zoom 16 cell is ~600m at the equator) and the fewest distinct users a bin needs
+    // to be shown, so the public layer can't locate individual users' check-ins
+    densityMaxBinZoom: readNumber('TILE_DENSITY_MAX_BIN_ZOOM', 16),
+    densityMinUsers: readNumber('TILE_DENSITY_MIN_USERS', 3)
+  };
+}
+
+module.exports = {
+  getMapClusterConfig,
+  getTileConfig
+};
@@ -0,0 +1,43 @@
+// Budgets for 3D model uploads, tuned for mobile AR by default
+
+function readNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getModelBudgets() {
+  return {
+    maxFileSizeBytes: readNumber('MODEL_MAX_FILE_SIZE_MB', 25) * 1024 * 1024,
+    maxTriangles: readNumber('MODEL_MAX_TRIANGLES', 100000),
+    maxTextureSize: readNumber('MODEL_MAX_TEXTURE_SIZE', 2048),
+    maxTextures: readNumber('MODEL_MAX_TEXTURES', 16)
+  };
+}
+
+/**
+ * Check extracted model metadata against the budgets. Returns an error message or null.
+ * @param {Object|null} metadata - Result of inspectModel (null for passthrough formats)
+ * @param {ReturnType<typeof getModelBudgets>} budgets
+ * @returns {string|null}
+ */
+function checkModelBudgets(metadata, budgets) {
+  if (!metadata) return null;
+
+  if (metadata.triangleCount > budgets.maxTriangles) {
+    return `Model has ${metadata.triangleCount} triangles (max ${budgets.maxTriangles})`;
+  }
+  if (metadata.textures.length > budgets.maxTextures) {
+    return `Model has ${metadata.textures.length} textures (max ${budgets.maxTextures})`;
+  }
+  const oversized = metadata.textures.find(texture =>
+    texture.width > budgets.maxTextureSize || texture.height > budgets.maxTextureSize);
+  if (oversized) {
+    return `Texture ${oversized.index} is ${oversized.width}x${oversized.height} (max ${budgets.maxTextureSize}px per side)`;
+  }
+  return null;
+}
+
+module.exports = {
+  getModelBudgets,
+  checkModelBudgets
+};
@@ -0,0 +1,64 @@
+// Role and permission definitions used by requirePermission().
+// Permissions are "<resource>:<action>" strings; '*' grants everything.
+
+const PERMISSIONS = {
+  'places:write': 'Create, update and delete places',
+  'ar:write': 'Create, update and delete AR scenes and anchors',
+  'tours:write': 'Create, update and delete walking tours',
+  'rewards:write': 'Create, update and delete catalog rewards',
+  'reviews:moderate': 'Approve, hide and delete place reviews',
+  'checkins:review': 'Review check-ins held or rejected for spoofing risk',
+  'users:read': 'View other users\' points and reward history',
+  'users:manage': 'Unlock accounts and IP addresses',
+  'users:roles': 'Assign roles to users',
+  'points:manage': 'Adjust users\' points and reconcile balances with the rewards history',
+  'settings:write': 'Change global settings such as the default check-in policy'
+};
+
+const ROLES = {
+  user: [],
+  moderator: ['users:read', 'users:manage', 'reviews:moderate', 'checkins:review'],
+  editor: ['places:write', 'ar:write', 'tours:write'],
+  merchant: ['rewards:write'],
+  admin: ['*']
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+// Own keys only, so names like "constructor" or "__proto__" aren't mistaken for roles
+function isRole(role) {
+  return typeof role === 'string' && Object.hasOwn(ROLES, role);
+}
+
+function getRolePermissions(role) {
+  const granted = isRole(role) ? ROLES[role] : [];
+  return granted.includes('*') ? Object.keys(PERMISSIONS) : granted.slice();
+}
+
+function hasPermission(role, permission) {
+  const granted = isRole(role) ? ROLES[role] : [];
+  return granted.includes('*') || granted.includes(permission);
+}
+
+// Roles that must enrol in two-factor authentication before using their permissions
+function getTwoFactorRequiredRoles() {
+  return (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+}
+
+function isTwoFactorRequired(role) {
+  return getTwoFactorRequiredRoles().includes(role);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  isRole,
+  getRolePermissions,
+  hasPermission,
+  getTwoFactorRequiredRoles,
+  isTwoFactorRequired
+};
@@ -0,0 +1,22 @@
+// Assumptions and limits for POST /api/routes/plan
+
+function readNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getRoutePlannerSettings() {
+  return {
+    walkingSpeedMetersPerMinute: readNumber('ROUTE_WALKING_SPEED_M_PER_MIN', 80),
+    // Time spent at each stop (finding the spot, checking in, looking around)
+    stopDwellMinutes: readNumber('ROUTE_STOP_DWELL_MINUTES', 10),
+    maxBudgetMinutes: readNumber('ROUTE_MAX_BUDGET_MINUTES', 480),
+    maxStops: readNumber('ROUTE_MAX_STOPS', 25),
+    // Nearest places considered; bounds the planning work per request
+    maxCandidates: readNumber('ROUTE_MAX_CANDIDATES', 200)
+  };
+}
+
+module.exports = {
+  getRoutePlannerSettings
+};
@@ -0,0 +1,20 @@
+// Walking tour estimates and limits
+
+function readNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getTourSettings() {
+  return {
+    // Used to estimate a tour's duration when the editor doesn't set one
+    walkingSpeedMetersPerMinute: readNumber('TOUR_WALKING_SPEED_M_PER_MIN', 80),
+    stopDwellMinutes: readNumber('TOUR_STOP_DWELL_MINUTES', 10),
+    // Time a user has to visit every stop after starting, unless the tour sets its own
+    defaultTimeWindowHours: readNumber('TOUR_DEFAULT_TIME_WINDOW_HOURS', 24)
+  };
+}
+
+module.exports = {
+  getTourSettings
+};
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A geospatial anchor pose plus the content rendered at it
+const arAnchorSchema = new mongoose.Schema({
+  sceneId: { type: mongoose.Schema.Types.ObjectId, ref: 'ArScene', required: true },
+  // Copied from the scene so nearby queries don't need a join
+  placeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Place', required: true },
+  name: { type: String, trim: true, maxlength: 100 },
+  location: {
+    type: { type: String, enum: ['Point'], required: true, default: 'Point' },
+    coordinates: { type: [Number], required: true } // [lng, lat]
+  },
+  altitude: {
+    meters: { type: Number, default: 0 },
+    // wgs84: height above the ellipsoid; terrain/rooftop: height above the surface at that point
+    reference: { type: String, enum: ['wgs84', 'terrain', 'rooftop'], default: 'terrain' }
+  },
+  // Unit quaternion in east-up-south (EUS) frame; identity faces north
+  orientation: {
+    x: { type: Number, default: 0 },
+    y: { type: Number, default: 0 },
+    z: { type: Number, default: 0 },
+    w: { type: Number, default: 1 }
+  },
+  scale: {
+    x: { type: Number, min: 0, default: 1 },
+    y: { type: Number, min: 0, default: 1 },
+    z: { type: Number, min: 0, default: 1 }
+  },
+  content: {
+    type: { type: String, enum: ['model', 'image', 'text'], required: true },
+    // model (glb/gltf) or image URL
+    url: { type: String, trim: true },
+    // text label, or caption for model/image content
+    text: { type: String, maxlength: 500 }
+  },
+  // Overrides the scene visibility distance (meters)
+  visibilityDistance: { type: Number, min: 1, max: 5000, default: null },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+arAnchorSchema.index({ location: '2dsphere' });
+arAnchorSchema.index({ sceneId: 1 });
+arAnchorSchema.index({ placeId: 1 });
+
+module.exports = mongoose.model('ArAnchor', arAnchorSchema);
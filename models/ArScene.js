@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// A named group of AR anchors shown at a place (e.g. "Castle tour stop 1")
+const arSceneSchema = new mongoose.Schema({
+  placeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Place', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, maxlength: 1000 },
+  // Unpublished scenes are only visible to editors
+  isPublished: { type: Boolean, default: false },
+  // Default visibility (meters) for anchors that don't set their own
+  visibilityDistance: { type: Number, min: 1, max: 5000, default: 100 },
+  sortOrder: { type: Number, default: 0 }
+}, { timestamps: true });
+
+arSceneSchema.index({ placeId: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('ArScene', arSceneSchema);
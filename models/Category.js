@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Managed place category taxonomy; places reference categories by slug
+const categorySchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 50,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, maxlength: 500 },
+  icon: { type: String, trim: true, maxlength: 200 },
+  sortOrder: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+categorySchema.index({ sortOrder: 1, name: 1 });
+
+module.exports = mongoose.model('Category', categorySchema);
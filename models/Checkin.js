@@ -7,11 +7,59 @@ const checkinSchema = new mongoose.Schema({
     type: { type: String, enum: ['Point'], required: true, default: 'Point' },
     coordinates: { type: [Number], required: true } // [lng, lat]
   },
-  timestamp: { type: Date, required: true, default: Date.now }
+  timestamp: { type: Date, required: true, default: Date.now },
+  // Points the check-in is worth under the place's policy (awarded once accepted)
+  points: { type: Number, min: 0, default: 0 },
+  // Fix details reported by the device, when it sends them
+  device: {
+    accuracy: { type: Number, min: 0 }, // meters
+    altitude: { type: Number }, // meters
+    speed: { type: Number, min: 0 }, // m/s
+    mockLocation: { type: Boolean }
+  },
+  // Spoofing risk assessed when the check-in was made (see utils/checkinRisk)
+  risk: {
+    score: { type: Number, min: 0, max: 100, default: 0 },
+    signals: [{
+      _id: false,
+      code: { type: String, required: true },
+      weight: { type: Number, required: true },
+      detail: { type: String }
+    }],
+    action: { type: String, enum: ['allow', 'hold', 'reject'], default: 'allow' }
+  },
+  // Only accepted check-ins award points; held ones wait for a reviewer
+  status: { type: String, enum: ['accepted', 'held', 'rejected'], default: 'accepted' },
+  review: {
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decidedAt: { type: Date },
+    note: { type: String, maxlength: 500 }
+  },
+  // Set on check-ins captured offline and submitted later (timestamp is when the device recorded it)
+  offline: {
+    deviceKeyId: { type: mongoose.Schema.Types.ObjectId, ref: 'DeviceKey' },
+    clientRef: { type: String, maxlength: 100 },
+    submittedAt: { type: Date }
+  },
+  // Tombstone kept when the place is purged, so check-in history stays readable
+  placeSummary: {
+    name: { type: String },
+    coordinates: { type: [Number], default: undefined },
+    purgedAt: { type: Date }
+  }
 }, { timestamps: true });
 
 checkinSchema.index({ location: '2dsphere' });
 checkinSchema.index({ userId: 1, timestamp: -1 });
 checkinSchema.index({ placeId: 1, timestamp: -1 });
+checkinSchema.index({ status: 1, 'risk.score': -1 });
+// A queued check-in is stored once, however often the app resubmits it
+checkinSchema.index(
+  { userId: 1, 'offline.clientRef': 1 },
+  { unique: true, partialFilterExpression: { 'offline.clientRef': { $exists: true } } }
+);
+
+// Statuses that don't count as a visit. Check-ins saved before risk scoring have no status and count as accepted.
+checkinSchema.statics.UNCOUNTED_STATUSES = ['held', 'rejected'];
 
 module.exports = mongoose.model('Checkin', checkinSchema);
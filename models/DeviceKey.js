@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Per-device HMAC keys issued at login. The app signs check-ins captured offline with its key so the
+// recorded time and position can't be altered before they are submitted.
+const deviceKeySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Installation id chosen by the app
+  deviceId: { type: String, required: true, maxlength: 200 },
+  // Session family of the login that issued the key; revoking the login revokes the key
+  family: { type: String, required: true },
+  secret: { type: String, required: true, select: false },
+  lastUsedAt: { type: Date },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+deviceKeySchema.index({ userId: 1, deviceId: 1 });
+deviceKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DeviceKey', deviceKeySchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Responses of requests sent with an Idempotency-Key header, replayed when a client retries
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  key: { type: String, required: true, maxlength: 255 },
+  // Hash of method, path and body: a key can't be reused for a different request
+  requestHash: { type: String, required: true },
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  // A processing record is only held this long; after that a retry takes it over (the first attempt died)
+  lockedUntil: { type: Date },
+  response: {
+    statusCode: { type: Number },
+    body: { type: mongoose.Schema.Types.Mixed }
+  },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
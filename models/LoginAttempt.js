@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Failed login counter per client IP. Documents expire at the end of their window or lockout.
+const loginAttemptSchema = new mongoose.Schema({
+  ip: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0, min: 0 },
+  lockUntil: { type: Date },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
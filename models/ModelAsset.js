@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// An uploaded 3D model file and the metadata extracted from it
+const modelAssetSchema = new mongoose.Schema({
+  filename: { type: String, required: true, unique: true },
+  originalName: { type: String, trim: true },
+  format: { type: String, enum: ['glb', 'gltf', 'usdz'], required: true },
+  contentType: { type: String, required: true },
+  url: { type: String, required: true },
+  size: { type: Number, required: true }, // bytes
+  sha256: { type: String, required: true },
+  // Everything below is null/empty for usdz, which is stored without inspection
+  version: { type: String, default: null },
+  generator: { type: String, default: null },
+  boundingBox: {
+    type: new mongoose.Schema({ min: [Number], max: [Number], size: [Number] }, { _id: false }),
+    default: null
+  },
+  triangleCount: { type: Number, default: null },
+  textures: [{ _id: false, index: Number, mimeType: String, width: Number, height: Number, bytes: Number }],
+  animations: [{ _id: false, name: String, channels: Number, duration: Number }],
+  stats: {
+    meshes: { type: Number, default: 0 },
+    materials: { type: Number, default: 0 },
+    nodes: { type: Number, default: 0 }
+  },
+  extensionsUsed: [String],
+  extensionsRequired: [String],
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+modelAssetSchema.index({ sha256: 1 });
+modelAssetSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ModelAsset', modelAssetSchema);
@@ -1,7 +1,22 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+// Optional GeoJSON area a user must stand in to check in (replaces the distance band)
+const checkinAreaSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Polygon', 'MultiPolygon'], required: true },
+  coordinates: { type: Array, required: true }
+}, { _id: false });
+
+// Localized name/description for one locale (base fields hold the default locale)
+const placeTranslationSchema = new mongoose.Schema({
+  name: { type: String, trim: true, maxlength: 100 },
+  description: { type: String, trim: true, maxlength: 1000 }
+}, { _id: false });
 
 const placeSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true, maxlength: 100 },
+  // Identifier from a partner/GIS source; imports upsert by it
+  externalId: { type: String, trim: true, maxlength: 200 },
   description: { type: String, required: true, maxlength: 1000 },
   redemption: {
     eligible: { type: Boolean, default: false },
@@ -20,9 +35,61 @@ const placeSchema = new mongoose.Schema({
       }
     }
   },
-  images: [{ url: { type: String, required: true }, caption: String }]
+  checkinArea: { type: checkinAreaSchema, default: undefined },
+  images: [{ url: { type: String, required: true }, caption: String }],
+  // Slug of a Category document
+  category: { type: String, lowercase: true, trim: true, default: null },
+  tags: [{ type: String, lowercase: true, trim: true, maxlength: 40 }],
+  // IANA time zone the opening hours are expressed in (falls back to DEFAULT_TIME_ZONE)
+  timeZone: { type: String, trim: true, default: null },
+  openingHours: {
+    // day: 0 = Sunday .. 6 = Saturday; close <= open means the interval runs past midnight
+    weekly: [{
+      _id: false,
+      day: { type: Number, min: 0, max: 6, required: true },
+      open: { type: String, required: true },
+      close: { type: String, required: true }
+    }],
+    // Date-specific overrides ("YYYY-MM-DD" in the place's time zone)
+    exceptions: [{
+      _id: false,
+      date: { type: String, required: true },
+      closed: { type: Boolean, default: false },
+      intervals: [{ _id: false, open: String, close: String }],
+      note: { type: String, maxlength: 200 }
+    }]
+  },
+  checkinPolicy: {
+    // Reject check-ins outside opening hours
+    requireOpen: { type: Boolean, default: false },
+    // Overrides of the global default policy; null means "use the default"
+    minDistanceMeters: { type: Number, min: 0, default: null },
+    maxDistanceMeters: { type: Number, min: 0, default: null },
+    points: { type: Number, min: 0, default: null },
+    cooldownMode: { type: String, enum: ['calendarDay', 'rolling', 'none', null], default: null },
+    cooldownHours: { type: Number, min: 0, default: null },
+    maxCheckinsPerUser: { type: Number, min: 0, default: null },
+    // Check-ins are only accepted within this range (either end optional)
+    activeFrom: { type: Date, default: null },
+    activeUntil: { type: Date, default: null }
+  },
+  // Keyed by locale (e.g. "de", "fr-ca")
+  translations: { type: Map, of: placeTranslationSchema, default: undefined },
+  // Cached aggregate of visible reviews (recomputed whenever a review changes)
+  rating: {
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 }
+  },
+  // Incremented on every edit; exposed as the ETag for optimistic concurrency
+  revision: { type: Number, default: 1, min: 1 }
 }, { timestamps: true });
 
 placeSchema.index({ location: '2dsphere' });
+placeSchema.index({ checkinArea: '2dsphere' });
+placeSchema.index({ category: 1 });
+placeSchema.index({ externalId: 1 }, { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } });
+placeSchema.index({ tags: 1 });
+placeSchema.index({ name: 'text', description: 'text' }, { weights: { name: 5, description: 1 } });
+placeSchema.plugin(softDelete);
 
 module.exports = mongoose.model('Place', placeSchema);
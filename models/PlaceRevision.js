@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a place's editable content after each change, so edits can be reviewed and rolled back
+const placeRevisionSchema = new mongoose.Schema({
+  placeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Place', required: true },
+  revision: { type: Number, required: true, min: 1 },
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'rollback']
+  },
+  changes: [{ type: String }],
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String, maxlength: 500 }
+}, { timestamps: true });
+
+placeRevisionSchema.index({ placeId: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('PlaceRevision', placeRevisionSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Statuses shown to the public; 'hidden' reviews are only visible to moderators
+const VISIBLE_REVIEW_STATUSES = ['published', 'approved'];
+
+const reviewSchema = new mongoose.Schema({
+  placeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Place', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  text: { type: String, trim: true, maxlength: 2000 },
+  // Images uploaded through /api/upload
+  photos: [{ url: { type: String, required: true }, thumbUrl: String }],
+  // published: live, not yet looked at; approved: kept by a moderator; hidden: removed by a moderator
+  status: { type: String, enum: ['published', 'approved', 'hidden'], default: 'published' },
+  reports: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reason: { type: String, trim: true, maxlength: 500 },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  reportCount: { type: Number, default: 0 },
+  // Reports since the last moderation decision; the moderation queue is reviews with open reports
+  openReportCount: { type: Number, default: 0 },
+  moderation: {
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decidedAt: { type: Date },
+    note: { type: String, trim: true, maxlength: 500 }
+  }
+}, { timestamps: true });
+
+// One review per user and place
+reviewSchema.index({ placeId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ placeId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ openReportCount: -1, updatedAt: -1 });
+
+reviewSchema.statics.VISIBLE_STATUSES = VISIBLE_REVIEW_STATUSES;
+
+module.exports = mongoose.model('Review', reviewSchema);
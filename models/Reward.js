@@ -1,6 +1,21 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+// Localized texts for one locale (base fields hold the default locale)
+const rewardTranslationSchema = new mongoose.Schema({
+  name: { type: String, trim: true, maxlength: 100 },
+  shortDescription: { type: String, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 1000 },
+  termsAndConditions: { type: [{ type: String, trim: true, maxlength: 500 }], default: undefined }
+}, { _id: false });
 
 const rewardSchema = new mongoose.Schema({
+  // Merchant stock keeping unit; CSV imports upsert by it
+  sku: {
+    type: String,
+    trim: true,
+    maxlength: 64
+  },
   name: { 
     type: String, 
     required: true, 
@@ -48,12 +63,16 @@ const rewardSchema = new mongoose.Schema({
   terms: {
     type: String,
     maxlength: 2000
-  }
+  },
+  // Keyed by locale (e.g. "de", "fr-ca")
+  translations: { type: Map, of: rewardTranslationSchema, default: undefined }
 }, { timestamps: true });
 
 rewardSchema.index({ name: 1 });
+rewardSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
 rewardSchema.index({ type: 1 });
 rewardSchema.index({ pointsCost: 1 });
 rewardSchema.index({ isActive: 1 });
+rewardSchema.plugin(softDelete);
 
 module.exports = mongoose.model('Reward', rewardSchema);
@@ -1,12 +1,24 @@
 const mongoose = require('mongoose');
 
+// What a ledger entry came from: the check-in, completed tour run, place, catalog reward or admin adjustment
+const SOURCE_TYPES = ['checkin', 'tour', 'place', 'reward', 'adjustment'];
+
 const rewardHistorySchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   amount: { type: Number, required: true },
   reason: { type: String, required: true, maxlength: 200 },
-  timestamp: { type: Date, required: true, default: Date.now }
+  timestamp: { type: Date, required: true, default: Date.now },
+  // User's balance right after this entry (not set on entries written before the ledger kept it)
+  balanceAfter: { type: Number, default: null },
+  sourceType: { type: String, enum: [...SOURCE_TYPES, null], default: null },
+  sourceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  // Admin who made an adjustment
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
 }, { timestamps: true });
 
 rewardHistorySchema.index({ userId: 1, timestamp: -1 });
+rewardHistorySchema.index({ sourceType: 1, sourceId: 1 });
+
+rewardHistorySchema.statics.SOURCE_TYPES = SOURCE_TYPES;
 
 module.exports = mongoose.model('RewardHistory', rewardHistorySchema);
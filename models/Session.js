@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One document per issued refresh token. Tokens issued from the same login share a family,
+// so replaying a rotated token can revoke every token descended from that login.
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  family: { type: String, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: { type: Date },
+  rotatedAt: { type: Date },
+  replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Session' },
+  revokedAt: { type: Date },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'reuse_detected', 'password_changed', 'admin']
+  },
+  userAgent: { type: String, maxlength: 500 },
+  ip: { type: String, maxlength: 100 }
+}, { timestamps: true });
+
+sessionSchema.index({ family: 1 });
+sessionSchema.index({ userId: 1 });
+// Let MongoDB drop sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Admin-editable application settings, kept in a single document (key "global")
+const settingsSchema = new mongoose.Schema({
+  key: { type: String, required: true, default: 'global' },
+  // Default check-in policy for places; unset fields fall back to the environment defaults
+  checkinPolicy: {
+    minDistanceMeters: { type: Number, min: 0 },
+    maxDistanceMeters: { type: Number, min: 0 },
+    points: { type: Number, min: 0 },
+    cooldownMode: { type: String, enum: ['calendarDay', 'rolling', 'none'] },
+    cooldownHours: { type: Number, min: 0 },
+    maxCheckinsPerUser: { type: Number, min: 0 }
+  },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+settingsSchema.index({ key: 1 }, { unique: true });
+
+module.exports = mongoose.model('Settings', settingsSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A curated walking tour: an ordered list of places with narrative text
+const tourSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  description: { type: String, trim: true, maxlength: 2000 },
+  stops: [{
+    _id: false,
+    placeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Place', required: true },
+    // Shown when the user reaches this stop
+    narrative: { type: String, trim: true, maxlength: 2000 }
+  }],
+  images: [{ url: { type: String, required: true }, caption: String }],
+  // Location of the first stop, used to find tours near the user
+  startLocation: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], default: undefined } // [lng, lat]
+  },
+  // Walking distance between consecutive stops (straight line), recomputed when stops change
+  distanceMeters: { type: Number, min: 0, default: 0 },
+  estimatedDurationMinutes: { type: Number, min: 1 },
+  // Points awarded the first time a user visits every stop within the time window
+  completionBonus: { type: Number, min: 0, default: 0 },
+  timeWindowHours: { type: Number, min: 1, max: 720 },
+  // Stops only count in the listed order
+  requireOrder: { type: Boolean, default: false },
+  isPublished: { type: Boolean, default: false },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+tourSchema.index({ startLocation: '2dsphere' });
+tourSchema.index({ isPublished: 1, createdAt: -1 });
+tourSchema.index({ 'stops.placeId': 1 });
+
+module.exports = mongoose.model('Tour', tourSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One attempt of a user at a tour. The stops, order rule and bonus are copied from the tour at start,
+// so later edits to the tour don't change a run in progress.
+const tourProgressSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tourId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tour', required: true },
+  stops: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Place' }],
+  requireOrder: { type: Boolean, default: false },
+  completionBonus: { type: Number, min: 0, default: 0 },
+  visited: [{
+    _id: false,
+    placeId: { type: mongoose.Schema.Types.ObjectId, ref: 'Place', required: true },
+    checkinId: { type: mongoose.Schema.Types.ObjectId, ref: 'Checkin' },
+    visitedAt: { type: Date, required: true }
+  }],
+  status: { type: String, enum: ['active', 'completed', 'expired', 'abandoned'], default: 'active' },
+  startedAt: { type: Date, required: true, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  completedAt: { type: Date },
+  bonusAwarded: { type: Number, default: 0 }
+}, { timestamps: true });
+
+// At most one active run per user and tour
+tourProgressSchema.index({ userId: 1, tourId: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+tourProgressSchema.index({ userId: 1, status: 1, stops: 1 });
+
+module.exports = mongoose.model('TourProgress', tourProgressSchema);
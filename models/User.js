@@ -1,11 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { ROLE_NAMES } = require('../config/roles');
 
 const userSchema = new mongoose.Schema({
   profile: {
     firstName: { type: String, required: true, trim: true },
     lastName: { type: String, required: true, trim: true },
     email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date },
     pictureUrl: { type: String, trim: true }
   },
   login: {
@@ -26,8 +29,22 @@ const userSchema = new mongoose.Schema({
   }],
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLE_NAMES,
     default: 'user'
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    // Secrets and backup code hashes are never returned unless explicitly selected
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    backupCodes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false }
+  },
+  security: {
+    failedLoginAttempts: { type: Number, default: 0, min: 0 },
+    lastFailedLoginAt: { type: Date },
+    lockUntil: { type: Date }
   }
 }, { timestamps: true });
 
@@ -53,6 +70,12 @@ userSchema.set('toJSON', {
   virtuals: false,
   transform: function(doc, ret) {
     if (ret.login) delete ret.login.password;
+    if (ret.twoFactor) {
+      delete ret.twoFactor.secret;
+      delete ret.twoFactor.pendingSecret;
+      delete ret.twoFactor.backupCodes;
+      delete ret.twoFactor.lastUsedStep;
+    }
     return ret;
   }
 });
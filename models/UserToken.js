@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens sent by email (verification, password reset). Only the hash is stored.
+const userTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: {
+    type: String,
+    required: true,
+    enum: ['email_verification', 'password_reset']
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date }
+}, { timestamps: true });
+
+userTokenSchema.index({ userId: 1, purpose: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
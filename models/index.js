@@ -3,11 +3,39 @@ const Place = require('./Place');
 const Checkin = require('./Checkin');
 const RewardHistory = require('./RewardHistory');
 const Reward = require('./Reward');
+const Session = require('./Session');
+const LoginAttempt = require('./LoginAttempt');
+const UserToken = require('./UserToken');
+const PlaceRevision = require('./PlaceRevision');
+const Category = require('./Category');
+const ArScene = require('./ArScene');
+const ArAnchor = require('./ArAnchor');
+const ModelAsset = require('./ModelAsset');
+const Review = require('./Review');
+const Tour = require('./Tour');
+const TourProgress = require('./TourProgress');
+const Settings = require('./Settings');
+const IdempotencyKey = require('./IdempotencyKey');
+const DeviceKey = require('./DeviceKey');
 
 module.exports = {
   User,
   Place,
   Checkin,
   RewardHistory,
-  Reward
+  Reward,
+  Session,
+  LoginAttempt,
+  UserToken,
+  PlaceRevision,
+  Category,
+  ArScene,
+  ArAnchor,
+  ModelAsset,
+  Review,
+  Tour,
+  TourProgress,
+  Settings,
+  IdempotencyKey,
+  DeviceKey
 };
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Soft delete plugin: adds deletedAt/deletedBy and hides deleted documents from queries,
+// populate and aggregations. Opt out per query with .setOptions({ withDeleted: true })
+// (populate: { options: { withDeleted: true } }, aggregate: .option({ withDeleted: true })),
+// or by filtering on deletedAt explicitly.
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'updateOne',
+  'updateMany'
+];
+
+function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function excludeDeleted() {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  });
+
+  // Admin listings: 'active' (default), 'deleted' (trash) or 'all'
+  schema.query.byDeletedStatus = function byDeletedStatus(status) {
+    if (status === 'deleted') return this.where({ deletedAt: { $ne: null } });
+    if (status === 'all') return this.setOptions({ withDeleted: true });
+    return this;
+  };
+
+  schema.pre('aggregate', function excludeDeletedFromAggregate() {
+    if (this.options && this.options.withDeleted) return;
+
+    // $geoNear must stay the first stage and $text must live in the first $match
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    if (first && first.$geoNear) {
+      first.$geoNear.query = { ...(first.$geoNear.query || {}), deletedAt: null };
+    } else if (first && first.$match) {
+      if (!Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) {
+        first.$match.deletedAt = null;
+      }
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+}
+
+module.exports = softDeletePlugin;
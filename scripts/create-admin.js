@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// Promote an existing account to admin. Used to bootstrap the first administrator,
+// since role assignment over the API itself requires an admin.
+//
+// Usage: npm run create-admin -- <username|email>
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { User } = require('../models');
+
+async function main() {
+  const identifier = process.argv[2];
+  if (!identifier) {
+    console.error('Usage: npm run create-admin -- <username|email>');
+    process.exitCode = 1;
+    return;
+  }
+
+  await connectDB();
+  try {
+    const user = await User.findOne({
+      $or: [
+        { 'login.username': identifier },
+        { 'profile.email': identifier.toLowerCase() }
+      ]
+    });
+
+    if (!user) {
+      console.error(`❌ No user found for "${identifier}". Register the account first.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (user.role === 'admin') {
+      console.log(`ℹ️  ${user.login.username} is already an admin`);
+      return;
+    }
+
+    user.role = 'admin';
+    await user.save();
+    console.log(`✅ ${user.login.username} (${user.profile.email}) is now an admin`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Failed to create admin', err);
+  process.exit(1);
+});
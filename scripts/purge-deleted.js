@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// Permanently remove soft-deleted places and rewards past their retention period.
+// Meant to run from cron.
+//
+// Usage: npm run purge-deleted -- [--older-than-days=30] [--dry-run]
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { purgeDeleted, getRetentionDays } = require('../src/jobs/purgeDeleted');
+
+function parseArgs(argv) {
+  const options = { olderThanDays: getRetentionDays(), dryRun: false };
+  argv.forEach(arg => {
+    if (arg === '--dry-run') options.dryRun = true;
+    const match = arg.match(/^--older-than-days=(\d+)$/);
+    if (match) options.olderThanDays = parseInt(match[1], 10);
+  });
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  await connectDB();
+  try {
+    const summary = await purgeDeleted(options);
+    const verb = summary.dryRun ? 'Would purge' : 'Purged';
+    console.log(`🧹 ${verb} ${summary.places.length} place(s) and ${summary.rewards.length} reward(s) deleted before ${summary.cutoff.toISOString()}`);
+    summary.places.forEach(place => console.log(`   place  ${place.id}  ${place.name}`));
+    summary.rewards.forEach(reward => console.log(`   reward ${reward.id}  ${reward.name}`));
+    console.log(`   bookmarks removed: ${summary.bookmarksRemoved}, check-ins tombstoned: ${summary.checkinsTombstoned}, reviews removed: ${summary.reviewsRemoved}, images removed: ${summary.imagesRemoved.length}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Purge failed', err);
+  process.exit(1);
+});
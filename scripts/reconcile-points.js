@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// Compare users' points balances with their rewards history and optionally reset drifted balances
+// (each reset is logged in the user's history as an adjustment entry).
+//
+// Usage: npm run reconcile-points -- [--user=<id>] [--fix]
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { reconcilePoints } = require('../src/jobs/reconcilePoints');
+
+function parseArgs(argv) {
+  const options = { userId: null, fix: false };
+  argv.forEach(arg => {
+    if (arg === '--fix') options.fix = true;
+    const match = arg.match(/^--user=([a-f0-9]{24})$/i);
+    if (match) options.userId = match[1];
+  });
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  await connectDB();
+  try {
+    const summary = await reconcilePoints(options);
+    console.log(`🧮 Checked ${summary.usersChecked} user(s): ${summary.discrepancies.length} balance(s) differ from the rewards history`);
+    summary.discrepancies.forEach(entry => {
+      const fixed = summary.fix ? `  -> ${entry.fixedBalance}${entry.clamped ? ' (history is negative, clamped to 0)' : ''}` : '';
+      console.log(`   ${entry.userId}  ${entry.username}  balance ${entry.balance}, history ${entry.historyTotal} (${entry.difference > 0 ? '+' : ''}${entry.difference})${fixed}`);
+    });
+    if (summary.fix && summary.fixed > 0) console.log(`   Reset ${summary.fixed} balance(s); each is logged as an adjustment entry in the user's history`);
+    if (!summary.fix && summary.discrepancies.length > 0) console.log('   Run with --fix to reset these balances');
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Reconciliation failed', err);
+  process.exit(1);
+});
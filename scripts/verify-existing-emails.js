@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+// One-off migration for email verification: accounts created before it existed have no
+// profile.emailVerified field and are marked verified, so they keep access to features that
+// require a verified email. Accounts registered since store the field and are left alone.
+//
+// Usage: npm run verify-existing-emails -- [--dry-run]
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { User } = require('../models');
+
+async function main() {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+  const filter = { 'profile.emailVerified': { $exists: false } };
+
+  await connectDB();
+  try {
+    if (dryRun) {
+      const count = await User.countDocuments(filter);
+      console.log(`📋 Would mark ${count} existing account(s) as verified`);
+      return;
+    }
+
+    const result = await User.updateMany(filter, {
+      $set: { 'profile.emailVerified': true, 'profile.emailVerifiedAt': new Date() }
+    });
+    console.log(`✅ Marked ${result.modifiedCount} existing account(s) as verified`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Migration failed', err);
+  process.exit(1);
+});
@@ -5,6 +5,7 @@ const { setupSecurity, requestSizeLimiter, xssProtection } = require('./src/midd
 const { setupLogging } = require('./src/middleware/logging');
 const { errorHandler, notFound } = require('./src/middleware/errorHandler');
 const path = require('path');
+const { MODEL_CONTENT_TYPES } = require('./src/middleware/modelUpload');
 
 dotenv.config();
 
@@ -13,8 +14,8 @@ const app = express();
 // Security middleware
 setupSecurity(app);
 
-// Request size limiting
-app.use(requestSizeLimiter());
+// Request size limiting (model uploads enforce their own, larger budget)
+app.use(requestSizeLimiter({ skip: (req) => req.method === 'POST' && req.path === '/api/models' }));
 
 // Serve static files with caching headers
 app.use('/images', express.static(path.join(__dirname, 'public/images'), {
@@ -29,6 +30,20 @@ app.use('/images', express.static(path.join(__dirname, 'public/images'), {
   }
 }));
 
+// 3D models (uploaded files never change; new uploads get new names)
+app.use('/models', express.static(path.join(__dirname, 'public/models'), {
+  maxAge: '1y',
+  immutable: true,
+  etag: true,
+  lastModified: true,
+  setHeaders: (res, filePath) => {
+    const contentType = MODEL_CONTENT_TYPES[path.extname(filePath).toLowerCase()];
+    if (contentType) {
+      res.setHeader('Content-Type', contentType);
+    }
+  }
+}));
+
 // Body parsing
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -47,10 +62,18 @@ setupLogging(app);
 // Routes
 app.use('/api/auth', require('./src/routes/auth')); 
 app.use('/api/places', require('./src/routes/places'));
+app.use('/api/tiles', require('./src/routes/tiles'));
+app.use('/api/reviews', require('./src/routes/reviews'));
+app.use('/api/categories', require('./src/routes/categories'));
+app.use('/api/ar', require('./src/routes/ar'));
+app.use('/api/tours', require('./src/routes/tours'));
+app.use('/api/routes', require('./src/routes/routes'));
+app.use('/api/models', require('./src/routes/models'));
 app.use('/api/checkins', require('./src/routes/checkins'));
 app.use('/api/users', require('./src/routes/users'));
 app.use('/api/rewards', require('./src/routes/rewards'));
 app.use('/api/upload', require('./src/routes/upload'));
+app.use('/api/settings', require('./src/routes/settings'));
 
 // Health check
 app.get('/health', (_req, res) => {
@@ -0,0 +1,131 @@
+const { Place, Reward, User, Checkin, PlaceRevision, ArScene, ArAnchor, Review, Tour } = require('../../models');
+const { getImageBaseName, removeImageFiles } = require('../utils/imageFiles');
+const { removeTourStop } = require('../utils/tours');
+
+// Permanently remove soft-deleted places and rewards once their retention period has passed,
+// cleaning up everything that referenced them.
+
+function getRetentionDays() {
+  const days = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+}
+
+// An uploaded image may be shared; only delete files nothing else points at.
+// Documents being purged are excluded so dry runs report the same result as real runs.
+async function isImageReferenced(baseName, purged) {
+  const pattern = new RegExp(`^/images/(thumbs/)?${baseName}(_thumb)?\\.webp$`);
+  const [place, reward, user, review, tour, anchor] = await Promise.all([
+    Place.exists({ 'images.url': pattern, _id: { $nin: purged.placeIds } }).setOptions({ withDeleted: true }),
+    Reward.exists({ 'images.url': pattern, _id: { $nin: purged.rewardIds } }).setOptions({ withDeleted: true }),
+    User.exists({ 'profile.pictureUrl': pattern }),
+    Review.exists({ 'photos.url': pattern, placeId: { $nin: purged.placeIds } }),
+    Tour.exists({ 'images.url': pattern }),
+    ArAnchor.exists({ 'content.url': pattern, placeId: { $nin: purged.placeIds } })
+  ]);
+  return Boolean(place || reward || user || review || tour || anchor);
+}
+
+async function removeUnreferencedImages(urls, purged, dryRun) {
+  const baseNames = [...new Set(urls.map(getImageBaseName).filter(Boolean))];
+  const removed = [];
+
+  for (const baseName of baseNames) {
+    if (await isImageReferenced(baseName, purged)) continue;
+    if (dryRun) {
+      removed.push(baseName);
+      continue;
+    }
+    const files = await removeImageFiles(`/images/${baseName}.webp`);
+    if (files.length > 0) removed.push(baseName);
+  }
+  return removed;
+}
+
+async function purgePlace(place) {
+  // Bookmarks point at nothing once the place is gone
+  const bookmarks = await User.updateMany(
+    { bookmarks: place._id },
+    { $pull: { bookmarks: place._id } }
+  );
+
+  // Keep check-ins readable with a summary of the place they were made at
+  const checkins = await Checkin.updateMany(
+    { placeId: place._id },
+    {
+      $set: {
+        placeSummary: {
+          name: place.name,
+          coordinates: place.location && place.location.coordinates,
+          purgedAt: new Date()
+        }
+      }
+    }
+  );
+
+  await PlaceRevision.deleteMany({ placeId: place._id });
+  await ArAnchor.deleteMany({ placeId: place._id });
+  await ArScene.deleteMany({ placeId: place._id });
+  const reviews = await Review.deleteMany({ placeId: place._id });
+  // Tours (and runs in progress) skip the stop from now on
+  await removeTourStop(place._id);
+  await Place.deleteOne({ _id: place._id });
+
+  return {
+    bookmarksRemoved: bookmarks.modifiedCount,
+    checkinsTombstoned: checkins.modifiedCount,
+    reviewsRemoved: reviews.deletedCount
+  };
+}
+
+/**
+ * Purge soft-deleted places and rewards deleted more than `olderThanDays` ago
+ * @param {{olderThanDays?: number, dryRun?: boolean}} [options]
+ * @returns {Promise<Object>} summary of what was (or would be) removed
+ */
+async function purgeDeleted({ olderThanDays = getRetentionDays(), dryRun = false } = {}) {
+  const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+  const summary = {
+    cutoff,
+    dryRun,
+    places: [],
+    rewards: [],
+    bookmarksRemoved: 0,
+    checkinsTombstoned: 0,
+    reviewsRemoved: 0,
+    imagesRemoved: []
+  };
+  const imageUrls = [];
+
+  const places = await Place.find({ deletedAt: { $ne: null, $lte: cutoff } }).lean();
+  for (const place of places) {
+    summary.places.push({ id: place._id, name: place.name });
+    imageUrls.push(...(place.images || []).map(image => image.url));
+    const reviews = await Review.find({ placeId: place._id }).select('photos').lean();
+    reviews.forEach(review => imageUrls.push(...(review.photos || []).map(photo => photo.url)));
+    if (dryRun) continue;
+
+    const result = await purgePlace(place);
+    summary.bookmarksRemoved += result.bookmarksRemoved;
+    summary.checkinsTombstoned += result.checkinsTombstoned;
+    summary.reviewsRemoved += result.reviewsRemoved;
+  }
+
+  const rewards = await Reward.find({ deletedAt: { $ne: null, $lte: cutoff } }).lean();
+  for (const reward of rewards) {
+    summary.rewards.push({ id: reward._id, name: reward.name });
+    imageUrls.push(...(reward.images || []).map(image => image.url));
+    if (dryRun) continue;
+
+    // Redeemed rewards are copied onto the user, so nothing else references the catalog entry
+    await Reward.deleteOne({ _id: reward._id });
+  }
+
+  const purged = {
+    placeIds: places.map(place => place._id),
+    rewardIds: rewards.map(reward => reward._id)
+  };
+  summary.imagesRemoved = await removeUnreferencedImages(imageUrls, purged, dryRun);
+  return summary;
+}
+
+module.exports = { purgeDeleted, getRetentionDays };
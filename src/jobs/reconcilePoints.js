@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { User, RewardHistory } = require('../../models');
+const { runInTransaction, correctBalance } = require('../utils/ledger');
+
+// Compare every user's points balance with the sum of their rewards history and, when asked,
+// reset drifted balances to what the history says (each correction is logged as an adjustment entry).
+
+async function getHistoryTotal(userId, session) {
+  const [row] = await RewardHistory.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]).session(session || null);
+  return row ? row.total : 0;
+}
+
+// Recompute inside a transaction so a point change landing between the report and the fix isn't lost
+async function fixBalance(userId, createdBy) {
+  return runInTransaction(async (session) => {
+    const historyTotal = await getHistoryTotal(userId, session);
+    const user = await User.findById(userId).select('rewardPoints.total').session(session).lean();
+    const current = user && user.rewardPoints ? user.rewardPoints.total : 0;
+    // Balances can't go below zero; a negative history needs a manual adjustment
+    const balance = Math.max(historyTotal, 0);
+    if (user && current !== balance) {
+      await correctBalance({
+        userId,
+        balance,
+        reason: `Reconciliation: balance ${current} reset to the rewards history total ${historyTotal}`,
+        createdBy,
+        session
+      });
+    }
+    return { balance, clamped: balance !== historyTotal };
+  });
+}
+
+/**
+ * Find users whose balance differs from the sum of their rewards history
+ * @param {{userId?: string, fix?: boolean, fixedBy?: string}} [options] - one user instead of all; reset the
+ *   balances found; the admin fixing them (recorded on the adjustment entries)
+ * @returns {Promise<Object>} summary with the discrepancies found (and fixed)
+ */
+async function reconcilePoints({ userId = null, fix = false, fixedBy = null } = {}) {
+  const match = userId ? { userId: new mongoose.Types.ObjectId(String(userId)) } : {};
+  const totals = await RewardHistory.aggregate([
+    { $match: match },
+    { $group: { _id: '$userId', total: { $sum: '$amount' } } }
+  ]);
+  const historyTotals = new Map(totals.map(row => [String(row._id), row.total]));
+
+  const summary = { fix, usersChecked: 0, discrepancies: [], fixed: 0 };
+  const users = User.find(userId ? { _id: userId } : {}).select('login.username rewardPoints.total').lean().cursor();
+
+  for await (const user of users) {
+    summary.usersChecked++;
+    const balance = user.rewardPoints ? user.rewardPoints.total : 0;
+    const historyTotal = historyTotals.get(String(user._id)) || 0;
+    if (balance === historyTotal) continue;
+
+    const discrepancy = {
+      userId: user._id,
+      username: user.login && user.login.username,
+      balance,
+      historyTotal,
+      difference: balance - historyTotal
+    };
+    if (fix) {
+      const result = await fixBalance(user._id, fixedBy);
+      discrepancy.fixedBalance = result.balance;
+      discrepancy.clamped = result.clamped;
+      summary.fixed++;
+    }
+    summary.discrepancies.push(discrepancy);
+  }
+
+  return summary;
+}
+
+module.exports = { reconcilePoints };
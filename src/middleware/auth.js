@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../../models');
-const { isTokenBlacklisted } = require('./tokenBlacklist');
+const { getJwtSecret, isSessionActive } = require('../utils/sessions');
+const { hasPermission, isTwoFactorRequired } = require('../../config/roles');
 
 // Enhanced JWT authentication middleware with user lookup
 async function auth(req, res, next) {
@@ -15,10 +16,13 @@ async function auth(req, res, next) {
       });
     }
 
-    if (isTokenBlacklisted(token)) {
+    const decoded = jwt.verify(token, getJwtSecret());
+
+    // Access tokens are only honoured while their session family has not been revoked
+    if (!(await isSessionActive(decoded.sid))) {
       return res.status(401).json({ success: false, message: 'Token invalidated.' });
     }
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'dev_secret');
+
     const user = await User.findById(decoded.id).select('-login.password');
     
     if (!user) {
@@ -28,7 +32,13 @@ async function auth(req, res, next) {
       });
     }
 
-    req.user = { id: user._id, role: user.role || 'user' };
+    req.user = {
+      id: user._id,
+      role: user.role || 'user',
+      sessionId: decoded.sid,
+      emailVerified: Boolean(user.profile.emailVerified),
+      twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled)
+    };
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -61,6 +71,47 @@ function adminOnly(req, res, next) {
   next();
 }
 
+// Permission-based access middleware (use after auth), e.g. requirePermission('places:write')
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No token provided.'
+      });
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${missing.join(', ')}`
+      });
+    }
+
+    // Privileged roles may be required to enrol in 2FA before using their permissions
+    if (isTwoFactorRequired(req.user.role) && !req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be enabled for your role.',
+        twoFactorSetupRequired: true
+      });
+    }
+    next();
+  };
+}
+
+// Verified-email-only access middleware (use after auth)
+function requireVerifiedEmail(req, res, next) {
+  if (!req.user || !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first.'
+    });
+  }
+  next();
+}
+
 // Optional auth middleware (doesn't fail if no token)
 async function optionalAuth(req, res, next) {
   try {
@@ -68,10 +119,18 @@ async function optionalAuth(req, res, next) {
     const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'dev_secret');
-      const user = await User.findById(decoded.id).select('-login.password');
-      if (user) {
-        req.user = { id: user._id, role: user.role || 'user' };
+      const decoded = jwt.verify(token, getJwtSecret());
+      if (await isSessionActive(decoded.sid)) {
+        const user = await User.findById(decoded.id).select('-login.password');
+        if (user) {
+          req.user = {
+            id: user._id,
+            role: user.role || 'user',
+            sessionId: decoded.sid,
+            emailVerified: Boolean(user.profile.emailVerified),
+            twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled)
+          };
+        }
       }
     }
     next();
@@ -81,7 +140,7 @@ async function optionalAuth(req, res, next) {
   }
 }
 
-module.exports = { auth, adminOnly, optionalAuth };
+module.exports = { auth, adminOnly, requirePermission, requireVerifiedEmail, optionalAuth };
 
 
 
@@ -0,0 +1,30 @@
+const multer = require('multer');
+const path = require('path');
+
+// In-memory uploads of data files for bulk imports (small enough to parse in one go)
+function createDataUpload(allowedExtensions, rejectMessage) {
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: 10 * 1024 * 1024, // 10MB limit
+      files: 1
+    },
+    fileFilter: (req, file, cb) => {
+      if (allowedExtensions.test(path.extname(file.originalname))) {
+        return cb(null, true);
+      }
+      cb(new Error(rejectMessage));
+    }
+  });
+}
+
+// GIS files for place imports
+const placeDataUpload = createDataUpload(/\.(geojson|json|kml|gpx)$/i, 'Only GeoJSON, KML and GPX files are allowed!');
+
+// Spreadsheet exports for catalog imports
+const csvUpload = createDataUpload(/\.(csv|txt)$/i, 'Only CSV files are allowed!');
+
+module.exports = {
+  placeDataUpload,
+  csvUpload
+};
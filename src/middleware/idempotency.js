@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { IdempotencyKey } = require('../../models');
+const { parseDuration } = require('../utils/duration');
+
+// Printable ASCII, as sent by clients (usually a UUID)
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+function getKeyTtlMs() {
+  return parseDuration(process.env.IDEMPOTENCY_KEY_EXPIRES_IN || '24h', 24 * 60 * 60 * 1000);
+}
+
+function getLockTimeoutMs() {
+  return parseDuration(process.env.IDEMPOTENCY_KEY_LOCK_TIMEOUT || '1m', 60 * 1000);
+}
+
+// Claim the key for this request: a new record, or a processing record whose lease ran out. Returns null when
+// another request holds it (or finished with it).
+async function claimKey(userId, key, requestHash) {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + getLockTimeoutMs());
+  try {
+    return await IdempotencyKey.create({
+      userId,
+      key,
+      requestHash,
+      lockedUntil,
+      expiresAt: new Date(now.getTime() + getKeyTtlMs())
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Records written before leases existed have no lockedUntil and count as expired
+  return IdempotencyKey.findOneAndUpdate(
+    { userId, key, requestHash, status: 'processing', $or: [{ lockedUntil: { $lte: now } }, { lockedUntil: null }] },
+    { $set: { lockedUntil } },
+    { new: true }
+  );
+}
+
+function hashRequest(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+// Answer a retry from the stored record of the first request
+function replay(res, record, requestHash) {
+  if (!record) {
+    return res.status(409).json({ success: false, message: 'A request with this Idempotency-Key is still being processed' });
+  }
+  if (record.requestHash !== requestHash) {
+    return res.status(422).json({ success: false, message: 'Idempotency-Key was already used for a different request' });
+  }
+  if (record.status === 'processing') {
+    return res.status(409).json({ success: false, message: 'A request with this Idempotency-Key is still being processed' });
+  }
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.response.statusCode).json(record.response.body);
+}
+
+// Idempotency-Key support for endpoints that move points. The first request with a key runs normally and
+// its response is stored (per user) before it is sent; retries with the same key get that response back
+// instead of running again. Server errors release the key so the request can be retried, and a key left
+// processing (the process died) can be taken over once its lease (IDEMPOTENCY_KEY_LOCK_TIMEOUT) has passed.
+// Requests without the header are not affected. Use after auth.
+async function idempotency(req, res, next) {
+  const key = req.get('idempotency-key');
+  if (key === undefined) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({ success: false, message: 'Idempotency-Key must be 1-255 printable ASCII characters' });
+  }
+
+  let record = null;
+  try {
+    const requestHash = hashRequest(req);
+    record = await claimKey(req.user.id, key, requestHash);
+    if (!record) {
+      const existing = await IdempotencyKey.findOne({ userId: req.user.id, key }).lean();
+      return replay(res, existing, requestHash);
+    }
+
+    // Only while this request still holds the lease; a retry may have taken over since
+    const owned = { _id: record._id, lockedUntil: record.lockedUntil };
+    let settled = false;
+    const settle = async (statusCode, body) => {
+      settled = true;
+      try {
+        if (statusCode >= 500) {
+          await IdempotencyKey.deleteOne(owned);
+        } else {
+          await IdempotencyKey.updateOne(
+            owned,
+            { $set: { status: 'completed', response: { statusCode, body: JSON.parse(JSON.stringify(body)) } } }
+          );
+        }
+      } catch (error) {
+        console.error('Idempotency key save error:', error);
+      }
+    };
+
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      settle(res.statusCode, body).then(() => sendJson(body));
+      return res;
+    };
+    // Responses not sent through res.json can't be replayed; release the key
+    res.on('finish', () => {
+      if (!settled) settle(500);
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    if (record) {
+      await IdempotencyKey.deleteOne({ _id: record._id, lockedUntil: record.lockedUntil }).catch(() => {});
+    }
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+}
+
+module.exports = { idempotency };
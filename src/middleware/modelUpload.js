@@ -0,0 +1,55 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { getModelBudgets } = require('../../config/modelAssets');
+
+const modelsDir = path.join(__dirname, '../../public/models');
+
+if (!fs.existsSync(modelsDir)) {
+  fs.mkdirSync(modelsDir, { recursive: true });
+}
+
+// Served by the /models static route with these content types
+const MODEL_CONTENT_TYPES = {
+  '.glb': 'model/gltf-binary',
+  '.gltf': 'model/gltf+json',
+  '.usdz': 'model/vnd.usdz+zip'
+};
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, modelsDir);
+  },
+  filename: (req, file, cb) => {
+    // Same scheme as images: sanitizedname-timestamp-random.ext
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const ext = path.extname(file.originalname).toLowerCase();
+    const name = path.basename(file.originalname, path.extname(file.originalname));
+    const sanitizedName = name.replace(/[^a-zA-Z0-9]/g, '_');
+    cb(null, `${sanitizedName}-${uniqueSuffix}${ext}`);
+  }
+});
+
+// The extension decides the format; the content is verified by the model inspector afterwards
+const fileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (MODEL_CONTENT_TYPES[ext]) {
+    return cb(null, true);
+  }
+  cb(new Error('Only GLB, glTF and USDZ models are allowed!'));
+};
+
+// Built per request so the size budget follows the current environment
+function modelUpload() {
+  return multer({
+    storage,
+    limits: { fileSize: getModelBudgets().maxFileSizeBytes, files: 1 },
+    fileFilter
+  });
+}
+
+module.exports = {
+  modelUpload,
+  modelsDir,
+  MODEL_CONTENT_TYPES
+};
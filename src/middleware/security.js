@@ -35,8 +35,9 @@ const corsOptions = {
     // }
   },
   credentials: true, // Allow cookies and authorization headers
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match', 'Idempotency-Key'],
+  exposedHeaders: ['ETag', 'Retry-After', 'Idempotent-Replayed'],
   optionsSuccessStatus: 200 // Some legacy browsers choke on 204
 };
 
@@ -90,8 +91,10 @@ function setupSecurity(app) {
 }
 
 // Request size limiter
-function requestSizeLimiter() {
+function requestSizeLimiter({ skip } = {}) {
   return (req, res, next) => {
+    if (skip && skip(req)) return next();
+
     const contentLength = parseInt(req.get('content-length') || '0', 10);
     const maxSize = 10 * 1024 * 1024; // 10MB
     
@@ -1,4 +1,11 @@
 // Input validation middleware for various data types
+const { isValidTimeZone, checkOpeningHours } = require('../utils/openingHours');
+const { checkGeofence } = require('../utils/geo');
+const { getGeofenceLimits, getOfflineCheckinSettings, COOLDOWN_MODES } = require('../../config/checkin');
+const { getImageBaseName } = require('../utils/imageFiles');
+const { normalizeLocale } = require('../utils/i18n');
+const { getTranslationLocales } = require('../../config/i18n');
+const { getRoutePlannerSettings } = require('../../config/routePlanner');
 
 // Validate email format
 function validateEmail(email) {
@@ -64,6 +71,14 @@ function validateRegistration(req, res, next) {
     });
   }
 
+  const deviceIdError = checkDeviceId(req.body.deviceId);
+  if (deviceIdError) {
+    return res.status(400).json({
+      success: false,
+      message: deviceIdError
+    });
+  }
+
   next();
 }
 
@@ -78,74 +93,660 @@ function validateLogin(req, res, next) {
     });
   }
 
-  next();
-}
-
-// Place creation validation
-function validatePlace(req, res, next) {
-  const { name, description, location } = req.body;
-  
-  // Check required fields
-  const required = ['name', 'description', 'location'];
-  const missing = validateRequired(required, req.body);
-  if (missing) {
+  const deviceIdError = checkDeviceId(req.body.deviceId);
+  if (deviceIdError) {
     return res.status(400).json({
       success: false,
-      message: `Missing required fields: ${missing.join(', ')}`
+      message: deviceIdError
     });
   }
 
+  next();
+}
+
+// Optional installation id sent at login to get an offline check-in signing key
+function checkDeviceId(deviceId) {
+  if (deviceId === undefined) return null;
+  if (typeof deviceId !== 'string' || !/^[\x21-\x7e]{1,200}$/.test(deviceId)) {
+    return 'deviceId must be 1-200 printable ASCII characters';
+  }
+  return null;
+}
+
+// Maximum lengths of translatable fields (termsAndConditions: per entry)
+const PLACE_TRANSLATION_LIMITS = { name: 100, description: 1000 };
+const REWARD_TRANSLATION_LIMITS = { name: 100, shortDescription: 200, description: 1000, termsAndConditions: 500 };
+
+// Check a { [locale]: { field: value } | null } translations object. Returns an error message or null.
+function checkTranslations(translations, limits) {
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+    return 'translations must be an object keyed by locale';
+  }
+
+  const locales = getTranslationLocales();
+  for (const [key, entry] of Object.entries(translations)) {
+    if (!locales.includes(normalizeLocale(key))) {
+      return `Unsupported translation locale "${key}". Use one of: ${locales.join(', ') || '(none configured)'}`;
+    }
+    // null removes a locale on update
+    if (entry === null) continue;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return `translations.${key} must be an object`;
+    }
+    for (const [field, value] of Object.entries(entry)) {
+      const maxLength = limits[field];
+      if (!maxLength) {
+        return `translations.${key}.${field} is not translatable. Use: ${Object.keys(limits).join(', ')}`;
+      }
+      if (value === null) continue;
+      if (field === 'termsAndConditions') {
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.length > maxLength)) {
+          return `translations.${key}.${field} must contain strings of at most ${maxLength} characters`;
+        }
+      } else if (typeof value !== 'string' || value.trim().length > maxLength) {
+        return `translations.${key}.${field} must be a string of at most ${maxLength} characters`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Check place fields. Returns an error message or null.
+// With `partial`, only the fields present in `data` are checked (used for updates).
+function checkPlaceFields(data, { partial = false } = {}) {
+  if (!partial) {
+    const required = ['name', 'description', 'location'];
+    const missing = validateRequired(required, data);
+    if (missing) {
+      return `Missing required fields: ${missing.join(', ')}`;
+    }
+  }
+
+  if (data.name !== undefined && (typeof data.name !== 'string' || !data.name.trim())) {
+    return 'Name must be a non-empty string';
+  }
+
+  if (data.description !== undefined && (typeof data.description !== 'string' || !data.description.trim())) {
+    return 'Description must be a non-empty string';
+  }
+
   // Validate location coordinates
-  if (!location || !Array.isArray(location.coordinates) || location.coordinates.length !== 2) {
+  if (data.location !== undefined) {
+    const { location } = data;
+    if (!location || !Array.isArray(location.coordinates) || location.coordinates.length !== 2) {
+      return 'Location must have valid coordinates array [longitude, latitude]';
+    }
+
+    const [lng, lat] = location.coordinates;
+    if (!validateCoordinates(lat, lng)) {
+      return 'Invalid coordinates. Latitude must be -90 to 90, longitude -180 to 180';
+    }
+  }
+
+  if (data.checkinArea !== undefined && data.checkinArea !== null) {
+    const error = checkGeofence(data.checkinArea, getGeofenceLimits());
+    if (error) return error;
+  }
+
+  if (data.redemption !== undefined) {
+    const { redemption } = data;
+    if (!redemption || typeof redemption !== 'object' || Array.isArray(redemption)) {
+      return 'Redemption must be an object { eligible, pointsCost }';
+    }
+    if (redemption.eligible !== undefined && ![true, false, 'true', 'false'].includes(redemption.eligible)) {
+      return 'redemption.eligible must be a boolean';
+    }
+    if (redemption.pointsCost !== undefined) {
+      const pointsCost = Number(redemption.pointsCost);
+      if (!Number.isFinite(pointsCost) || pointsCost < 0) {
+        return 'redemption.pointsCost must be a number >= 0';
+      }
+    }
+  }
+
+  if (data.category !== undefined && data.category !== null && (typeof data.category !== 'string' || !data.category.trim())) {
+    return 'Category must be a category slug or null';
+  }
+
+  if (data.tags !== undefined) {
+    if (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== 'string' || !tag.trim() || tag.length > 40)) {
+      return 'Tags must be an array of strings (max 40 characters each)';
+    }
+    if (data.tags.length > 20) {
+      return 'A place can have at most 20 tags';
+    }
+  }
+
+  if (data.images !== undefined) {
+    if (!Array.isArray(data.images) || data.images.some(image => !image || typeof image.url !== 'string' || !image.url)) {
+      return 'Images must be an array of { url, caption? }';
+    }
+  }
+
+  if (data.timeZone !== undefined && data.timeZone !== null && !isValidTimeZone(data.timeZone)) {
+    return 'timeZone must be an IANA time zone name (e.g. "Europe/Berlin")';
+  }
+
+  if (data.openingHours !== undefined && data.openingHours !== null) {
+    const error = checkOpeningHours(data.openingHours);
+    if (error) return error;
+  }
+
+  if (data.checkinPolicy !== undefined) {
+    const error = checkCheckinPolicy(data.checkinPolicy, { place: true });
+    if (error) return error;
+  }
+
+  if (data.translations !== undefined) {
+    return checkTranslations(data.translations, PLACE_TRANSLATION_LIMITS);
+  }
+
+  return null;
+}
+
+const CHECKIN_POLICY_FIELDS = ['minDistanceMeters', 'maxDistanceMeters', 'points', 'cooldownMode', 'cooldownHours', 'maxCheckinsPerUser'];
+const PLACE_CHECKIN_POLICY_FIELDS = [...CHECKIN_POLICY_FIELDS, 'requireOpen', 'activeFrom', 'activeUntil'];
+
+function isValidDateValue(value) {
+  return typeof value === 'string' && !isNaN(Date.parse(value));
+}
+
+// Check a check-in policy (the global default, or a place's overrides with `place`).
+// null resets a field to the inherited value. Returns an error message or null.
+function checkCheckinPolicy(policy, { place = false } = {}) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'checkinPolicy must be an object';
+  }
+
+  const allowed = place ? PLACE_CHECKIN_POLICY_FIELDS : CHECKIN_POLICY_FIELDS;
+  const unknown = Object.keys(policy).filter(field => !allowed.includes(field));
+  if (unknown.length > 0) {
+    return `Unknown check-in policy fields: ${unknown.join(', ')}`;
+  }
+
+  const isSet = field => policy[field] !== undefined && policy[field] !== null;
+
+  for (const field of ['minDistanceMeters', 'maxDistanceMeters', 'points']) {
+    if (isSet(field) && (!isFiniteNumber(policy[field]) || policy[field] < 0)) {
+      return `checkinPolicy.${field} must be a non-negative number`;
+    }
+  }
+  if (isSet('minDistanceMeters') && isSet('maxDistanceMeters') && policy.minDistanceMeters > policy.maxDistanceMeters) {
+    return 'checkinPolicy.minDistanceMeters must not exceed maxDistanceMeters';
+  }
+  if (isSet('cooldownMode') && !COOLDOWN_MODES.includes(policy.cooldownMode)) {
+    return `checkinPolicy.cooldownMode must be one of: ${COOLDOWN_MODES.join(', ')}`;
+  }
+  if (isSet('cooldownHours') && (!isFiniteNumber(policy.cooldownHours) || policy.cooldownHours <= 0 || policy.cooldownHours > 8760)) {
+    return 'checkinPolicy.cooldownHours must be more than 0 and at most 8760';
+  }
+  if (isSet('maxCheckinsPerUser') && (!Number.isInteger(policy.maxCheckinsPerUser) || policy.maxCheckinsPerUser < 0)) {
+    return 'checkinPolicy.maxCheckinsPerUser must be a non-negative integer (0 = no limit)';
+  }
+
+  if (policy.requireOpen !== undefined && typeof policy.requireOpen !== 'boolean') {
+    return 'checkinPolicy.requireOpen must be a boolean';
+  }
+  for (const field of ['activeFrom', 'activeUntil']) {
+    if (isSet(field) && !isValidDateValue(policy[field])) {
+      return `checkinPolicy.${field} must be an ISO 8601 date`;
+    }
+  }
+  if (isSet('activeFrom') && isSet('activeUntil') && Date.parse(policy.activeFrom) >= Date.parse(policy.activeUntil)) {
+    return 'checkinPolicy.activeFrom must be before activeUntil';
+  }
+
+  return null;
+}
+
+// Global default check-in policy (PUT /api/settings/checkin-policy)
+const validateDefaultCheckinPolicy = validateWith(checkCheckinPolicy);
+
+// Place creation validation
+function validatePlace(req, res, next) {
+  const error = checkPlaceFields(req.body);
+  if (error) {
     return res.status(400).json({
       success: false,
-      message: 'Location must have valid coordinates array [longitude, latitude]'
+      message: error
     });
   }
 
-  const [lng, lat] = location.coordinates;
-  if (!validateCoordinates(lat, lng)) {
+  next();
+}
+
+// Place partial update validation
+function validatePlaceUpdate(req, res, next) {
+  const error = checkPlaceFields(req.body, { partial: true });
+  if (error) {
     return res.status(400).json({
       success: false,
-      message: 'Invalid coordinates. Latitude must be -90 to 90, longitude -180 to 180'
+      message: error
     });
   }
 
   next();
 }
 
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function checkVisibilityDistance(value) {
+  if (value !== undefined && value !== null && (!isFiniteNumber(value) || value < 1 || value > 5000)) {
+    return 'visibilityDistance must be between 1 and 5000 meters';
+  }
+  return null;
+}
+
+// Check AR scene fields. Returns an error message or null.
+function checkArSceneFields(data, { partial = false } = {}) {
+  if (!partial && !data.placeId) {
+    return 'placeId is required';
+  }
+  if (data.placeId !== undefined && !/^[0-9a-fA-F]{24}$/.test(String(data.placeId))) {
+    return 'Invalid placeId';
+  }
+  if ((!partial || data.name !== undefined) && (typeof data.name !== 'string' || !data.name.trim())) {
+    return 'Name must be a non-empty string';
+  }
+  if (data.isPublished !== undefined && typeof data.isPublished !== 'boolean') {
+    return 'isPublished must be a boolean';
+  }
+  return checkVisibilityDistance(data.visibilityDistance);
+}
+
+// Check AR anchor fields. Returns an error message or null.
+function checkArAnchorFields(data, { partial = false } = {}) {
+  if (!partial) {
+    const missing = validateRequired(['location', 'content'], data);
+    if (missing) {
+      return `Missing required fields: ${missing.join(', ')}`;
+    }
+  }
+
+  if (data.location !== undefined) {
+    const { location } = data;
+    if (!location || !Array.isArray(location.coordinates) || location.coordinates.length !== 2) {
+      return 'Location must have valid coordinates array [longitude, latitude]';
+    }
+    const [lng, lat] = location.coordinates;
+    if (!validateCoordinates(lat, lng)) {
+      return 'Invalid coordinates. Latitude must be -90 to 90, longitude -180 to 180';
+    }
+  }
+
+  if (data.altitude !== undefined) {
+    const { altitude } = data;
+    if (!altitude || typeof altitude !== 'object') {
+      return 'altitude must be an object { meters, reference }';
+    }
+    if (altitude.meters !== undefined && (!isFiniteNumber(altitude.meters) || altitude.meters < -500 || altitude.meters > 10000)) {
+      return 'altitude.meters must be a number between -500 and 10000';
+    }
+    if (altitude.reference !== undefined && !['wgs84', 'terrain', 'rooftop'].includes(altitude.reference)) {
+      return 'altitude.reference must be wgs84, terrain or rooftop';
+    }
+  }
+
+  if (data.orientation !== undefined) {
+    const { orientation } = data;
+    const components = orientation ? ['x', 'y', 'z', 'w'].map(key => orientation[key]) : [];
+    if (components.length !== 4 || !components.every(isFiniteNumber)) {
+      return 'orientation must be a quaternion { x, y, z, w }';
+    }
+    if (Math.hypot(...components) < 1e-6) {
+      return 'orientation quaternion must not be zero';
+    }
+  }
+
+  if (data.scale !== undefined) {
+    const { scale } = data;
+    if (!scale || !['x', 'y', 'z'].every(key => isFiniteNumber(scale[key]) && scale[key] > 0 && scale[key] <= 1000)) {
+      return 'scale must be { x, y, z } with values between 0 and 1000';
+    }
+  }
+
+  if (data.content !== undefined) {
+    const { content } = data;
+    if (!content || !['model', 'image', 'text'].includes(content.type)) {
+      return 'content.type must be model, image or text';
+    }
+    if (content.type === 'text' && (typeof content.text !== 'string' || !content.text.trim())) {
+      return 'Text content needs content.text';
+    }
+    if (content.type !== 'text' && (typeof content.url !== 'string' || !content.url.trim())) {
+      return `${content.type === 'model' ? 'Model' : 'Image'} content needs content.url`;
+    }
+    if (content.text !== undefined && (typeof content.text !== 'string' || content.text.length > 500)) {
+      return 'content.text must be a string of at most 500 characters';
+    }
+  }
+
+  if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+    return 'isActive must be a boolean';
+  }
+
+  return checkVisibilityDistance(data.visibilityDistance);
+}
+
+// Wrap a field checker as middleware for full (create) or partial (update) bodies
+function validateWith(checkFields, options) {
+  return (req, res, next) => {
+    const error = checkFields(req.body, options);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    next();
+  };
+}
+
+const validateArScene = validateWith(checkArSceneFields);
+const validateArSceneUpdate = validateWith(checkArSceneFields, { partial: true });
+const validateArAnchor = validateWith(checkArAnchorFields);
+const validateArAnchorUpdate = validateWith(checkArAnchorFields, { partial: true });
+
+const REWARD_TYPES = ['voucher', 'discount', 'coupon', 'gift', 'experience', 'other'];
+const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// Check reward fields. Returns an error message or null.
+// With `partial`, only the fields present in `data` are checked (used for updates).
+function checkRewardFields(data, { partial = false } = {}) {
+  if (!partial) {
+    const missing = validateRequired(['name', 'shortDescription', 'description', 'pointsCost', 'type'], data);
+    if (missing) {
+      return `Missing required fields: ${missing.join(', ')}`;
+    }
+  }
+
+  const textLimits = { name: 100, shortDescription: 200, description: 1000 };
+  for (const [field, maxLength] of Object.entries(textLimits)) {
+    if (data[field] !== undefined && (typeof data[field] !== 'string' || !data[field].trim())) {
+      return `${field} must be a non-empty string`;
+    }
+    if (data[field] !== undefined && data[field].trim().length > maxLength) {
+      return `${field} must be at most ${maxLength} characters`;
+    }
+  }
+
+  if (data.pointsCost !== undefined) {
+    const pointsCost = Number(data.pointsCost);
+    if (data.pointsCost === '' || data.pointsCost === null || !Number.isFinite(pointsCost)) {
+      return 'Points cost must be a number';
+    }
+    if (pointsCost < 1) {
+      return 'Points cost must be at least 1';
+    }
+  }
+
+  if (data.type !== undefined && !REWARD_TYPES.includes(data.type)) {
+    return `Invalid type. Must be one of: ${REWARD_TYPES.join(', ')}`;
+  }
+
+  if (data.termsAndConditions !== undefined && data.termsAndConditions !== null) {
+    if (!Array.isArray(data.termsAndConditions)) {
+      return 'termsAndConditions must be an array';
+    }
+    if (data.termsAndConditions.some(term => typeof term !== 'string' || term.length > 500)) {
+      return 'termsAndConditions must contain strings of at most 500 characters';
+    }
+  }
+
+  if (data.terms !== undefined && data.terms !== null && (typeof data.terms !== 'string' || data.terms.length > 2000)) {
+    return 'terms must be a string of at most 2000 characters';
+  }
+
+  if (data.validUntil !== undefined && data.validUntil !== null && data.validUntil !== '' && isNaN(new Date(data.validUntil).getTime())) {
+    return 'validUntil must be a valid date';
+  }
+
+  if (data.isActive !== undefined && ![true, false, 'true', 'false'].includes(data.isActive)) {
+    return 'isActive must be a boolean';
+  }
+
+  if (data.sku !== undefined && data.sku !== null && (typeof data.sku !== 'string' || !SKU_PATTERN.test(data.sku.trim()))) {
+    return 'SKU must be 1-64 letters, numbers, dots, dashes or underscores';
+  }
+
+  if (data.images !== undefined) {
+    if (!Array.isArray(data.images) || data.images.some(image => !image || typeof image.url !== 'string' || !image.url)) {
+      return 'Images must be an array of { url, caption? }';
+    }
+  }
+
+  if (data.translations !== undefined) {
+    return checkTranslations(data.translations, REWARD_TRANSLATION_LIMITS);
+  }
+
+  return null;
+}
+
+const validateReward = validateWith(checkRewardFields);
+const validateRewardUpdate = validateWith(checkRewardFields, { partial: true });
+
+const REVIEW_MAX_PHOTOS = 5;
+
+// Check review fields. Returns an error message or null.
+// Photos must be images uploaded through /api/upload; their thumbnails are derived from `url`.
+function checkReviewFields(data, { partial = false } = {}) {
+  if (!partial && data.rating === undefined) {
+    return 'Missing required fields: rating';
+  }
+
+  if (data.rating !== undefined && (!Number.isInteger(data.rating) || data.rating < 1 || data.rating > 5)) {
+    return 'Rating must be an integer from 1 to 5';
+  }
+
+  if (data.text !== undefined && data.text !== null && (typeof data.text !== 'string' || data.text.trim().length > 2000)) {
+    return 'Text must be a string of at most 2000 characters';
+  }
+
+  if (data.photos !== undefined) {
+    if (!Array.isArray(data.photos) || data.photos.some(photo => !photo || !getImageBaseName(photo.url))) {
+      return 'Photos must be an array of { url } returned by /api/upload';
+    }
+    if (data.photos.length > REVIEW_MAX_PHOTOS) {
+      return `At most ${REVIEW_MAX_PHOTOS} photos are allowed`;
+    }
+  }
+
+  return null;
+}
+
+const validateReview = validateWith(checkReviewFields);
+const validateReviewUpdate = validateWith(checkReviewFields, { partial: true });
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+// Check tour fields. Returns an error message or null.
+// With `partial`, only the fields present in `data` are checked (used for updates).
+function checkTourFields(data, { partial = false } = {}) {
+  if (!partial) {
+    const missing = validateRequired(['name', 'stops'], data);
+    if (missing) {
+      return `Missing required fields: ${missing.join(', ')}`;
+    }
+  }
+
+  if (data.name !== undefined && (typeof data.name !== 'string' || !data.name.trim() || data.name.trim().length > 100)) {
+    return 'Name must be a non-empty string of at most 100 characters';
+  }
+
+  if (data.description !== undefined && data.description !== null && (typeof data.description !== 'string' || data.description.length > 2000)) {
+    return 'Description must be a string of at most 2000 characters';
+  }
+
+  if (data.stops !== undefined) {
+    if (!Array.isArray(data.stops) || data.stops.length < 2 || data.stops.length > 50) {
+      return 'A tour needs between 2 and 50 stops';
+    }
+    if (data.stops.some(stop => !stop || typeof stop.placeId !== 'string' || !OBJECT_ID_PATTERN.test(stop.placeId))) {
+      return 'Each stop needs a valid placeId';
+    }
+    if (new Set(data.stops.map(stop => stop.placeId.toLowerCase())).size !== data.stops.length) {
+      return 'A place can only appear once in a tour';
+    }
+    if (data.stops.some(stop => stop.narrative !== undefined && stop.narrative !== null && (typeof stop.narrative !== 'string' || stop.narrative.length > 2000))) {
+      return 'Stop narrative must be a string of at most 2000 characters';
+    }
+  }
+
+  if (data.estimatedDurationMinutes !== undefined && data.estimatedDurationMinutes !== null &&
+      (!Number.isInteger(data.estimatedDurationMinutes) || data.estimatedDurationMinutes < 1 || data.estimatedDurationMinutes > 1440)) {
+    return 'estimatedDurationMinutes must be an integer from 1 to 1440';
+  }
+
+  if (data.completionBonus !== undefined && (!Number.isInteger(data.completionBonus) || data.completionBonus < 0 || data.completionBonus > 10000)) {
+    return 'completionBonus must be an integer from 0 to 10000';
+  }
+
+  if (data.timeWindowHours !== undefined && data.timeWindowHours !== null &&
+      (!isFiniteNumber(data.timeWindowHours) || data.timeWindowHours < 1 || data.timeWindowHours > 720)) {
+    return 'timeWindowHours must be between 1 and 720';
+  }
+
+  for (const field of ['requireOrder', 'isPublished']) {
+    if (data[field] !== undefined && typeof data[field] !== 'boolean') {
+      return `${field} must be a boolean`;
+    }
+  }
+
+  if (data.images !== undefined) {
+    if (!Array.isArray(data.images) || data.images.some(image => !image || typeof image.url !== 'string' || !image.url)) {
+      return 'Images must be an array of { url, caption? }';
+    }
+  }
+
+  return null;
+}
+
+const validateTour = validateWith(checkTourFields);
+const validateTourUpdate = validateWith(checkTourFields, { partial: true });
+
+const ROUTE_OBJECTIVES = ['points', 'interest'];
+
+// Check a route planning request. Returns an error message or null.
+function checkRoutePlanFields(data) {
+  const { start } = data;
+  if (!Array.isArray(start) || start.length !== 2 || !start.every(isFiniteNumber) || !validateCoordinates(start[1], start[0])) {
+    return 'start must be [lng, lat] coordinates';
+  }
+
+  const { maxBudgetMinutes, maxStops } = getRoutePlannerSettings();
+  if (!Number.isInteger(data.timeBudgetMinutes) || data.timeBudgetMinutes < 10 || data.timeBudgetMinutes > maxBudgetMinutes) {
+    return `timeBudgetMinutes must be an integer from 10 to ${maxBudgetMinutes}`;
+  }
+
+  if (data.categories !== undefined &&
+      (!Array.isArray(data.categories) || data.categories.length > 20 || data.categories.some(category => typeof category !== 'string' || !category.trim()))) {
+    return 'categories must be an array of at most 20 category slugs';
+  }
+
+  if (data.objective !== undefined && !ROUTE_OBJECTIVES.includes(data.objective)) {
+    return `objective must be one of: ${ROUTE_OBJECTIVES.join(', ')}`;
+  }
+
+  if (data.returnToStart !== undefined && typeof data.returnToStart !== 'boolean') {
+    return 'returnToStart must be a boolean';
+  }
+
+  if (data.maxStops !== undefined && (!Number.isInteger(data.maxStops) || data.maxStops < 1 || data.maxStops > maxStops)) {
+    return `maxStops must be an integer from 1 to ${maxStops}`;
+  }
+
+  return null;
+}
+
+const validateRoutePlan = validateWith(checkRoutePlanFields);
+
 // Checkin validation
-function validateCheckin(req, res, next) {
-  const { placeId, coordinates } = req.body;
-  
+function checkCheckinFields(data) {
+  const { placeId, coordinates } = data;
+
   if (!placeId) {
-    return res.status(400).json({
-      success: false,
-      message: 'Place ID is required'
-    });
+    return 'Place ID is required';
   }
 
   if (!coordinates || !Array.isArray(coordinates) || coordinates.length !== 2) {
-    return res.status(400).json({
-      success: false,
-      message: 'Coordinates must be an array [longitude, latitude]'
-    });
+    return 'Coordinates must be an array [longitude, latitude]';
   }
 
   const [lng, lat] = coordinates;
   if (!validateCoordinates(lat, lng)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid coordinates. Latitude must be -90 to 90, longitude -180 to 180'
-    });
+    return 'Invalid coordinates. Latitude must be -90 to 90, longitude -180 to 180';
   }
 
-  next();
+  // Optional fix details used for spoofing risk scoring
+  const { accuracy, altitude, speed, mockLocation } = data;
+  return (accuracy !== undefined && (!isFiniteNumber(accuracy) || accuracy < 0) && 'Accuracy must be a non-negative number of meters') ||
+    (altitude !== undefined && !isFiniteNumber(altitude) && 'Altitude must be a number of meters') ||
+    (speed !== undefined && (!isFiniteNumber(speed) || speed < 0) && 'Speed must be a non-negative number of meters per second') ||
+    (mockLocation !== undefined && typeof mockLocation !== 'boolean' && 'mockLocation must be a boolean') ||
+    null;
+}
+
+const validateCheckin = validateWith(checkCheckinFields);
+
+// A queued offline check-in, as signed by the device: the live check-in fields plus
+// `clientRef` (the app's id for the queue entry) and `capturedAt` (when the device recorded it)
+function checkOfflineCheckinFields(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return 'Payload must be a JSON object';
+  }
+  if (typeof data.clientRef !== 'string' || !/^[\x21-\x7e]{1,100}$/.test(data.clientRef)) {
+    return 'clientRef must be 1-100 printable ASCII characters';
+  }
+  if (typeof data.capturedAt !== 'string' || !isValidDateValue(data.capturedAt)) {
+    return 'capturedAt must be an ISO 8601 date';
+  }
+  if (typeof data.placeId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(data.placeId)) {
+    return 'Invalid place ID format';
+  }
+  return checkCheckinFields(data);
 }
 
+// POST /api/checkins/batch body: the signing key and the signed queue entries
+function checkCheckinBatchFields(data) {
+  const { maxBatchSize } = getOfflineCheckinSettings();
+
+  if (typeof data.deviceKeyId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(data.deviceKeyId)) {
+    return 'deviceKeyId is required';
+  }
+  if (!Array.isArray(data.items) || data.items.length === 0 || data.items.length > maxBatchSize) {
+    return `items must be an array of 1 to ${maxBatchSize} signed check-ins`;
+  }
+  const malformed = data.items.findIndex(item =>
+    !item || typeof item.payload !== 'string' || typeof item.signature !== 'string');
+  if (malformed !== -1) {
+    return `items[${malformed}] must have a payload string and a signature string`;
+  }
+  return null;
+}
+
+const validateCheckinBatch = validateWith(checkCheckinBatchFields);
+
 // Query parameters validation for places
 function validatePlacesQuery(req, res, next) {
-  const { lat, lng, radius } = req.query;
+  const { lat, lng, radius, q, openNow } = req.query;
+
+  if (q !== undefined && q.length > 100) {
+    return res.status(400).json({
+      success: false,
+      message: 'Search query must be at most 100 characters'
+    });
+  }
+
+  if (openNow !== undefined && !['true', 'false'].includes(openNow)) {
+    return res.status(400).json({
+      success: false,
+      message: 'openNow must be true or false'
+    });
+  }
   
   // If lat/lng provided, validate them
   if (lat !== undefined || lng !== undefined) {
@@ -200,8 +801,30 @@ module.exports = {
   validateRequired,
   validateRegistration,
   validateLogin,
+  checkDeviceId,
+  PLACE_TRANSLATION_LIMITS,
+  REWARD_TRANSLATION_LIMITS,
+  checkTranslations,
+  validateDefaultCheckinPolicy,
+  checkPlaceFields,
   validatePlace,
+  validatePlaceUpdate,
+  validateArScene,
+  validateArSceneUpdate,
+  validateArAnchor,
+  validateArAnchorUpdate,
+  REWARD_TYPES,
+  checkRewardFields,
+  validateReward,
+  validateRewardUpdate,
+  validateReview,
+  validateReviewUpdate,
+  validateTour,
+  validateTourUpdate,
+  validateRoutePlan,
   validateCheckin,
+  checkOfflineCheckinFields,
+  validateCheckinBatch,
   validatePlacesQuery,
   validateObjectId
 };
@@ -0,0 +1,203 @@
+const router = require('express').Router();
+const { Place, ArScene, ArAnchor } = require('../../models');
+const { auth, requirePermission } = require('../middleware/auth');
+const {
+  validateCoordinates,
+  validateObjectId,
+  validateArScene,
+  validateArSceneUpdate,
+  validateArAnchor,
+  validateArAnchorUpdate
+} = require('../middleware/validation');
+const { getPlaceArScenes, getNearbyArContent } = require('../utils/arScenes');
+
+const SCENE_FIELDS = ['name', 'description', 'isPublished', 'visibilityDistance', 'sortOrder'];
+const ANCHOR_FIELDS = ['name', 'location', 'altitude', 'orientation', 'scale', 'content', 'visibilityDistance', 'isActive'];
+
+function pickFields(body, fields) {
+  return fields.reduce((picked, field) => {
+    if (body[field] !== undefined) picked[field] = body[field];
+    return picked;
+  }, {});
+}
+
+// Store orientations as unit quaternions so clients can use them directly
+function normalizeQuaternion({ x, y, z, w }) {
+  const length = Math.hypot(x, y, z, w);
+  return { x: x / length, y: y / length, z: z / length, w: w / length };
+}
+
+function prepareAnchorFields(body) {
+  const fields = pickFields(body, ANCHOR_FIELDS);
+  if (fields.location) fields.location = { type: 'Point', coordinates: fields.location.coordinates };
+  if (fields.orientation) fields.orientation = normalizeQuaternion(fields.orientation);
+  return fields;
+}
+
+// GET /api/ar/nearby?lat=&lng=&radius= -> published AR content around the user, grouped by place and scene
+router.get('/nearby', async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radius = parseInt(req.query.radius || '500', 10);
+
+    if (!validateCoordinates(lat, lng)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid lat and lng are required'
+      });
+    }
+    if (isNaN(radius) || radius <= 0 || radius > 5000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Radius must be a positive number between 1 and 5000 meters'
+      });
+    }
+
+    const places = await getNearbyArContent(lat, lng, radius);
+
+    return res.json({
+      success: true,
+      message: 'Nearby AR content retrieved successfully',
+      data: places,
+      count: places.length,
+      searchCenter: { lat, lng },
+      searchRadius: radius
+    });
+  } catch (error) {
+    console.error('Nearby AR query error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ==================== EDITOR ENDPOINTS ====================
+
+// GET /api/ar/scenes?placeId= -> all scenes of a place including unpublished ones (ar:write)
+router.get('/scenes', auth, requirePermission('ar:write'), async (req, res) => {
+  try {
+    const { placeId } = req.query;
+    if (!placeId || !/^[0-9a-fA-F]{24}$/.test(placeId)) {
+      return res.status(400).json({ success: false, message: 'A valid placeId is required' });
+    }
+
+    const scenes = await getPlaceArScenes(placeId, { includeUnpublished: true });
+    return res.json({ success: true, message: 'AR scenes retrieved successfully', data: scenes });
+  } catch (error) {
+    console.error('AR scenes query error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/ar/scenes -> create a scene for a place (ar:write)
+router.post('/scenes', auth, requirePermission('ar:write'), validateArScene, async (req, res) => {
+  try {
+    const place = await Place.exists({ _id: req.body.placeId });
+    if (!place) {
+      return res.status(404).json({ success: false, message: 'Place not found' });
+    }
+
+    const scene = await ArScene.create({ placeId: req.body.placeId, ...pickFields(req.body, SCENE_FIELDS) });
+    return res.status(201).json({ success: true, message: 'AR scene created successfully', data: scene });
+  } catch (error) {
+    console.error('AR scene create error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/ar/scenes/:id -> update scene fields (ar:write)
+router.put('/scenes/:id', auth, requirePermission('ar:write'), validateObjectId, validateArSceneUpdate, async (req, res) => {
+  try {
+    const scene = await ArScene.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickFields(req.body, SCENE_FIELDS) },
+      { new: true, runValidators: true }
+    );
+    if (!scene) {
+      return res.status(404).json({ success: false, message: 'AR scene not found' });
+    }
+
+    return res.json({ success: true, message: 'AR scene updated successfully', data: scene });
+  } catch (error) {
+    console.error('AR scene update error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// DELETE /api/ar/scenes/:id -> delete a scene and its anchors (ar:write)
+router.delete('/scenes/:id', auth, requirePermission('ar:write'), validateObjectId, async (req, res) => {
+  try {
+    const scene = await ArScene.findByIdAndDelete(req.params.id);
+    if (!scene) {
+      return res.status(404).json({ success: false, message: 'AR scene not found' });
+    }
+
+    const { deletedCount } = await ArAnchor.deleteMany({ sceneId: scene._id });
+    return res.json({
+      success: true,
+      message: 'AR scene deleted successfully',
+      data: { anchorsDeleted: deletedCount }
+    });
+  } catch (error) {
+    console.error('AR scene delete error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/ar/scenes/:id/anchors -> add an anchor to a scene (ar:write)
+router.post('/scenes/:id/anchors', auth, requirePermission('ar:write'), validateObjectId, validateArAnchor, async (req, res) => {
+  try {
+    const scene = await ArScene.findById(req.params.id);
+    if (!scene) {
+      return res.status(404).json({ success: false, message: 'AR scene not found' });
+    }
+
+    const anchor = await ArAnchor.create({
+      ...prepareAnchorFields(req.body),
+      sceneId: scene._id,
+      placeId: scene.placeId
+    });
+    return res.status(201).json({ success: true, message: 'AR anchor created successfully', data: anchor });
+  } catch (error) {
+    console.error('AR anchor create error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/ar/anchors/:id -> update an anchor; nested objects are replaced except altitude (ar:write)
+router.put('/anchors/:id', auth, requirePermission('ar:write'), validateObjectId, validateArAnchorUpdate, async (req, res) => {
+  try {
+    const anchor = await ArAnchor.findById(req.params.id);
+    if (!anchor) {
+      return res.status(404).json({ success: false, message: 'AR anchor not found' });
+    }
+
+    const updates = prepareAnchorFields(req.body);
+    if (updates.altitude) {
+      updates.altitude = { ...anchor.altitude.toObject(), ...updates.altitude };
+    }
+    anchor.set(updates);
+    await anchor.save();
+
+    return res.json({ success: true, message: 'AR anchor updated successfully', data: anchor });
+  } catch (error) {
+    console.error('AR anchor update error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// DELETE /api/ar/anchors/:id -> delete an anchor (ar:write)
+router.delete('/anchors/:id', auth, requirePermission('ar:write'), validateObjectId, async (req, res) => {
+  try {
+    const anchor = await ArAnchor.findByIdAndDelete(req.params.id);
+    if (!anchor) {
+      return res.status(404).json({ success: false, message: 'AR anchor not found' });
+    }
+
+    return res.json({ success: true, message: 'AR anchor deleted successfully' });
+  } catch (error) {
+    console.error('AR anchor delete error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,72 @@
 const router = require('express').Router();
 const jwt = require('jsonwebtoken');
 const { User } = require('../../models');
-const { validateRegistration, validateLogin } = require('../middleware/validation');
-const { blacklistToken } = require('../middleware/tokenBlacklist');
+const { auth } = require('../middleware/auth');
+const { validateRegistration, validateLogin, validatePassword, checkDeviceId } = require('../middleware/validation');
+const {
+  getJwtSecret,
+  createSession,
+  rotateSession,
+  revokeFamily,
+  revokeUserSessions,
+  findFamilyByRefreshToken
+} = require('../utils/sessions');
+const {
+  getAccountRetryAfter,
+  recordAccountFailure,
+  resetAccountFailures,
+  getIpRetryAfter,
+  recordIpFailure
+} = require('../utils/loginThrottle');
+const { consumeUserToken } = require('../utils/userTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const {
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createBackupCodes,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+const { issueDeviceKey } = require('../utils/deviceKeys');
+const { isTwoFactorRequired } = require('../../config/roles');
+
+// User summary returned by register/login
+function toAuthUser(user) {
+  return {
+    id: user._id,
+    firstName: user.profile.firstName,
+    lastName: user.profile.lastName,
+    email: user.profile.email,
+    username: user.login.username,
+    emailVerified: user.profile.emailVerified,
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+    rewardPoints: user.rewardPoints.total
+  };
+}
+
+// Offline check-in signing key for the app installation that logged in, when it sent a deviceId
+async function issueLoginDeviceKey(user, tokens, deviceId) {
+  if (deviceId === undefined) return null;
+  return issueDeviceKey({ userId: user._id, deviceId, family: jwt.decode(tokens.token).sid });
+}
+
+function sendIpLocked(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: 'Too many failed login attempts from this IP, please try again later.',
+    retryAfter
+  });
+}
+
+function sendAccountLocked(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    message: 'Account temporarily locked due to too many failed login attempts. Try again later.',
+    retryAfter
+  });
+}
 
 // POST /api/auth/register -> create account with bcrypt hashing
 router.post('/register', validateRegistration, async (req, res) => {
@@ -32,27 +96,25 @@ router.post('/register', validateRegistration, async (req, res) => {
       rewardPoints: { total: 0 }
     });
 
-    // Generate JWT token for immediate login
-    const token = jwt.sign(
-      { id: user._id, role: user.role || 'user' }, 
-      process.env.JWT_SECRET || 'dev_secret', 
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Mail delivery problems must not fail the registration; the user can request a new link
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session for immediate login
+    const tokens = await createSession(user, req);
+    const deviceKey = await issueLoginDeviceKey(user, tokens, req.body.deviceId);
 
     return res.status(201).json({ 
       success: true,
       message: 'User created successfully',
       data: { 
         id: user._id,
-        token,
-        user: {
-          id: user._id,
-          firstName: user.profile.firstName,
-          lastName: user.profile.lastName,
-          email: user.profile.email,
-          username: user.login.username,
-          rewardPoints: user.rewardPoints.total
-        }
+        ...tokens,
+        user: toAuthUser(user),
+        ...(deviceKey && { deviceKey })
       }
     });
   } catch (error) {
@@ -64,46 +126,70 @@ router.post('/register', validateRegistration, async (req, res) => {
   }
 });
 
-// POST /api/auth/login -> login & return JWT
+// POST /api/auth/login -> login & return access + refresh tokens
 router.post('/login', validateLogin, async (req, res) => {
   try {
     const { username, password } = req.body;
 
+    const ipRetryAfter = await getIpRetryAfter(req.ip);
+    if (ipRetryAfter > 0) {
+      return sendIpLocked(res, ipRetryAfter);
+    }
+
     const user = await User.findOne({ 'login.username': username });
     if (!user) {
+      await recordIpFailure(req.ip);
       return res.status(401).json({ 
         success: false,
         message: 'Invalid credentials' 
       });
     }
 
+    // A locked account is rejected before the password is even checked
+    const accountRetryAfter = getAccountRetryAfter(user);
+    if (accountRetryAfter > 0) {
+      return sendAccountLocked(res, accountRetryAfter);
+    }
+
     const isValidPassword = await user.comparePassword(password);
     if (!isValidPassword) {
+      await recordIpFailure(req.ip);
+      const lockedFor = await recordAccountFailure(user);
+      if (lockedFor > 0) {
+        return sendAccountLocked(res, lockedFor);
+      }
       return res.status(401).json({ 
         success: false,
         message: 'Invalid credentials' 
       });
     }
 
-    const token = jwt.sign(
-      { id: user._id, role: user.role || 'user' }, 
-      process.env.JWT_SECRET || 'dev_secret', 
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    if (user.security && (user.security.failedLoginAttempts > 0 || user.security.lockUntil)) {
+      await resetAccountFailures(user._id);
+    }
+
+    // With 2FA enabled the password only earns a challenge for the second step
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          ...signTwoFactorChallenge(user)
+        }
+      });
+    }
+
+    const tokens = await createSession(user, req);
+    const deviceKey = await issueLoginDeviceKey(user, tokens, req.body.deviceId);
 
     return res.json({ 
       success: true,
       message: 'Login successful',
       data: { 
-        token,
-        user: {
-          id: user._id,
-          firstName: user.profile.firstName,
-          lastName: user.profile.lastName,
-          email: user.profile.email,
-          username: user.login.username,
-          rewardPoints: user.rewardPoints.total
-        }
+        ...tokens,
+        user: toAuthUser(user),
+        ...(deviceKey && { deviceKey })
       }
     });
   } catch (error) {
@@ -114,21 +200,429 @@ router.post('/login', validateLogin, async (req, res) => {
   }
 });
 
-module.exports = router;
+// POST /api/auth/login/2fa -> complete login with a TOTP or backup code
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    if (!challengeToken || !code) {
+      return res.status(400).json({ success: false, message: 'Challenge token and code are required' });
+    }
+    const deviceIdError = checkDeviceId(req.body.deviceId);
+    if (deviceIdError) {
+      return res.status(400).json({ success: false, message: deviceIdError });
+    }
 
-// POST /api/auth/logout -> blacklist current token
+    const ipRetryAfter = await getIpRetryAfter(req.ip);
+    if (ipRetryAfter > 0) {
+      return sendIpLocked(res, ipRetryAfter);
+    }
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    const user = userId
+      ? await User.findById(userId).select('+twoFactor.secret')
+      : null;
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired challenge. Please log in again.' });
+    }
+
+    const accountRetryAfter = getAccountRetryAfter(user);
+    if (accountRetryAfter > 0) {
+      return sendAccountLocked(res, accountRetryAfter);
+    }
+
+    const method = await verifySecondFactor(user, code);
+    if (!method) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await recordIpFailure(req.ip);
+      const lockedFor = await recordAccountFailure(user);
+      if (lockedFor > 0) {
+        return sendAccountLocked(res, lockedFor);
+      }
+      return res.status(401).json({ success: false, message: 'Invalid verification code' });
+    }
+
+    if (user.security && (user.security.failedLoginAttempts > 0 || user.security.lockUntil)) {
+      await resetAccountFailures(user._id);
+    }
+
+    const tokens = await createSession(user, req);
+    const deviceKey = await issueLoginDeviceKey(user, tokens, req.body.deviceId);
+
+    return res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        ...tokens,
+        user: toAuthUser(user),
+        ...(deviceKey && { deviceKey }),
+        ...(method === 'backup_code' && { usedBackupCode: true })
+      }
+    });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/auth/refresh -> rotate refresh token & issue a new access token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ success: false, message: 'Refresh token is required' });
+    }
+
+    const result = await rotateSession(refreshToken, req, (userId) => User.findById(userId));
+    if (result.error === 'reused') {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected. All sessions from this login have been revoked.'
+      });
+    }
+    if (result.error) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: result.tokens
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/auth/logout -> revoke the current session family
 router.post('/logout', async (req, res) => {
   try {
-    const authHeader = req.headers.authorization || '';
-    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
-    if (!token) {
-      return res.status(400).json({ success: false, message: 'No token to logout' });
+    let family = null;
+
+    if (req.body && typeof req.body.refreshToken === 'string') {
+      family = await findFamilyByRefreshToken(req.body.refreshToken);
+    } else {
+      const authHeader = req.headers.authorization || '';
+      const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+      if (!token) {
+        return res.status(400).json({ success: false, message: 'No token to logout' });
+      }
+      // Expired access tokens may still be used to end their session
+      try {
+        family = jwt.verify(token, getJwtSecret(), { ignoreExpiration: true }).sid;
+      } catch (error) {
+        return res.status(401).json({ success: false, message: 'Invalid token.' });
+      }
+    }
+
+    if (family) {
+      await revokeFamily(family, 'logout');
     }
-    blacklistToken(token);
     return res.json({ success: true, message: 'Logged out' });
   } catch (error) {
     return res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+// POST /api/auth/logout-all -> revoke every session of the current user
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id, 'logout_all');
+    return res.json({ success: true, message: 'Logged out of all sessions' });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/auth/device-key -> issue an offline check-in signing key for this device, bound to the current login
+router.post('/device-key', auth, async (req, res) => {
+  try {
+    const { deviceId } = req.body;
+    const deviceIdError = deviceId === undefined ? 'deviceId is required' : checkDeviceId(deviceId);
+    if (deviceIdError) {
+      return res.status(400).json({ success: false, message: deviceIdError });
+    }
+
+    const deviceKey = await issueDeviceKey({ userId: req.user.id, deviceId, family: req.user.sessionId });
+    return res.status(201).json({ success: true, message: 'Device key issued', data: { deviceKey } });
+  } catch (error) {
+    console.error('Device key error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/auth/verify-email -> confirm email address with the emailed token
+router.post('/verify-email', async (req, res) => {
+  try {
+    const consumed = await consumeUserToken(req.body.token, 'email_verification');
+    if (!consumed) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired verification token' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      consumed.userId,
+      { $set: { 'profile.emailVerified': true, 'profile.emailVerifiedAt': new Date() } },
+      { new: true }
+    );
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    return res.json({ success: true, message: 'Email verified' });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/auth/resend-verification -> send a new verification email to the current user
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    if (user.profile.emailVerified) {
+      return res.status(400).json({ success: false, message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+    return res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/auth/forgot-password -> email a password reset link
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ success: false, message: 'Email is required' });
+    }
 
+    const user = await User.findOne({ 'profile.email': email.toLowerCase() });
+    if (user) {
+      // A delivery failure must not change the response either, or it would reveal that the account exists
+      try {
+        await sendPasswordResetEmail(user);
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    // Same response whether or not the account exists, so emails can't be enumerated
+    return res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/auth/reset-password -> set a new password with the emailed token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ success: false, message: 'Token and password are required' });
+    }
+    if (!validatePassword(password)) {
+      return res.status(400).json({ success: false, message: 'Password must be at least 6 characters long' });
+    }
+
+    const consumed = await consumeUserToken(token, 'password_reset');
+    if (!consumed) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired reset token' });
+    }
+
+    const user = await User.findById(consumed.userId);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    // Password is hashed by the pre-save hook; the reset link also proves ownership of the email
+    user.login.password = password;
+    if (!user.profile.emailVerified) {
+      user.profile.emailVerified = true;
+      user.profile.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await resetAccountFailures(user._id);
+    await revokeUserSessions(user._id, 'password_changed');
+
+    return res.json({ success: true, message: 'Password has been reset. Please log in again.' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ==================== TWO-FACTOR AUTHENTICATION ====================
+
+// GET /api/auth/2fa -> 2FA status for the current user
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('role twoFactor.enabled twoFactor.enabledAt +twoFactor.backupCodes');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    return res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: isTwoFactorRequired(user.role),
+        backupCodesRemaining: user.twoFactor.enabled ? (user.twoFactor.backupCodes || []).length : 0
+      }
+    });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/auth/2fa/setup -> generate a pending secret and otpauth URI
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('login.username twoFactor.enabled');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    return res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUri({
+          secret,
+          accountName: user.login.username,
+          issuer: process.env.TWO_FACTOR_ISSUER || 'AR City'
+        })
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/auth/2fa/enable -> confirm the pending secret with a code & get backup codes
+router.post('/2fa/enable', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('twoFactor.enabled +twoFactor.pendingSecret');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ success: false, message: 'Start setup first via /api/auth/2fa/setup' });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ success: false, message: 'Invalid verification code' });
+    }
+
+    const { codes, hashes } = await createBackupCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.enabledAt': new Date(),
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.backupCodes': hashes,
+          'twoFactor.lastUsedStep': step
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+      }
+    );
+
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the backup codes somewhere safe; they are shown only once.',
+      data: { backupCodes: codes }
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/auth/2fa/backup-codes -> replace backup codes (requires a current code)
+router.post('/2fa/backup-codes', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('twoFactor.enabled +twoFactor.secret');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifySecondFactor(user, req.body.code))) {
+      return res.status(400).json({ success: false, message: 'Invalid verification code' });
+    }
+
+    const { codes, hashes } = await createBackupCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.backupCodes': hashes } });
+
+    return res.json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: { backupCodes: codes }
+    });
+  } catch (error) {
+    console.error('2FA backup codes error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/auth/2fa/disable -> turn 2FA off (requires password and a current code)
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    if (!password || !code) {
+      return res.status(400).json({ success: false, message: 'Password and code are required' });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactor.secret');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+    if (isTwoFactorRequired(user.role)) {
+      return res.status(403).json({ success: false, message: 'Two-factor authentication is mandatory for your role' });
+    }
+
+    const isValidPassword = await user.comparePassword(password);
+    if (!isValidPassword || !(await verifySecondFactor(user, code))) {
+      return res.status(400).json({ success: false, message: 'Invalid password or verification code' });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.enabledAt': 1,
+          'twoFactor.secret': 1,
+          'twoFactor.backupCodes': 1,
+          'twoFactor.lastUsedStep': 1
+        }
+      }
+    );
+
+    return res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const router = require('express').Router();
+const { Category, Place } = require('../../models');
+const { auth, requirePermission } = require('../middleware/auth');
+const { validateObjectId } = require('../middleware/validation');
+const { invalidateAllPlaceTiles } = require('../utils/vectorTiles');
+
+const EDITABLE_FIELDS = ['slug', 'name', 'description', 'icon', 'sortOrder', 'isActive'];
+
+function pickCategoryFields(body) {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+}
+
+// GET /api/categories -> active categories with place counts (public)
+router.get('/', async (_req, res) => {
+  try {
+    const categories = await Category.find({ isActive: true })
+      .select('slug name description icon sortOrder')
+      .sort({ sortOrder: 1, name: 1 })
+      .lean();
+
+    const counts = await Place.aggregate([
+      { $match: { category: { $ne: null } } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+    const countBySlug = new Map(counts.map(entry => [entry._id, entry.count]));
+
+    return res.json({
+      success: true,
+      message: 'Categories retrieved successfully',
+      data: categories.map(category => ({ ...category, placeCount: countBySlug.get(category.slug) || 0 }))
+    });
+  } catch (error) {
+    console.error('Categories query error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ==================== ADMIN ENDPOINTS ====================
+
+// GET /api/categories/admin/all -> all categories including inactive (places:write)
+router.get('/admin/all', auth, requirePermission('places:write'), async (_req, res) => {
+  try {
+    const categories = await Category.find({}).sort({ sortOrder: 1, name: 1 }).lean();
+    return res.json({ success: true, message: 'All categories retrieved successfully', data: categories });
+  } catch (error) {
+    console.error('Admin categories query error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/categories -> create category (places:write)
+router.post('/', auth, requirePermission('places:write'), async (req, res) => {
+  try {
+    const { slug, name } = req.body;
+    if (!slug || !name) {
+      return res.status(400).json({ success: false, message: 'Missing required fields: slug, name' });
+    }
+
+    const existing = await Category.exists({ slug: String(slug).trim().toLowerCase() });
+    if (existing) {
+      return res.status(409).json({ success: false, message: 'Category slug already exists' });
+    }
+
+    const category = await Category.create(pickCategoryFields(req.body));
+    return res.status(201).json({ success: true, message: 'Category created successfully', data: category });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors).map(err => err.message).join(', ') });
+    }
+    console.error('Category creation error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/categories/:id -> update category (places:write); renaming the slug re-tags its places
+router.put('/:id', auth, requirePermission('places:write'), validateObjectId, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const previousSlug = category.slug;
+    category.set(pickCategoryFields(req.body));
+
+    if (category.slug !== previousSlug && await Category.exists({ slug: category.slug })) {
+      return res.status(409).json({ success: false, message: 'Category slug already exists' });
+    }
+
+    await category.save();
+
+    if (category.slug !== previousSlug) {
+      await Place.updateMany(
+        { category: previousSlug },
+        { $set: { category: category.slug } }
+      ).setOptions({ withDeleted: true });
+      invalidateAllPlaceTiles();
+    }
+
+    return res.json({ success: true, message: 'Category updated successfully', data: category });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: Object.values(error.errors).map(err => err.message).join(', ') });
+    }
+    console.error('Category update error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// DELETE /api/categories/:id -> delete an unused category (places:write)
+router.delete('/:id', auth, requirePermission('places:write'), validateObjectId, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    const inUse = await Place.countDocuments({ category: category.slug }).setOptions({ withDeleted: true });
+    if (inUse > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Category is used by ${inUse} place(s). Reassign them or deactivate the category instead.`
+      });
+    }
+
+    await Category.deleteOne({ _id: category._id });
+    return res.json({ success: true, message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Category deletion error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,102 +1,284 @@
 const router = require('express').Router();
-const { auth } = require('../middleware/auth');
-const { Checkin, Place, User, RewardHistory } = require('../../models');
-const { validateCheckin, validateObjectId } = require('../middleware/validation');
+const { auth, requirePermission } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { Checkin, Place, DeviceKey } = require('../../models');
+const {
+  validateCheckin,
+  validateCheckinBatch,
+  checkOfflineCheckinFields,
+  validateObjectId
+} = require('../middleware/validation');
+const { getOpeningStatus } = require('../utils/openingHours');
+const { calculateDistance, pointInGeometry } = require('../utils/geo');
+const {
+  getDefaultCheckinPolicy,
+  resolveCheckinPolicy,
+  getCheckinHistory,
+  evaluateCheckinPolicy
+} = require('../utils/checkinPolicy');
+const { recordTourCheckin } = require('../utils/tours');
+const { assessCheckinRisk } = require('../utils/checkinRisk');
+const { runInTransaction, postPoints } = require('../utils/ledger');
+const { findUsableDeviceKey, verifyPayloadSignature } = require('../utils/deviceKeys');
+const { getOfflineCheckinSettings } = require('../../config/checkin');
 
-// POST /api/checkins -> verify distance (10-20m), save checkin, update points, log history
-router.post('/', auth, validateCheckin, async (req, res) => {
+const CHECKIN_STATUS_BY_ACTION = { allow: 'accepted', hold: 'held', reject: 'rejected' };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const REVIEW_QUEUES = {
+  held: { status: 'held' },
+  rejected: { status: 'rejected' },
+  all: { status: { $in: ['held', 'rejected'] } }
+};
+
+function reviewNote(body) {
+  return typeof body.note === 'string' ? body.note.trim().slice(0, 500) : undefined;
+}
+
+// Result of a check-in attempt, sent as the response (or as one item of a batch)
+function outcome(statusCode, message, data) {
+  return { statusCode, success: statusCode < 400, message, data };
+}
+
+// Policy refusal: 409 while a cooldown runs, 403 otherwise
+function policyRefusal(eligibility) {
+  return outcome(eligibility.reason === 'cooldown' ? 409 : 403, eligibility.message, {
+    reason: eligibility.reason,
+    nextAllowedAt: eligibility.nextAllowedAt,
+    checkinsRemaining: eligibility.checkinsRemaining
+  });
+}
+
+// Check the policy for a check-in at `timestamp` against the user's other counted check-ins at the place
+async function checkEligibility(policy, userId, placeId, timestamp, historyOptions) {
+  const history = await getCheckinHistory(userId, [placeId], historyOptions);
+  return evaluateCheckinPolicy(policy, history.get(String(placeId)), timestamp);
+}
+
+// Credit the points of an accepted check-in (as set by the policy when it was made), in the caller's transaction
+function creditCheckin(checkin, placeName, session) {
+  return postPoints({
+    userId: checkin.userId,
+    amount: checkin.points,
+    reason: `Check-in at ${placeName}`,
+    source: { type: 'checkin', id: checkin._id },
+    session
+  });
+}
+
+// Advance any tours the place is a stop of; the check-in itself has already been committed
+async function advanceTours(checkin) {
   try {
-    const { placeId, coordinates } = req.body; // coordinates: [lng, lat]
+    return await recordTourCheckin(checkin);
+  } catch (tourError) {
+    console.error('Tour progress error:', tourError);
+    return [];
+  }
+}
 
-    const place = await Place.findById(placeId);
-    if (!place) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Place not found' 
-      });
+/**
+ * Apply the place's check-in policy (active range, limit, cooldown, distance band or geofence), score spoofing
+ * risk and save the check-in; accepted check-ins update points, log history and advance tours.
+ * Offline check-ins are judged at the time the device recorded them.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.placeId
+ * @param {number[]} params.coordinates - [lng, lat]
+ * @param {Object} params.device - accuracy, altitude, speed, mockLocation
+ * @param {Date} [params.timestamp] - when the visit happened (now for live check-ins)
+ * @param {{deviceKeyId: string, clientRef: string}} [params.offline] - queued check-in submitted later
+ * @returns {Promise<{statusCode: number, success: boolean, message: string, data?: Object}>} the response to send
+ */
+async function submitCheckin({ userId, placeId, coordinates, device, timestamp = new Date(), offline = null }) {
+  const place = await Place.findById(placeId);
+  if (!place) {
+    return outcome(404, 'Place not found');
+  }
+
+  const policy = resolveCheckinPolicy(place, await getDefaultCheckinPolicy());
+
+  // Places can require check-ins during opening hours (places without hours are always allowed)
+  if (policy.requireOpen) {
+    const { isOpen, nextChange } = getOpeningStatus(place, timestamp);
+    if (isOpen === false) {
+      return offline
+        ? outcome(403, 'This place was closed at the time of the check-in. Check-ins are only accepted during opening hours.')
+        : outcome(403, 'This place is closed right now. Check-ins are only accepted during opening hours.', { opensAt: nextChange });
     }
+  }
 
-    // Calculate precise distance using Haversine formula
-    const [lng, lat] = coordinates;
-    const distance = calculateDistance(
-      lat, lng,
-      place.location.coordinates[1], 
-      place.location.coordinates[0]
-    );
-    
-    // Verify distance is within 10-20 meters
-    if (distance > 20) {
-      return res.status(400).json({ 
-        success: false,
-        message: `Too far from place. You are ${Math.round(distance)}m away. Must be within 20 meters.` 
-      });
+  // Calculate precise distance using Haversine formula
+  const [lng, lat] = coordinates;
+  const distance = calculateDistance(
+    lat, lng,
+    place.location.coordinates[1], 
+    place.location.coordinates[0]
+  );
+
+  if (place.checkinArea && place.checkinArea.coordinates) {
+    // Large POIs (parks, stadiums) define a polygon to stand in instead of a distance band
+    if (!pointInGeometry([lng, lat], place.checkinArea)) {
+      return outcome(400, 'You are outside the check-in area of this place.');
     }
+  } else {
+    const { minDistanceMeters: minDistance, maxDistanceMeters: maxDistance } = policy;
 
-    if (distance < 10) {
-      return res.status(400).json({ 
-        success: false,
-        message: `Too close to place. You are ${Math.round(distance)}m away. Must be at least 10 meters away.` 
-      });
+    if (distance > maxDistance) {
+      return outcome(400, `Too far from place. You are ${Math.round(distance)}m away. Must be within ${maxDistance} meters.`);
     }
 
-    // Check if user already checked in today
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    if (distance < minDistance) {
+      return outcome(400, `Too close to place. You are ${Math.round(distance)}m away. Must be at least ${minDistance} meters away.`);
+    }
+  }
 
-    const existingCheckin = await Checkin.findOne({
-      userId: req.user.id,
-      placeId: place._id,
-      timestamp: { $gte: today, $lt: tomorrow }
+  // Active range, per-user limit and cooldown (rejected attempts don't count)
+  const historyOptions = offline ? { around: timestamp } : {};
+  const eligibility = await checkEligibility(policy, userId, place._id, timestamp, historyOptions);
+  if (!eligibility.allowed) {
+    return policyRefusal(eligibility);
+  }
+
+  const risk = await assessCheckinRisk({ userId, coordinates: [lng, lat], device, timestamp, recordedEarlier: Boolean(offline) });
+
+  // Create checkin record; held and rejected ones are kept for review
+  const checkinData = {
+    userId,
+    placeId: place._id,
+    location: { type: 'Point', coordinates: [lng, lat] },
+    timestamp,
+    points: policy.points,
+    device,
+    risk,
+    status: CHECKIN_STATUS_BY_ACTION[risk.action],
+    ...(offline && { offline: { ...offline, submittedAt: new Date() } })
+  };
+
+  // An accepted check-in and its points are saved together. The policy is checked again inside the transaction:
+  // concurrent check-ins by the same user all write the user's balance, so all but one are retried by the
+  // driver and then see the check-in that got in first. Held ones are rechecked when they are approved.
+  let checkin;
+  let balance;
+  if (checkinData.status === 'accepted') {
+    let refusal;
+    ({ checkin, balance, refusal } = await runInTransaction(async (session) => {
+      const current = await checkEligibility(policy, userId, place._id, timestamp, { ...historyOptions, session });
+      if (!current.allowed) return { refusal: current };
+
+      const [created] = await Checkin.create([checkinData], { session });
+      const credit = await creditCheckin(created, place.name, session);
+      return { checkin: created, balance: credit.balance };
+    }));
+    if (refusal) return policyRefusal(refusal);
+  } else {
+    checkin = await Checkin.create(checkinData);
+  }
+
+  // The signals stay internal so they can't be used to tune a spoofer
+  if (checkin.status === 'rejected') {
+    return outcome(403, 'Check-in rejected: your location could not be verified.', { checkinId: checkin._id, status: checkin.status });
+  }
+
+  const placeData = { id: place._id, name: place.name, distance: Math.round(distance) };
+
+  if (checkin.status === 'held') {
+    return outcome(202, 'Check-in received and held for review. Points are awarded once it is approved.', {
+      checkinId: checkin._id,
+      status: checkin.status,
+      place: placeData,
+      points: { awarded: 0 },
+      timestamp: checkin.timestamp
     });
+  }
 
-    if (existingCheckin) {
-      return res.status(409).json({
-        success: false,
-        message: 'Already checked in at this place today'
-      });
+  const tours = await advanceTours(checkin);
+
+  return outcome(201, 'Check-in successful! Points awarded.', {
+    checkinId: checkin._id,
+    status: checkin.status,
+    place: placeData,
+    points: {
+      awarded: checkin.points,
+      total: balance + tours.reduce((sum, tour) => sum + tour.bonusAwarded, 0)
+    },
+    tours,
+    timestamp: checkin.timestamp
+  });
+}
+
+function sendOutcome(res, { statusCode, success, message, data }) {
+  return res.status(statusCode).json({ success, message, ...(data !== undefined && { data }) });
+}
+
+// Check a signed queue entry and turn it into submitCheckin params; returns { error } (an outcome) when it can't be used
+function readOfflineItem(item, deviceKey, now) {
+  if (!verifyPayloadSignature(deviceKey.secret, item.payload, item.signature)) {
+    return { error: outcome(401, 'Invalid signature') };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(item.payload);
+  } catch (parseError) {
+    return { error: outcome(400, 'Payload is not valid JSON') };
+  }
+  const fieldError = checkOfflineCheckinFields(data);
+  if (fieldError) return { error: outcome(400, fieldError), clientRef: data && data.clientRef };
+
+  const { maxDelayHours, clockSkewSeconds } = getOfflineCheckinSettings();
+  const capturedAt = new Date(data.capturedAt);
+  const skewMs = clockSkewSeconds * 1000;
+  const fail = (message) => ({ error: outcome(400, message), clientRef: data.clientRef });
+  if (capturedAt.getTime() > now.getTime() + skewMs) {
+    return fail('capturedAt is in the future');
+  }
+  if (capturedAt.getTime() < deviceKey.createdAt.getTime() - skewMs) {
+    return fail('capturedAt is before the device key was issued');
+  }
+  if (now - capturedAt > maxDelayHours * HOUR_MS) {
+    return fail(`Offline check-ins must be submitted within ${maxDelayHours} hours`);
+  }
+
+  const { placeId, coordinates, accuracy, altitude, speed, mockLocation } = data;
+  return {
+    clientRef: data.clientRef,
+    params: {
+      placeId,
+      coordinates,
+      device: { accuracy, altitude, speed, mockLocation },
+      // Device clocks can run a little ahead; never store a visit later than its submission
+      timestamp: capturedAt > now ? now : capturedAt,
+      offline: { deviceKeyId: deviceKey._id, clientRef: data.clientRef }
     }
+  };
+}
 
-    // Create checkin record
-    const checkin = await Checkin.create({
-      userId: req.user.id,
-      placeId: place._id,
-      location: { type: 'Point', coordinates: [lng, lat] },
-      timestamp: new Date()
-    });
+// The stored check-in for a queue entry that was already submitted
+async function findSubmitted(userId, clientRef) {
+  const existing = await Checkin.findOne({ userId, 'offline.clientRef': clientRef }).select('status points timestamp').lean();
+  if (!existing) return null;
+  return outcome(200, 'Check-in was already submitted', {
+    checkinId: existing._id,
+    status: existing.status || 'accepted',
+    duplicate: true,
+    timestamp: existing.timestamp
+  });
+}
 
-    // Update user reward points
-    const user = await User.findById(req.user.id);
-    const pointsAwarded = 10; // Base points for check-in
-    user.rewardPoints.total += pointsAwarded;
-    await user.save();
-
-    // Log in reward history
-    await RewardHistory.create({
-      userId: user._id,
-      amount: pointsAwarded,
-      reason: `Check-in at ${place.name}`,
-      timestamp: new Date()
-    });
+// POST /api/checkins -> apply the place's check-in policy (active range, limit, cooldown, distance band or geofence),
+// score spoofing risk, save checkin; accepted check-ins update points, log history and advance tours
+router.post('/', auth, idempotency, validateCheckin, async (req, res) => {
+  try {
+    const { placeId, coordinates, accuracy, altitude, speed, mockLocation } = req.body; // coordinates: [lng, lat]
 
-    return res.status(201).json({ 
-      success: true,
-      message: 'Check-in successful! Points awarded.',
-      data: { 
-        checkinId: checkin._id,
-        place: {
-          id: place._id,
-          name: place.name,
-          distance: Math.round(distance)
-        },
-        points: {
-          awarded: pointsAwarded,
-          total: user.rewardPoints.total
-        },
-        timestamp: checkin.timestamp
-      }
+    const result = await submitCheckin({
+      userId: req.user.id,
+      placeId,
+      coordinates,
+      device: { accuracy, altitude, speed, mockLocation }
     });
+    return sendOutcome(res, result);
   } catch (error) {
     console.error('Check-in error:', error);
     return res.status(500).json({ 
@@ -106,35 +288,107 @@ router.post('/', auth, validateCheckin, async (req, res) => {
   }
 });
 
-// Helper function to calculate distance between two GPS coordinates
-function calculateDistance(lat1, lng1, lat2, lng2) {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = lat1 * Math.PI / 180;
-  const φ2 = lat2 * Math.PI / 180;
-  const Δφ = (lat2 - lat1) * Math.PI / 180;
-  const Δλ = (lng2 - lng1) * Math.PI / 180;
+// POST /api/checkins/batch -> submit check-ins queued offline, each signed with the device key issued at login.
+// Items are judged in the order they were captured, by the same rules as live check-ins; one result per item
+router.post('/batch', auth, validateCheckinBatch, async (req, res) => {
+  try {
+    const deviceKey = await findUsableDeviceKey(req.user.id, req.body.deviceKeyId);
+    if (!deviceKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unknown, expired or revoked device key. Log in again to get a new one.'
+      });
+    }
 
-  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-          Math.cos(φ1) * Math.cos(φ2) *
-          Math.sin(Δλ/2) * Math.sin(Δλ/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    const now = new Date();
+    const results = new Array(req.body.items.length);
+    const pending = [];
+    req.body.items.forEach((item, index) => {
+      const read = readOfflineItem(item, deviceKey, now);
+      if (read.error) {
+        results[index] = { index, clientRef: read.clientRef || null, ...read.error };
+      } else {
+        pending.push({ index, ...read });
+      }
+    });
+    pending.sort((a, b) => a.params.timestamp - b.params.timestamp);
 
-  return R * c; // Distance in meters
-}
+    for (const { index, clientRef, params } of pending) {
+      let result;
+      try {
+        result = await findSubmitted(req.user.id, clientRef)
+          || await submitCheckin({ userId: req.user.id, ...params });
+      } catch (error) {
+        // Resubmitted concurrently: the other request stored it
+        result = error.code === 11000 ? await findSubmitted(req.user.id, clientRef) : null;
+        if (!result) {
+          console.error('Offline check-in error:', error);
+          result = outcome(500, 'Server error');
+        }
+      }
+      results[index] = { index, clientRef, ...result };
+    }
+
+    if (pending.length > 0) {
+      await DeviceKey.updateOne({ _id: deviceKey._id }, { $set: { lastUsedAt: now } });
+    }
+
+    const count = (predicate) => results.filter(predicate).length;
+    return res.json({
+      success: true,
+      message: `Processed ${results.length} check-in(s)`,
+      data: {
+        results,
+        summary: {
+          accepted: count(result => result.statusCode === 201),
+          held: count(result => result.statusCode === 202),
+          duplicates: count(result => result.statusCode === 200),
+          failed: count(result => !result.success)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Offline check-in batch error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
 // GET /api/checkins -> get user's checkins
 router.get('/', auth, async (req, res) => {
   try {
+    // Deleted places are still shown; purged ones fall back to the tombstone summary
     const checkins = await Checkin.find({ userId: req.user.id })
-      .populate('placeId', 'name description location images')
+      .populate({
+        path: 'placeId',
+        select: 'name description location images deletedAt',
+        options: { withDeleted: true }
+      })
       .sort({ timestamp: -1 })
       .limit(50);
 
+    const data = checkins.map(checkin => {
+      const item = checkin.toObject();
+      if (item.placeId) {
+        item.placeId.deleted = Boolean(item.placeId.deletedAt);
+        delete item.placeId.deletedAt;
+      } else {
+        const summary = item.placeSummary || {};
+        item.placeId = {
+          _id: checkin.populated('placeId'),
+          name: summary.name || 'Removed place',
+          location: summary.coordinates ? { type: 'Point', coordinates: summary.coordinates } : undefined,
+          deleted: true
+        };
+      }
+      delete item.placeSummary;
+      return item;
+    });
+
     return res.json({
       success: true,
       message: 'Check-ins retrieved successfully',
-      data: checkins,
-      count: checkins.length
+      data,
+      count: data.length
     });
   } catch (error) {
     return res.status(500).json({ 
@@ -144,6 +398,137 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// ==================== REVIEW ENDPOINTS ====================
+
+// GET /api/checkins/review?status=held|rejected|all&page=&limit= -> flagged check-ins, riskiest first (checkins:review)
+router.get('/review', auth, requirePermission('checkins:review'), async (req, res) => {
+  try {
+    const queue = req.query.status || 'held';
+    if (!REVIEW_QUEUES[queue]) {
+      return res.status(400).json({ success: false, message: `Status must be one of: ${Object.keys(REVIEW_QUEUES).join(', ')}` });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = REVIEW_QUEUES[queue];
+
+    const [checkins, totalCount] = await Promise.all([
+      Checkin.find(filter)
+        .sort({ 'risk.score': -1, timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'login.username profile.firstName profile.lastName')
+        .populate({ path: 'placeId', select: 'name location', options: { withDeleted: true } })
+        .lean(),
+      Checkin.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+    return res.json({
+      success: true,
+      message: 'Check-in review queue retrieved successfully',
+      data: checkins,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Check-in review queue error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/checkins/:id/approve -> accept a held (or rejected) check-in and award its points (checkins:review)
+router.post('/:id/approve', auth, requirePermission('checkins:review'), validateObjectId, async (req, res) => {
+  try {
+    const checkin = await Checkin.findById(req.params.id);
+    if (!checkin) {
+      return res.status(404).json({ success: false, message: 'Check-in not found' });
+    }
+    if (!Checkin.UNCOUNTED_STATUSES.includes(checkin.status)) {
+      return res.status(409).json({ success: false, message: 'Check-in has already been accepted' });
+    }
+
+    const place = await Place.findById(checkin.placeId).setOptions({ withDeleted: true }).select('name timeZone checkinPolicy').lean();
+
+    const policy = place ? resolveCheckinPolicy(place, await getDefaultCheckinPolicy()) : null;
+    const placeName = place ? place.name : (checkin.placeSummary && checkin.placeSummary.name) || 'a removed place';
+
+    // Status change and points in one transaction, so a check-in can't be credited twice. Other check-ins may
+    // have been counted since (before or after this one), so the policy is rechecked as of its time in there.
+    let refusal;
+    const accepted = await runInTransaction(async (session) => {
+      refusal = null;
+      if (policy) {
+        const eligibility = await checkEligibility(policy, checkin.userId, place._id, checkin.timestamp, {
+          around: checkin.timestamp,
+          excludeId: checkin._id,
+          session
+        });
+        if (!eligibility.allowed) {
+          refusal = eligibility;
+          return null;
+        }
+      }
+
+      const updated = await Checkin.findOneAndUpdate(
+        { _id: checkin._id, status: checkin.status },
+        { $set: { status: 'accepted', review: { decidedBy: req.user.id, decidedAt: new Date(), note: reviewNote(req.body) } } },
+        { new: true, session }
+      );
+      if (updated) await creditCheckin(updated, placeName, session);
+      return updated;
+    });
+    if (refusal) {
+      return res.status(409).json({ success: false, message: `Check-in can't be approved: ${refusal.message}`, data: { reason: refusal.reason } });
+    }
+    if (!accepted) {
+      return res.status(409).json({ success: false, message: 'Check-in was reviewed concurrently' });
+    }
+
+    const tours = await advanceTours(accepted);
+
+    return res.json({
+      success: true,
+      message: 'Check-in approved and points awarded',
+      data: { checkin: accepted, points: { awarded: accepted.points }, tours }
+    });
+  } catch (error) {
+    if (error.code === 'USER_NOT_FOUND') {
+      return res.status(404).json({ success: false, message: 'The user of this check-in no longer exists' });
+    }
+    console.error('Check-in approve error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/checkins/:id/reject -> reject a held check-in (checkins:review)
+router.post('/:id/reject', auth, requirePermission('checkins:review'), validateObjectId, async (req, res) => {
+  try {
+    const checkin = await Checkin.findOneAndUpdate(
+      { _id: req.params.id, status: 'held' },
+      { $set: { status: 'rejected', review: { decidedBy: req.user.id, decidedAt: new Date(), note: reviewNote(req.body) } } },
+      { new: true }
+    );
+    if (!checkin) {
+      const exists = await Checkin.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ success: false, message: 'Only held check-ins can be rejected' })
+        : res.status(404).json({ success: false, message: 'Check-in not found' });
+    }
+
+    return res.json({ success: true, message: 'Check-in rejected', data: checkin });
+  } catch (error) {
+    console.error('Check-in reject error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 module.exports = router;
 
 
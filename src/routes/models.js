@@ -0,0 +1,154 @@
+const router = require('express').Router();
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { ModelAsset, ArAnchor } = require('../../models');
+const { auth, requirePermission } = require('../middleware/auth');
+const { validateObjectId } = require('../middleware/validation');
+const { modelUpload, modelsDir, MODEL_CONTENT_TYPES } = require('../middleware/modelUpload');
+const { inspectModel } = require('../utils/modelInspector');
+const { getModelBudgets, checkModelBudgets } = require('../../config/modelAssets');
+
+function removeUploadedFile(file) {
+  return fs.promises.unlink(file.path).catch(error => {
+    console.error('Failed to delete uploaded model:', error);
+  });
+}
+
+// POST /api/models -> upload a .glb/.gltf/.usdz model, validate it and store its metadata (ar:write)
+router.post('/', auth, requirePermission('ar:write'), (req, res) => {
+  modelUpload().single('model')(req, res, async (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Model exceeds the ${Math.round(getModelBudgets().maxFileSizeBytes / 1024 / 1024)}MB size limit`
+        : err.message || 'File upload error';
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ success: false, message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No model file provided. Please upload a model.'
+      });
+    }
+
+    try {
+      const ext = path.extname(req.file.filename);
+      const format = ext.slice(1);
+      const buffer = await fs.promises.readFile(req.file.path);
+
+      const { error, metadata } = inspectModel(buffer, format);
+      const problem = error || checkModelBudgets(metadata, getModelBudgets());
+      if (problem) {
+        await removeUploadedFile(req.file);
+        return res.status(422).json({ success: false, message: problem });
+      }
+
+      // Identical uploads reuse the stored asset
+      const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+      const existing = await ModelAsset.findOne({ sha256, format });
+      if (existing) {
+        await removeUploadedFile(req.file);
+        return res.json({ success: true, message: 'Model already uploaded', data: existing });
+      }
+
+      const asset = await ModelAsset.create({
+        filename: req.file.filename,
+        originalName: req.file.originalname,
+        format,
+        contentType: MODEL_CONTENT_TYPES[ext],
+        url: `/models/${req.file.filename}`,
+        size: buffer.length,
+        sha256,
+        ...(metadata || {}),
+        uploadedBy: req.user.id
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Model uploaded successfully',
+        data: asset
+      });
+    } catch (error) {
+      console.error('Model upload error:', error);
+      await removeUploadedFile(req.file);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+});
+
+// GET /api/models -> uploaded models, newest first (ar:write)
+router.get('/', auth, requirePermission('ar:write'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const filter = {};
+    if (['glb', 'gltf', 'usdz'].includes(req.query.format)) filter.format = req.query.format;
+
+    const [assets, total] = await Promise.all([
+      ModelAsset.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      ModelAsset.countDocuments(filter)
+    ]);
+
+    return res.json({
+      success: true,
+      message: 'Models retrieved successfully',
+      data: assets,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Models query error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/models/:id -> metadata of one model (public, clients use it to pre-size content)
+router.get('/:id', validateObjectId, async (req, res) => {
+  try {
+    const asset = await ModelAsset.findById(req.params.id).select('-uploadedBy').lean();
+    if (!asset) {
+      return res.status(404).json({ success: false, message: 'Model not found' });
+    }
+
+    return res.json({ success: true, message: 'Model retrieved successfully', data: asset });
+  } catch (error) {
+    console.error('Model query error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// DELETE /api/models/:id -> delete a model that no AR anchor uses (ar:write)
+router.delete('/:id', auth, requirePermission('ar:write'), validateObjectId, async (req, res) => {
+  try {
+    const asset = await ModelAsset.findById(req.params.id);
+    if (!asset) {
+      return res.status(404).json({ success: false, message: 'Model not found' });
+    }
+
+    const inUse = await ArAnchor.countDocuments({ 'content.url': asset.url });
+    if (inUse > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Model is used by ${inUse} AR anchor(s). Remove it from them first.`
+      });
+    }
+
+    await asset.deleteOne();
+    await fs.promises.unlink(path.join(modelsDir, asset.filename)).catch(() => {});
+
+    return res.json({ success: true, message: 'Model deleted successfully' });
+  } catch (error) {
+    console.error('Model delete error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
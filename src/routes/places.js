@@ -1,30 +1,124 @@
 const router = require('express').Router();
-const { Place, User, RewardHistory } = require('../../models');
-const { auth, adminOnly } = require('../middleware/auth');
-const { validatePlace, validatePlacesQuery, validateObjectId } = require('../middleware/validation');
+const { Place, User, PlaceRevision, Category, Review } = require('../../models');
+const { auth, requirePermission, optionalAuth } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  validatePlace,
+  validatePlaceUpdate,
+  validatePlacesQuery,
+  validateObjectId,
+  validateReview,
+  checkTranslations,
+  PLACE_TRANSLATION_LIMITS
+} = require('../middleware/validation');
+const {
+  PLACE_EDITABLE_FIELDS,
+  diffPlaceFields,
+  getPlaceEtag,
+  ifMatchSatisfied,
+  revisionFilter,
+  recordRevision,
+  ensureBaselineRevision
+} = require('../utils/placeRevisions');
+const { normalizeTags, buildPlaceSearch, withinRadius, withinBbox, getPlaceFacets } = require('../utils/placeSearch');
+const { getOpeningStatus } = require('../utils/openingHours');
+const { calculateDistance, parseBbox } = require('../utils/geo');
+const { getPlaceArScenes } = require('../utils/arScenes');
+const { clusterPlaces, expandCluster } = require('../utils/mapClustering');
+const { placeDataUpload } = require('../middleware/dataUpload');
+const { detectFormat, parsePlaceFile, placesToGeoJson, placesToKml } = require('../utils/placeFormats');
+const { planPlaceImport, commitPlaceImport, summarizeImport } = require('../utils/placeImport');
+const { invalidatePlaceTiles } = require('../utils/vectorTiles');
+const { REVIEW_SORTS, hasVisitedPlace, getReviewSummary, refreshPlaceRating, toReviewPhotos, formatReview } = require('../utils/reviews');
+const {
+  parseTranslationLocale,
+  getLocaleChain,
+  setLocaleHeaders,
+  localize,
+  normalizeTranslations,
+  getMissingTranslations,
+  missingTranslationsFilter
+} = require('../utils/i18n');
+const { getDefaultLocale, getTranslationLocales } = require('../../config/i18n');
+const {
+  getDefaultCheckinPolicy,
+  normalizePlacePolicy,
+  resolveCheckinPolicy,
+  getCheckinHistory,
+  evaluateCheckinPolicy
+} = require('../utils/checkinPolicy');
+const { postPoints } = require('../utils/ledger');
 
-// GET /api/places?lat=&lng=&radius= -> query nearby places using $nearSphere
+// Keep only places open right now; places without opening hours are left out
+function filterOpenNow(places, now = new Date()) {
+  return places.filter(place => getOpeningStatus(place, now).isOpen === true);
+}
+
+// Reject unknown categories and normalize tags before a place is written
+async function preparePlaceTaxonomy(req, res, next) {
+  try {
+    if (req.body.tags !== undefined) {
+      req.body.tags = normalizeTags(req.body.tags);
+    }
+
+    if (typeof req.body.category === 'string') {
+      req.body.category = req.body.category.trim().toLowerCase();
+      const exists = await Category.exists({ slug: req.body.category, isActive: true });
+      if (!exists) {
+        return res.status(400).json({ success: false, message: `Unknown category: ${req.body.category}` });
+      }
+    }
+    next();
+  } catch (error) {
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+}
+
+// GET /api/places?lat=&lng=&radius=&q=&category=&tags=&openNow=&lang= -> search places, nearest first when lat/lng given
 router.get('/', validatePlacesQuery, async (req, res) => {
   try {
     const lat = parseFloat(req.query.lat);
     const lng = parseFloat(req.query.lng);
     const radius = parseInt(req.query.radius || '1000', 10);
+    const openNow = req.query.openNow === 'true';
+    const openAt = openNow ? new Date() : null;
+    const { filter, text } = buildPlaceSearch(req.query);
+    const chain = getLocaleChain(req);
+
+    // Opening hours are evaluated per place time zone, so over-fetch and filter afterwards
+    if (openNow) {
+      filter.$or = [
+        { 'openingHours.weekly.0': { $exists: true } },
+        { 'openingHours.exceptions.0': { $exists: true } }
+      ];
+    }
 
     if (Number.isFinite(lat) && Number.isFinite(lng)) {
-      // Use $nearSphere for accurate GPS-based distance calculations
-      const places = await Place.find({
-        location: {
-          $nearSphere: {
-            $geometry: { 
-              type: 'Point', 
-              coordinates: [lng, lat] 
-            },
-            $maxDistance: radius // radius in meters
+      let places;
+      if (text) {
+        // $text can't be combined with $nearSphere, so filter by circle and sort by distance here
+        places = await Place.find({ ...filter, location: withinRadius(lng, lat, radius) })
+          .limit(500)
+          .lean();
+      } else {
+        // Use $nearSphere for accurate GPS-based distance calculations
+        places = await Place.find({
+          ...filter,
+          location: {
+            $nearSphere: {
+              $geometry: { 
+                type: 'Point', 
+                coordinates: [lng, lat] 
+              },
+              $maxDistance: radius // radius in meters
+            }
           }
-        }
-      })
-      .limit(50)
-      .lean(); // Use lean() for better performance
+        })
+        .limit(openNow ? 500 : 50)
+        .lean(); // Use lean() for better performance
+      }
+
+      if (openNow) places = filterOpenNow(places, openAt);
 
       // Add distance calculation to each place
       const placesWithDistance = places.map(place => {
@@ -37,25 +131,40 @@ router.get('/', validatePlacesQuery, async (req, res) => {
           ...place,
           distance: Math.round(distance) // distance in meters
         };
-      });
+      })
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, 50);
+
+      const facets = await getPlaceFacets({ ...filter, location: withinRadius(lng, lat, radius) }, { openAt });
 
+      setLocaleHeaders(res, chain);
       return res.json({
         success: true,
         message: 'Nearby places retrieved successfully',
-        data: placesWithDistance,
+        data: placesWithDistance.map(place => localize(place, 'place', chain)),
         count: placesWithDistance.length,
+        facets,
         searchCenter: { lat, lng },
         searchRadius: radius
       });
     }
 
-    // Fallback: return all places if no coordinates provided
-    const all = await Place.find({}).limit(100).lean();
+    // Without coordinates: best text matches first, otherwise up to 100 places
+    let query = Place.find(filter).limit(openNow ? 1000 : 100).lean();
+    if (text) {
+      query = query.select({ score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' } });
+    }
+    let all = await query;
+    if (openNow) all = filterOpenNow(all, openAt).slice(0, 100);
+    const facets = await getPlaceFacets(filter, { openAt });
+
+    setLocaleHeaders(res, chain);
     return res.json({
       success: true,       
       message: 'All places retrieved successfully',
-      data: all,
-      count: all.length
+      data: all.map(place => localize(place, 'place', chain)),
+      count: all.length,
+      facets
     });
   } catch (error) {
     console.error('Places query error:', error);
@@ -66,24 +175,57 @@ router.get('/', validatePlacesQuery, async (req, res) => {
   }
 });
 
-// Helper function to calculate distance between two GPS coordinates
-function calculateDistance(lat1, lng1, lat2, lng2) {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = lat1 * Math.PI / 180;
-  const φ2 = lat2 * Math.PI / 180;
-  const Δφ = (lat2 - lat1) * Math.PI / 180;
-  const Δλ = (lng2 - lng1) * Math.PI / 180;
+// GET /api/places/map?bbox=minLng,minLat,maxLng,maxLat&zoom=&category=&tags=&q= -> places or clusters in view
+// Registered before /:id so "map" isn't taken for an id
+router.get('/map', validatePlacesQuery, async (req, res) => {
+  try {
+    const bbox = parseBbox(req.query.bbox);
+    if (!bbox) {
+      return res.status(400).json({ success: false, message: 'bbox must be minLng,minLat,maxLng,maxLat' });
+    }
+
+    const zoom = parseInt(req.query.zoom, 10);
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > 22) {
+      return res.status(400).json({ success: false, message: 'zoom must be an integer between 0 and 22' });
+    }
 
-  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-          Math.cos(φ1) * Math.cos(φ2) *
-          Math.sin(Δλ/2) * Math.sin(Δλ/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    const { filter } = buildPlaceSearch(req.query);
+    const result = await clusterPlaces(filter, bbox, zoom);
 
-  return R * c; // Distance in meters
-}
+    return res.json({
+      success: true,
+      message: 'Map places retrieved successfully',
+      data: { zoom, bbox, ...result }
+    });
+  } catch (error) {
+    console.error('Map query error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/places/map/clusters/:clusterId -> what a cluster splits into one zoom level deeper
+router.get('/map/clusters/:clusterId', validatePlacesQuery, async (req, res) => {
+  try {
+    const { filter } = buildPlaceSearch(req.query);
+    const result = await expandCluster(filter, req.params.clusterId);
+    if (!result) {
+      return res.status(400).json({ success: false, message: 'Invalid cluster id' });
+    }
+
+    return res.json({
+      success: true,
+      message: 'Cluster expanded successfully',
+      data: { clusterId: req.params.clusterId, ...result }
+    });
+  } catch (error) {
+    console.error('Cluster expand error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-// GET /api/places/:id -> details for one POI
-router.get('/:id', validateObjectId, async (req, res) => {
+// GET /api/places/:id?lang= -> details for one POI (localized by ?lang= or Accept-Language) with its
+// effective check-in policy, and whether the signed-in user can check in now
+router.get('/:id', validateObjectId, optionalAuth, async (req, res) => {
   try {
     const place = await Place.findById(req.params.id);
     if (!place) {
@@ -93,10 +235,22 @@ router.get('/:id', validateObjectId, async (req, res) => {
       });
     }
     
+    const { isOpen, nextChange } = getOpeningStatus(place);
+    const chain = getLocaleChain(req);
+
+    const policy = resolveCheckinPolicy(place, await getDefaultCheckinPolicy());
+    let eligibility = null;
+    if (req.user) {
+      const history = await getCheckinHistory(req.user.id, [place._id]);
+      eligibility = evaluateCheckinPolicy(policy, history.get(String(place._id)));
+    }
+
+    res.set('ETag', getPlaceEtag(place));
+    setLocaleHeaders(res, chain);
     return res.json({
       success: true,
       message: 'Place retrieved successfully',
-      data: place
+      data: { ...localize(place, 'place', chain), isOpen, nextChange, checkin: { policy, eligibility } }
     });
   } catch (error) {
     return res.status(500).json({ 
@@ -106,19 +260,134 @@ router.get('/:id', validateObjectId, async (req, res) => {
   }
 });
 
-// POST /api/places -> add POI (admin only)
-router.post('/', auth, adminOnly, validatePlace, async (req, res) => {
+// GET /api/places/:id/ar -> published AR scenes and anchors of a POI
+router.get('/:id/ar', validateObjectId, async (req, res) => {
+  try {
+    const place = await Place.findById(req.params.id).select('name location timeZone').lean();
+    if (!place) {
+      return res.status(404).json({ success: false, message: 'Place not found' });
+    }
+
+    const scenes = await getPlaceArScenes(place._id);
+
+    return res.json({
+      success: true,
+      message: 'AR content retrieved successfully',
+      data: { place, scenes }
+    });
+  } catch (error) {
+    console.error('Place AR content error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/places/:id/reviews?sort=recent|highest|lowest&page=&limit= -> visible reviews of a POI with rating summary
+router.get('/:id/reviews', validateObjectId, async (req, res) => {
+  try {
+    const sort = req.query.sort || 'recent';
+    if (!REVIEW_SORTS[sort]) {
+      return res.status(400).json({ success: false, message: `Sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}` });
+    }
+
+    const place = await Place.exists({ _id: req.params.id });
+    if (!place) {
+      return res.status(404).json({ success: false, message: 'Place not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const filter = { placeId: req.params.id, status: { $in: Review.VISIBLE_STATUSES } };
+
+    const [reviews, summary] = await Promise.all([
+      Review.find(filter)
+        .sort(REVIEW_SORTS[sort])
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'profile.firstName profile.lastName profile.pictureUrl')
+        .lean(),
+      getReviewSummary(req.params.id)
+    ]);
+
+    const totalPages = Math.ceil(summary.count / limit);
+    return res.json({
+      success: true,
+      message: 'Reviews retrieved successfully',
+      data: { summary, reviews: reviews.map(formatReview) },
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: summary.count,
+        itemsPerPage: limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Place reviews error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/places/:id/reviews -> review a POI (one per user; requires a previous check-in there)
+router.post('/:id/reviews', auth, validateObjectId, validateReview, async (req, res) => {
+  try {
+    const place = await Place.exists({ _id: req.params.id });
+    if (!place) {
+      return res.status(404).json({ success: false, message: 'Place not found' });
+    }
+
+    if (!(await hasVisitedPlace(req.user.id, req.params.id))) {
+      return res.status(403).json({ success: false, message: 'You can only review places you have checked in at' });
+    }
+
+    const { rating, text, photos } = req.body;
+    const review = await Review.create({
+      placeId: req.params.id,
+      userId: req.user.id,
+      rating,
+      text,
+      photos: toReviewPhotos(photos)
+    });
+    const placeRating = await refreshPlaceRating(req.params.id);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Review posted successfully',
+      data: { review: formatReview(review), placeRating }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'You have already reviewed this place. Edit your review instead.' });
+    }
+    console.error('Review create error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/places -> add POI (places:write)
+router.post('/', auth, requirePermission('places:write'), validatePlace, preparePlaceTaxonomy, async (req, res) => {
   try {
-    const { name, description, location, images, redemption } = req.body;
+    const { name, description, location, checkinArea, images, redemption, category, tags, timeZone, openingHours, checkinPolicy, translations } = req.body;
     
     const place = await Place.create({ 
       name, 
       description,
       location, 
+      checkinArea: checkinArea || undefined,
       images: images || [],
-      redemption: redemption || { eligible: false, pointsCost: 0 }
+      redemption: redemption || { eligible: false, pointsCost: 0 },
+      category: category || null,
+      tags: tags || [],
+      timeZone: timeZone || null,
+      openingHours: openingHours || { weekly: [], exceptions: [] },
+      checkinPolicy: normalizePlacePolicy(checkinPolicy) || {},
+      translations: translations ? normalizeTranslations(translations, 'place') : undefined
     });
+
+    await recordRevision(place, { action: 'create', userId: req.user.id });
+    invalidatePlaceTiles(place.location);
     
+    res.set('ETag', getPlaceEtag(place));
     return res.status(201).json({
       success: true,
       message: 'Place created successfully',
@@ -132,6 +401,264 @@ router.post('/', auth, adminOnly, validatePlace, async (req, res) => {
   }
 });
 
+function sendPlaceConflict(res, place) {
+  if (place) res.set('ETag', getPlaceEtag(place));
+  return res.status(412).json({
+    success: false,
+    message: 'Place was modified since you loaded it. Reload and try again.',
+    ...(place && { data: { currentRevision: place.revision } })
+  });
+}
+
+// Apply an edit guarded by the place revision (and If-Match), recording a revision entry.
+// `mergeSubdocuments` (PATCH) keeps the redemption / check-in policy fields that were not sent.
+async function applyPlaceEdit(req, res, updates, { action = 'update', note, replaceTranslations = false, mergeSubdocuments = false } = {}) {
+  const place = await Place.findById(req.params.id);
+  if (!place) {
+    return res.status(404).json({ success: false, message: 'Place not found' });
+  }
+
+  if (!ifMatchSatisfied(req, place)) {
+    return sendPlaceConflict(res, place);
+  }
+
+  ['redemption', 'checkinPolicy'].forEach(field => {
+    if (mergeSubdocuments && updates[field]) {
+      updates[field] = { ...(place[field] ? place[field].toObject() : {}), ...updates[field] };
+    }
+  });
+  if (updates.checkinPolicy) updates.checkinPolicy = normalizePlacePolicy(updates.checkinPolicy);
+  // Translations are merged per locale (a null locale removes it) unless restoring a snapshot
+  if (updates.translations !== undefined) {
+    const current = replaceTranslations || !place.translations ? {} : Object.fromEntries(place.translations);
+    const merged = normalizeTranslations({ ...current, ...updates.translations }, 'place');
+    updates.translations = Object.keys(merged).length > 0 ? merged : null;
+  }
+
+  const changes = diffPlaceFields(place, updates);
+  if (changes.length === 0) {
+    res.set('ETag', getPlaceEtag(place));
+    return res.json({ success: true, message: 'No changes', data: place });
+  }
+
+  await ensureBaselineRevision(place);
+
+  const $set = { revision: (place.revision || 1) + 1 };
+  changes.forEach(field => { $set[field] = updates[field]; });
+
+  const updated = await Place.findOneAndUpdate(
+    { _id: place._id, revision: revisionFilter(place.revision || 1) },
+    { $set },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    // Someone else saved in between our read and write
+    return sendPlaceConflict(res, await Place.findById(place._id));
+  }
+
+  await recordRevision(updated, { action, changes, userId: req.user.id, note });
+  // Old and new position, in case the place moved
+  invalidatePlaceTiles(place.location, updated.location);
+
+  res.set('ETag', getPlaceEtag(updated));
+  return res.json({
+    success: true,
+    message: 'Place updated successfully',
+    data: updated
+  });
+}
+
+// PUT /api/places/:id -> replace editable fields of a POI (places:write, honours If-Match)
+router.put('/:id', auth, requirePermission('places:write'), validateObjectId, validatePlace, preparePlaceTaxonomy, async (req, res) => {
+  try {
+    const { name, description, location, checkinArea, images, redemption, category, tags, timeZone, openingHours, checkinPolicy, translations } = req.body;
+    return await applyPlaceEdit(req, res, {
+      name,
+      description,
+      location,
+      checkinArea: checkinArea || null,
+      images: images || [],
+      redemption: redemption || { eligible: false, pointsCost: 0 },
+      category: category || null,
+      tags: tags || [],
+      timeZone: timeZone || null,
+      openingHours: openingHours || { weekly: [], exceptions: [] },
+      checkinPolicy: checkinPolicy || { requireOpen: false },
+      // Translations are only touched when sent
+      ...(translations !== undefined && { translations })
+    });
+  } catch (error) {
+    console.error('Place update error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PATCH /api/places/:id -> partially update a POI (places:write, honours If-Match)
+router.patch('/:id', auth, requirePermission('places:write'), validateObjectId, validatePlaceUpdate, preparePlaceTaxonomy, async (req, res) => {
+  try {
+    const updates = {};
+    PLACE_EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No updatable fields provided. Allowed: ${PLACE_EDITABLE_FIELDS.join(', ')}`
+      });
+    }
+
+    return await applyPlaceEdit(req, res, updates, { mergeSubdocuments: true });
+  } catch (error) {
+    console.error('Place update error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/places/:id/revisions -> edit history of a POI (places:write)
+router.get('/:id/revisions', auth, requirePermission('places:write'), validateObjectId, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const revisions = await PlaceRevision.find({ placeId: req.params.id })
+      .select('-snapshot')
+      .populate('editedBy', 'login.username')
+      .sort({ revision: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const totalCount = await PlaceRevision.countDocuments({ placeId: req.params.id });
+
+    return res.json({
+      success: true,
+      message: 'Revisions retrieved successfully',
+      data: revisions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalItems: totalCount,
+        itemsPerPage: limit,
+        hasNext: page < Math.ceil(totalCount / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Place revisions query error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/places/:id/revisions/:revision -> full snapshot of one revision (places:write)
+router.get('/:id/revisions/:revision', auth, requirePermission('places:write'), validateObjectId, async (req, res) => {
+  try {
+    const revision = await PlaceRevision.findOne({
+      placeId: req.params.id,
+      revision: parseInt(req.params.revision, 10)
+    }).populate('editedBy', 'login.username');
+
+    if (!revision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    return res.json({ success: true, message: 'Revision retrieved successfully', data: revision });
+  } catch (error) {
+    console.error('Place revision query error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/places/:id/revisions/:revision/restore -> roll a POI back to an earlier revision (places:write)
+router.post('/:id/revisions/:revision/restore', auth, requirePermission('places:write'), validateObjectId, async (req, res) => {
+  try {
+    const revisionNumber = parseInt(req.params.revision, 10);
+    const revision = await PlaceRevision.findOne({ placeId: req.params.id, revision: revisionNumber }).lean();
+    if (!revision) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+
+    const updates = {};
+    PLACE_EDITABLE_FIELDS.forEach(field => {
+      if (revision.snapshot[field] !== undefined) updates[field] = revision.snapshot[field];
+    });
+
+    return await applyPlaceEdit(req, res, updates, {
+      action: 'rollback',
+      note: `Rolled back to revision ${revisionNumber}`,
+      replaceTranslations: true
+    });
+  } catch (error) {
+    console.error('Place rollback error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+function sendUnsupportedLocale(res) {
+  return res.status(400).json({
+    success: false,
+    message: `Locale must be one of: ${getTranslationLocales().join(', ') || '(none configured)'}`
+  });
+}
+
+// GET /api/places/:id/translations -> stored translations of a POI (places:write)
+router.get('/:id/translations', auth, requirePermission('places:write'), validateObjectId, async (req, res) => {
+  try {
+    const place = await Place.findById(req.params.id).select('name description translations revision');
+    if (!place) {
+      return res.status(404).json({ success: false, message: 'Place not found' });
+    }
+
+    const locales = getTranslationLocales();
+    res.set('ETag', getPlaceEtag(place));
+    return res.json({
+      success: true,
+      message: 'Translations retrieved successfully',
+      data: {
+        defaultLocale: getDefaultLocale(),
+        base: { name: place.name, description: place.description },
+        translations: place.translations ? Object.fromEntries(place.translations) : {},
+        missing: Object.fromEntries(locales.map(locale => [locale, getMissingTranslations(place, 'place', locale)]))
+      }
+    });
+  } catch (error) {
+    console.error('Place translations error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/places/:id/translations/:locale -> set the translation for one locale (places:write, honours If-Match)
+router.put('/:id/translations/:locale', auth, requirePermission('places:write'), validateObjectId, async (req, res) => {
+  try {
+    const locale = parseTranslationLocale(req.params.locale);
+    if (!locale) return sendUnsupportedLocale(res);
+
+    const error = checkTranslations({ [locale]: req.body }, PLACE_TRANSLATION_LIMITS);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    return await applyPlaceEdit(req, res, { translations: { [locale]: req.body } }, { note: `Translation ${locale} updated` });
+  } catch (error) {
+    console.error('Place translation update error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// DELETE /api/places/:id/translations/:locale -> remove the translation for one locale (places:write, honours If-Match)
+router.delete('/:id/translations/:locale', auth, requirePermission('places:write'), validateObjectId, async (req, res) => {
+  try {
+    const locale = parseTranslationLocale(req.params.locale);
+    if (!locale) return sendUnsupportedLocale(res);
+
+    return await applyPlaceEdit(req, res, { translations: { [locale]: null } }, { note: `Translation ${locale} removed` });
+  } catch (error) {
+    console.error('Place translation delete error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // POST /api/places/:id/bookmark -> add bookmark
 router.post('/:id/bookmark', auth, validateObjectId, async (req, res) => {
   try {
@@ -175,8 +702,8 @@ router.delete('/:id/bookmark', auth, validateObjectId, async (req, res) => {
   }
 });
 
-// POST /api/places/:id/redeem -> redeem points at eligible place (awards points to user)
-router.post('/:id/redeem', auth, validateObjectId, async (req, res) => {
+// POST /api/places/:id/redeem -> redeem points at eligible place (awards points to user, honours Idempotency-Key)
+router.post('/:id/redeem', auth, idempotency, validateObjectId, async (req, res) => {
   try {
     const place = await Place.findById(req.params.id).select('name redemption');
     if (!place) return res.status(404).json({ success: false, message: 'Place not found' });
@@ -186,19 +713,11 @@ router.post('/:id/redeem', auth, validateObjectId, async (req, res) => {
     }
 
     const pointsAwarded = place.redemption.pointsCost || 0;
-    const user = await User.findById(req.user.id);
-    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
-
-    // Award points to user
-    user.rewardPoints.total += pointsAwarded;
-    await user.save();
-
-    // Log positive reward history
-    await RewardHistory.create({
-      userId: user._id,
+    const { balance } = await postPoints({
+      userId: req.user.id,
       amount: pointsAwarded,
       reason: `Redeemed at ${place.name}`,
-      timestamp: new Date()
+      source: { type: 'place', id: place._id }
     });
 
     return res.json({ 
@@ -206,30 +725,39 @@ router.post('/:id/redeem', auth, validateObjectId, async (req, res) => {
       message: 'Redemption successful! Points awarded.', 
       data: { 
         pointsAwarded,
-        totalPoints: user.rewardPoints.total 
+        totalPoints: balance
       } 
     });
   } catch (error) {
+    if (error.code === 'USER_NOT_FOUND') {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
     return res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
 // ==================== ADMIN ENDPOINTS ====================
 
-// GET /api/places/admin/all -> get all places for admin
-router.get('/admin/all', auth, adminOnly, async (req, res) => {
+// GET /api/places/admin/all?status=active|deleted|all -> get all places for admin (places:write)
+router.get('/admin/all', auth, requirePermission('places:write'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
+    const status = req.query.status || 'active';
+    if (!['active', 'deleted', 'all'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be one of: active, deleted, all' });
+    }
+
     const places = await Place.find({})
+      .byDeletedStatus(status)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .lean();
 
-    const totalCount = await Place.countDocuments({});
+    const totalCount = await Place.countDocuments({}).byDeletedStatus(status);
 
     return res.json({
       success: true,
@@ -253,10 +781,168 @@ router.get('/admin/all', auth, adminOnly, async (req, res) => {
   }
 });
 
-// DELETE /api/places/:id -> delete place (admin only)
-router.delete('/:id', auth, adminOnly, validateObjectId, async (req, res) => {
+// POST /api/places/admin/import?dryRun=true -> import a GeoJSON/KML/GPX file, upserting by externalId (places:write)
+router.post('/admin/import', auth, requirePermission('places:write'), (req, res) => {
+  placeDataUpload.single('file')(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({ success: false, message: err.message || 'File upload error' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No file provided. Upload a GeoJSON, KML or GPX file as "file".' });
+    }
+
+    try {
+      const dryRun = req.query.dryRun === 'true';
+      const text = req.file.buffer.toString('utf8');
+      const format = req.query.format || detectFormat(req.file.originalname, text);
+      if (!['geojson', 'kml', 'gpx'].includes(format)) {
+        return res.status(400).json({ success: false, message: 'Format must be one of: geojson, kml, gpx' });
+      }
+
+      let rows;
+      try {
+        rows = parsePlaceFile(text, format);
+      } catch (parseError) {
+        return res.status(400).json({ success: false, message: parseError.message });
+      }
+      if (rows.length === 0) {
+        return res.status(400).json({ success: false, message: 'The file contains no places' });
+      }
+
+      const plan = await planPlaceImport(rows);
+      const hasErrors = plan.some(entry => entry.action === 'error');
+
+      if (dryRun || hasErrors) {
+        // Nothing is written when any row is invalid
+        return res.status(dryRun ? 200 : 422).json({
+          success: dryRun && !hasErrors,
+          message: hasErrors ? 'Import has invalid rows; nothing was imported' : 'Dry run: import is valid',
+          data: { dryRun, format, ...summarizeImport(plan) }
+        });
+      }
+
+      await commitPlaceImport(plan, {
+        userId: req.user.id,
+        note: `Imported from ${req.file.originalname}`
+      });
+      plan.forEach(entry => invalidatePlaceTiles(
+        entry.data && entry.data.location,
+        entry.place && entry.place.location,
+        entry.updates && entry.updates.location
+      ));
+
+      return res.json({
+        success: true,
+        message: 'Places imported successfully',
+        data: { dryRun, format, ...summarizeImport(plan) }
+      });
+    } catch (error) {
+      if (error.code === 'PLACE_CONFLICT') {
+        return res.status(409).json({ success: false, message: `${error.message}; nothing was imported` });
+      }
+      if (error.code === 20) {
+        // IllegalOperation: transactions need a replica set
+        return res.status(503).json({ success: false, message: 'Imports need MongoDB transactions (replica set or Atlas)' });
+      }
+      console.error('Place import error:', error);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+});
+
+// GET /api/places/admin/export?format=geojson|kml&bbox=minLng,minLat,maxLng,maxLat -> download places (places:write)
+router.get('/admin/export', auth, requirePermission('places:write'), async (req, res) => {
+  try {
+    const format = req.query.format || 'geojson';
+    if (!['geojson', 'kml'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'Format must be one of: geojson, kml' });
+    }
+
+    let filter = {};
+    if (req.query.bbox !== undefined) {
+      const bbox = parseBbox(req.query.bbox);
+      if (!bbox) {
+        return res.status(400).json({ success: false, message: 'bbox must be minLng,minLat,maxLng,maxLat' });
+      }
+      filter = withinBbox(bbox);
+    }
+
+    const places = await Place.find(filter).sort({ createdAt: 1 }).lean();
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'kml') {
+      res.set('Content-Type', 'application/vnd.google-earth.kml+xml; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="places-${date}.kml"`);
+      return res.send(placesToKml(places));
+    }
+
+    res.set('Content-Type', 'application/geo+json; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="places-${date}.geojson"`);
+    return res.send(placesToGeoJson(places));
+  } catch (error) {
+    console.error('Place export error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/places/admin/translations/missing?locale=de&page=&limit= -> places lacking translations for a locale (places:write)
+router.get('/admin/translations/missing', auth, requirePermission('places:write'), async (req, res) => {
+  try {
+    const locale = parseTranslationLocale(req.query.locale);
+    if (!locale) return sendUnsupportedLocale(res);
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const filter = missingTranslationsFilter('place', locale);
+
+    const [places, totalCount, placeCount] = await Promise.all([
+      Place.find(filter)
+        .select('name description translations updatedAt')
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Place.countDocuments(filter),
+      Place.countDocuments({})
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+    return res.json({
+      success: true,
+      message: 'Missing translations retrieved successfully',
+      data: {
+        locale,
+        summary: { total: placeCount, translated: placeCount - totalCount, missing: totalCount },
+        items: places.map(place => ({
+          id: place._id,
+          name: place.name,
+          missing: getMissingTranslations(place, 'place', locale),
+          updatedAt: place.updatedAt
+        }))
+      },
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Missing place translations error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// DELETE /api/places/:id -> soft delete place (places:write); purged later by the purge job
+router.delete('/:id', auth, requirePermission('places:write'), validateObjectId, async (req, res) => {
   try {
-    const place = await Place.findByIdAndDelete(req.params.id);
+    const place = await Place.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy: req.user.id } },
+      { new: true }
+    );
     
     if (!place) {
       return res.status(404).json({
@@ -265,6 +951,7 @@ router.delete('/:id', auth, adminOnly, validateObjectId, async (req, res) => {
       });
     }
 
+    invalidatePlaceTiles(place.location);
     return res.json({
       success: true,
       message: 'Place deleted successfully'
@@ -278,6 +965,27 @@ router.delete('/:id', auth, adminOnly, validateObjectId, async (req, res) => {
   }
 });
 
+// POST /api/places/:id/restore -> undo a soft delete (places:write)
+router.post('/:id/restore', auth, requirePermission('places:write'), validateObjectId, async (req, res) => {
+  try {
+    const place = await Place.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null }, $unset: { deletedBy: 1 } },
+      { new: true }
+    );
+
+    if (!place) {
+      return res.status(404).json({ success: false, message: 'Deleted place not found' });
+    }
+
+    invalidatePlaceTiles(place.location);
+    return res.json({ success: true, message: 'Place restored successfully', data: place });
+  } catch (error) {
+    console.error('Place restore error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 module.exports = router;
 
 
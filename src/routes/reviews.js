@@ -0,0 +1,188 @@
+const router = require('express').Router();
+const { Review } = require('../../models');
+const { auth, requirePermission } = require('../middleware/auth');
+const { validateObjectId, validateReviewUpdate } = require('../middleware/validation');
+const { hasPermission } = require('../../config/roles');
+const { refreshPlaceRating, toReviewPhotos, formatReview } = require('../utils/reviews');
+
+const MODERATION_QUEUES = {
+  // Reviews reported since the last moderation decision
+  reported: { openReportCount: { $gt: 0 } },
+  hidden: { status: 'hidden' },
+  all: {}
+};
+
+function moderationNote(body) {
+  return typeof body.note === 'string' ? body.note.trim().slice(0, 500) : undefined;
+}
+
+// GET /api/reviews/moderation?queue=reported|hidden|all&page=&limit= -> moderation queue (reviews:moderate)
+router.get('/moderation', auth, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const queue = req.query.queue || 'reported';
+    if (!MODERATION_QUEUES[queue]) {
+      return res.status(400).json({ success: false, message: `Queue must be one of: ${Object.keys(MODERATION_QUEUES).join(', ')}` });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = MODERATION_QUEUES[queue];
+
+    const [reviews, totalCount] = await Promise.all([
+      Review.find(filter)
+        .sort({ openReportCount: -1, updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'login.username profile.firstName profile.lastName')
+        .populate('placeId', 'name')
+        .lean(),
+      Review.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+    return res.json({
+      success: true,
+      message: 'Moderation queue retrieved successfully',
+      data: reviews,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Review moderation queue error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/reviews/:id -> edit your own review (rating, text, photos)
+router.put('/:id', auth, validateObjectId, validateReviewUpdate, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review || String(review.userId) !== String(req.user.id)) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    ['rating', 'text'].forEach(field => {
+      if (req.body[field] !== undefined) review[field] = req.body[field];
+    });
+    if (req.body.photos !== undefined) review.photos = toReviewPhotos(req.body.photos);
+    // An approved review has to be looked at again once its content changes
+    if (review.isModified() && review.status === 'approved') {
+      review.status = 'published';
+    }
+    await review.save();
+    const placeRating = await refreshPlaceRating(review.placeId);
+
+    return res.json({
+      success: true,
+      message: 'Review updated successfully',
+      data: { review: formatReview(review), placeRating }
+    });
+  } catch (error) {
+    console.error('Review update error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// DELETE /api/reviews/:id -> delete your own review (or any review with reviews:moderate)
+router.delete('/:id', auth, validateObjectId, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    const isOwner = review && String(review.userId) === String(req.user.id);
+    if (!review || (!isOwner && !hasPermission(req.user.role, 'reviews:moderate'))) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+
+    await review.deleteOne();
+    const placeRating = await refreshPlaceRating(review.placeId);
+
+    return res.json({ success: true, message: 'Review deleted successfully', data: { placeRating } });
+  } catch (error) {
+    console.error('Review delete error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/reviews/:id/report -> report a review as abusive (once per user)
+router.post('/:id/report', auth, validateObjectId, async (req, res) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.id, status: { $in: Review.VISIBLE_STATUSES } })
+      .select('userId')
+      .lean();
+    if (!review) {
+      return res.status(404).json({ success: false, message: 'Review not found' });
+    }
+    if (String(review.userId) === String(req.user.id)) {
+      return res.status(400).json({ success: false, message: 'You cannot report your own review' });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : undefined;
+    const result = await Review.updateOne(
+      { _id: review._id, 'reports.userId': { $ne: req.user.id } },
+      {
+        $push: { reports: { userId: req.user.id, reason } },
+        $inc: { reportCount: 1, openReportCount: 1 }
+      }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ success: false, message: 'You have already reported this review' });
+    }
+
+    return res.json({ success: true, message: 'Review reported. Thank you for letting us know.' });
+  } catch (error) {
+    console.error('Review report error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Apply a moderation decision, closing the open reports
+async function moderateReview(req, res, status) {
+  const review = await Review.findByIdAndUpdate(
+    req.params.id,
+    {
+      $set: {
+        status,
+        openReportCount: 0,
+        moderation: { decidedBy: req.user.id, decidedAt: new Date(), note: moderationNote(req.body) }
+      }
+    },
+    { new: true }
+  );
+  if (!review) {
+    return res.status(404).json({ success: false, message: 'Review not found' });
+  }
+
+  const placeRating = await refreshPlaceRating(review.placeId);
+  return res.json({
+    success: true,
+    message: status === 'hidden' ? 'Review hidden' : 'Review approved',
+    data: { review, placeRating }
+  });
+}
+
+// POST /api/reviews/:id/approve -> keep a review and clear its reports (reviews:moderate)
+router.post('/:id/approve', auth, requirePermission('reviews:moderate'), validateObjectId, async (req, res) => {
+  try {
+    return await moderateReview(req, res, 'approved');
+  } catch (error) {
+    console.error('Review approve error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/reviews/:id/hide -> hide a review from the public (reviews:moderate)
+router.post('/:id/hide', auth, requirePermission('reviews:moderate'), validateObjectId, async (req, res) => {
+  try {
+    return await moderateReview(req, res, 'hidden');
+  } catch (error) {
+    console.error('Review hide error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
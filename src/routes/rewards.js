@@ -1,11 +1,31 @@
 const router = require('express').Router();
-const { Reward, User, RewardHistory } = require('../../models');
-const { auth, adminOnly } = require('../middleware/auth');
-const { validateObjectId } = require('../middleware/validation');
+const { Reward, User } = require('../../models');
+const { auth, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  validateObjectId,
+  validateReward,
+  validateRewardUpdate,
+  checkTranslations,
+  REWARD_TRANSLATION_LIMITS
+} = require('../middleware/validation');
+const { csvUpload } = require('../middleware/dataUpload');
+const { postPoints } = require('../utils/ledger');
+const { parseRewardCsv, planRewardImport, commitRewardImport, summarizeRewardImport, rewardsToCsv } = require('../utils/rewardImport');
+const {
+  parseTranslationLocale,
+  getLocaleChain,
+  setLocaleHeaders,
+  localize,
+  normalizeTranslations,
+  getMissingTranslations,
+  missingTranslationsFilter
+} = require('../utils/i18n');
+const { getDefaultLocale, getTranslationLocales } = require('../../config/i18n');
 
 // ==================== USER ENDPOINTS ====================
 
-// GET /api/rewards -> get all active rewards (public)
+// GET /api/rewards?lang= -> get all active rewards (public, localized by ?lang= or Accept-Language)
 router.get('/', async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
@@ -17,18 +37,20 @@ router.get('/', async (req, res) => {
     if (type) filter.type = type;
 
     const rewards = await Reward.find(filter)
-      .select('name shortDescription description termsAndConditions pointsCost type images validUntil')
+      .select('name shortDescription description termsAndConditions pointsCost type images validUntil translations')
       .sort({ pointsCost: 1 })
       .skip(skip)
       .limit(limit)
       .lean();
 
     const totalCount = await Reward.countDocuments(filter);
+    const chain = getLocaleChain(req);
 
+    setLocaleHeaders(res, chain);
     return res.json({
       success: true,
       message: 'Rewards retrieved successfully',
-      data: rewards,
+      data: rewards.map(reward => localize(reward, 'reward', chain)),
       pagination: {
         currentPage: page,
         totalPages: Math.ceil(totalCount / limit),
@@ -47,7 +69,7 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/rewards/:id -> get specific reward details
+// GET /api/rewards/:id?lang= -> get specific reward details (localized)
 router.get('/:id', validateObjectId, async (req, res) => {
   try {
     const reward = await Reward.findById(req.params.id);
@@ -64,11 +86,13 @@ router.get('/:id', validateObjectId, async (req, res) => {
         message: 'Reward not available' 
       });
     }
-    
+
+    const chain = getLocaleChain(req);
+    setLocaleHeaders(res, chain);
     return res.json({
       success: true,
       message: 'Reward retrieved successfully',
-      data: reward
+      data: localize(reward, 'reward', chain)
     });
   } catch (error) {
     return res.status(500).json({ 
@@ -78,8 +102,8 @@ router.get('/:id', validateObjectId, async (req, res) => {
   }
 });
 
-// POST /api/rewards/:id/redeem -> redeem a reward (requires auth)
-router.post('/:id/redeem', auth, validateObjectId, async (req, res) => {
+// POST /api/rewards/:id/redeem -> redeem a reward (requires auth and a verified email, honours Idempotency-Key)
+router.post('/:id/redeem', auth, requireVerifiedEmail, idempotency, validateObjectId, async (req, res) => {
   try {
     const reward = await Reward.findById(req.params.id);
     if (!reward) {
@@ -104,43 +128,42 @@ router.post('/:id/redeem', auth, validateObjectId, async (req, res) => {
       });
     }
 
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'User not found' 
-      });
-    }
-
-    // Check if user has enough points
-    if (user.rewardPoints.total < reward.pointsCost) {
-      return res.status(400).json({ 
-        success: false,
-        message: `Insufficient points. You need ${reward.pointsCost} points but have ${user.rewardPoints.total}` 
-      });
+    // Deduct points and add the reward to the user's rewards in one step; fails when the balance is too low
+    let balance;
+    try {
+      ({ balance } = await postPoints({
+        userId: req.user.id,
+        amount: -reward.pointsCost,
+        reason: `Redeemed reward: ${reward.name}`,
+        source: { type: 'reward', id: reward._id },
+        userUpdate: {
+          $push: {
+            rewards: {
+              name: reward.name,
+              shortDescription: reward.shortDescription,
+              pointsCost: reward.pointsCost,
+              redeemedAt: new Date()
+            }
+          }
+        }
+      }));
+    } catch (error) {
+      if (error.code === 'USER_NOT_FOUND') {
+        return res.status(404).json({ 
+          success: false,
+          message: 'User not found' 
+        });
+      }
+      if (error.code === 'INSUFFICIENT_POINTS') {
+        const user = await User.findById(req.user.id).select('rewardPoints.total').lean();
+        return res.status(400).json({ 
+          success: false,
+          message: `Insufficient points. You need ${reward.pointsCost} points but have ${user.rewardPoints.total}` 
+        });
+      }
+      throw error;
     }
 
-    // Deduct points
-    user.rewardPoints.total -= reward.pointsCost;
-    
-    // Add the redeemed reward to user's rewards array
-    user.rewards.push({
-      name: reward.name,
-      shortDescription: reward.shortDescription,
-      pointsCost: reward.pointsCost,
-      redeemedAt: new Date()
-    });
-    
-    await user.save();
-
-    // Log the redemption in reward history
-    await RewardHistory.create({
-      userId: user._id,
-      amount: -reward.pointsCost,
-      reason: `Redeemed reward: ${reward.name}`,
-      timestamp: new Date()
-    });
-
     return res.json({ 
       success: true,
       message: 'Reward redeemed successfully!',
@@ -153,7 +176,7 @@ router.post('/:id/redeem', auth, validateObjectId, async (req, res) => {
           pointsCost: reward.pointsCost
         },
         user: {
-          remainingPoints: user.rewardPoints.total
+          remainingPoints: balance
         }
       }
     });
@@ -168,45 +191,41 @@ router.post('/:id/redeem', auth, validateObjectId, async (req, res) => {
 
 // ==================== ADMIN ENDPOINTS ====================
 
-// POST /api/rewards -> create new reward (admin only)
-router.post('/', auth, adminOnly, async (req, res) => {
+function sendDuplicateSku(res, error) {
+  if (error.code === 11000 && error.keyPattern && error.keyPattern.sku) {
+    res.status(409).json({ success: false, message: 'A reward with this SKU already exists' });
+    return true;
+  }
+  return false;
+}
+
+// Per-locale $set/$unset for a translations update; a null (or empty) locale is removed
+function translationUpdates(translations) {
+  const $set = {};
+  const $unset = {};
+  Object.keys(translations).forEach(key => {
+    const locale = parseTranslationLocale(key);
+    const [entry] = Object.values(normalizeTranslations({ [locale]: translations[key] }, 'reward'));
+    if (entry) $set[`translations.${locale}`] = entry;
+    else $unset[`translations.${locale}`] = 1;
+  });
+  return { $set, $unset };
+}
+
+function sendUnsupportedLocale(res) {
+  return res.status(400).json({
+    success: false,
+    message: `Locale must be one of: ${getTranslationLocales().join(', ') || '(none configured)'}`
+  });
+}
+
+// POST /api/rewards -> create new reward (rewards:write)
+router.post('/', auth, requirePermission('rewards:write'), validateReward, async (req, res) => {
   try {
-    const { name, shortDescription, description, termsAndConditions, pointsCost, type, images, isActive, validUntil, terms } = req.body;
-
-    // Validate required fields
-    if (!name || !shortDescription || !description || !pointsCost || !type) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required fields: name, shortDescription, description, pointsCost, type'
-      });
-    }
-
-    // Validate points cost
-    if (pointsCost < 1) {
-      return res.status(400).json({
-        success: false,
-        message: 'Points cost must be at least 1'
-      });
-    }
-
-    // Validate type
-    const validTypes = ['voucher', 'discount', 'coupon', 'gift', 'experience', 'other'];
-    if (!validTypes.includes(type)) {
-      return res.status(400).json({
-        success: false,
-        message: `Invalid type. Must be one of: ${validTypes.join(', ')}`
-      });
-    }
-
-    // Validate termsAndConditions is array if provided
-    if (termsAndConditions && !Array.isArray(termsAndConditions)) {
-      return res.status(400).json({
-        success: false,
-        message: 'termsAndConditions must be an array'
-      });
-    }
+    const { sku, name, shortDescription, description, termsAndConditions, pointsCost, type, images, isActive, validUntil, terms, translations } = req.body;
 
     const reward = await Reward.create({
+      sku: sku ? sku.trim() : undefined,
       name: name.trim(),
       shortDescription: shortDescription.trim(),
       description: description.trim(),
@@ -216,7 +235,8 @@ router.post('/', auth, adminOnly, async (req, res) => {
       images: images || [],
       isActive: isActive !== undefined ? isActive : true,
       validUntil: validUntil ? new Date(validUntil) : null,
-      terms: terms ? terms.trim() : null
+      terms: terms ? terms.trim() : null,
+      translations: translations ? normalizeTranslations(translations, 'reward') : undefined
     });
 
     return res.status(201).json({
@@ -225,6 +245,7 @@ router.post('/', auth, adminOnly, async (req, res) => {
       data: reward
     });
   } catch (error) {
+    if (sendDuplicateSku(res, error)) return;
     console.error('Reward creation error:', error);
     return res.status(500).json({ 
       success: false,
@@ -233,51 +254,38 @@ router.post('/', auth, adminOnly, async (req, res) => {
   }
 });
 
-// PUT /api/rewards/:id -> update reward (admin only)
-router.put('/:id', auth, adminOnly, validateObjectId, async (req, res) => {
+// PUT /api/rewards/:id -> update reward (rewards:write)
+router.put('/:id', auth, requirePermission('rewards:write'), validateObjectId, validateRewardUpdate, async (req, res) => {
   try {
-    const { name, shortDescription, description, termsAndConditions, pointsCost, type, images, isActive, validUntil, terms } = req.body;
+    const { sku, name, shortDescription, description, termsAndConditions, pointsCost, type, images, isActive, validUntil, terms, translations } = req.body;
 
     const updateData = {};
+    const update = { $set: updateData, $unset: {} };
+    if (sku !== undefined) {
+      if (sku) updateData.sku = sku.trim();
+      else update.$unset.sku = 1;
+    }
     if (name !== undefined) updateData.name = name.trim();
     if (shortDescription !== undefined) updateData.shortDescription = shortDescription.trim();
     if (description !== undefined) updateData.description = description.trim();
-    if (termsAndConditions !== undefined) {
-      if (!Array.isArray(termsAndConditions)) {
-        return res.status(400).json({
-          success: false,
-          message: 'termsAndConditions must be an array'
-        });
-      }
-      updateData.termsAndConditions = termsAndConditions;
-    }
-    if (pointsCost !== undefined) {
-      if (pointsCost < 1) {
-        return res.status(400).json({
-          success: false,
-          message: 'Points cost must be at least 1'
-        });
-      }
-      updateData.pointsCost = pointsCost;
-    }
-    if (type !== undefined) {
-      const validTypes = ['voucher', 'discount', 'coupon', 'gift', 'experience', 'other'];
-      if (!validTypes.includes(type)) {
-        return res.status(400).json({
-          success: false,
-          message: `Invalid type. Must be one of: ${validTypes.join(', ')}`
-        });
-      }
-      updateData.type = type;
-    }
+    if (termsAndConditions !== undefined) updateData.termsAndConditions = termsAndConditions || [];
+    if (pointsCost !== undefined) updateData.pointsCost = pointsCost;
+    if (type !== undefined) updateData.type = type;
     if (images !== undefined) updateData.images = images;
     if (isActive !== undefined) updateData.isActive = isActive;
     if (validUntil !== undefined) updateData.validUntil = validUntil ? new Date(validUntil) : null;
     if (terms !== undefined) updateData.terms = terms ? terms.trim() : null;
+    // Translations are merged per locale
+    if (translations !== undefined) {
+      const { $set, $unset } = translationUpdates(translations);
+      Object.assign(updateData, $set);
+      Object.assign(update.$unset, $unset);
+    }
+    if (Object.keys(update.$unset).length === 0) delete update.$unset;
 
     const reward = await Reward.findByIdAndUpdate(
       req.params.id,
-      { $set: updateData },
+      update,
       { new: true, runValidators: true }
     );
 
@@ -294,6 +302,7 @@ router.put('/:id', auth, adminOnly, validateObjectId, async (req, res) => {
       data: reward
     });
   } catch (error) {
+    if (sendDuplicateSku(res, error)) return;
     console.error('Reward update error:', error);
     return res.status(500).json({ 
       success: false,
@@ -302,10 +311,215 @@ router.put('/:id', auth, adminOnly, validateObjectId, async (req, res) => {
   }
 });
 
-// DELETE /api/rewards/:id -> delete reward (admin only)
-router.delete('/:id', auth, adminOnly, validateObjectId, async (req, res) => {
+// POST /api/rewards/admin/import?dryRun=true -> create/update rewards from a CSV file by SKU (rewards:write)
+router.post('/admin/import', auth, requirePermission('rewards:write'), (req, res) => {
+  csvUpload.single('file')(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({ success: false, message: err.message || 'File upload error' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No file provided. Upload a CSV file as "file".' });
+    }
+
+    try {
+      const dryRun = req.query.dryRun === 'true';
+
+      let parsed;
+      try {
+        parsed = parseRewardCsv(req.file.buffer.toString('utf8'));
+      } catch (parseError) {
+        return res.status(400).json({ success: false, message: parseError.message });
+      }
+      if (parsed.rows.length === 0) {
+        return res.status(400).json({ success: false, message: 'The file contains no rewards' });
+      }
+
+      const plan = await planRewardImport(parsed.rows);
+      const hasErrors = plan.some(entry => entry.action === 'error');
+      const report = { dryRun, ignoredColumns: parsed.ignoredColumns, ...summarizeRewardImport(plan) };
+
+      if (dryRun || hasErrors) {
+        // Nothing is written when any row is invalid
+        return res.status(dryRun ? 200 : 422).json({
+          success: dryRun && !hasErrors,
+          message: hasErrors ? 'Import has invalid rows; nothing was imported' : 'Dry run: import is valid',
+          data: report
+        });
+      }
+
+      await commitRewardImport(plan);
+
+      return res.json({
+        success: true,
+        message: 'Rewards imported successfully',
+        data: report
+      });
+    } catch (error) {
+      if (sendDuplicateSku(res, error)) return;
+      if (error.code === 20) {
+        // IllegalOperation: transactions need a replica set
+        return res.status(503).json({ success: false, message: 'Imports need MongoDB transactions (replica set or Atlas)' });
+      }
+      console.error('Reward import error:', error);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+});
+
+// GET /api/rewards/admin/export?format=csv -> download the catalog including inactive rewards (rewards:write)
+router.get('/admin/export', auth, requirePermission('rewards:write'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (format !== 'csv') {
+      return res.status(400).json({ success: false, message: 'Format must be csv' });
+    }
+
+    const rewards = await Reward.find({}).sort({ sku: 1, createdAt: 1 }).lean();
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="rewards-${date}.csv"`);
+    return res.send(rewardsToCsv(rewards));
+  } catch (error) {
+    console.error('Reward export error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/rewards/admin/translations/missing?locale=de&page=&limit= -> rewards lacking translations for a locale (rewards:write)
+router.get('/admin/translations/missing', auth, requirePermission('rewards:write'), async (req, res) => {
+  try {
+    const locale = parseTranslationLocale(req.query.locale);
+    if (!locale) return sendUnsupportedLocale(res);
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const filter = missingTranslationsFilter('reward', locale);
+
+    const [rewards, totalCount, rewardCount] = await Promise.all([
+      Reward.find(filter)
+        .select('sku name shortDescription description termsAndConditions translations isActive updatedAt')
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Reward.countDocuments(filter),
+      Reward.countDocuments({})
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+    return res.json({
+      success: true,
+      message: 'Missing translations retrieved successfully',
+      data: {
+        locale,
+        summary: { total: rewardCount, translated: rewardCount - totalCount, missing: totalCount },
+        items: rewards.map(reward => ({
+          id: reward._id,
+          sku: reward.sku || null,
+          name: reward.name,
+          isActive: reward.isActive,
+          missing: getMissingTranslations(reward, 'reward', locale),
+          updatedAt: reward.updatedAt
+        }))
+      },
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Missing reward translations error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/rewards/:id/translations -> stored translations of a reward (rewards:write)
+router.get('/:id/translations', auth, requirePermission('rewards:write'), validateObjectId, async (req, res) => {
   try {
-    const reward = await Reward.findByIdAndDelete(req.params.id);
+    const reward = await Reward.findById(req.params.id).select('name shortDescription description termsAndConditions translations');
+    if (!reward) {
+      return res.status(404).json({ success: false, message: 'Reward not found' });
+    }
+
+    const { name, shortDescription, description, termsAndConditions } = reward;
+    return res.json({
+      success: true,
+      message: 'Translations retrieved successfully',
+      data: {
+        defaultLocale: getDefaultLocale(),
+        base: { name, shortDescription, description, termsAndConditions },
+        translations: reward.translations ? Object.fromEntries(reward.translations) : {},
+        missing: Object.fromEntries(getTranslationLocales().map(locale => [locale, getMissingTranslations(reward, 'reward', locale)]))
+      }
+    });
+  } catch (error) {
+    console.error('Reward translations error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Set (entry) or remove (null) the translation for one locale
+async function updateRewardTranslation(req, res, entry) {
+  const locale = parseTranslationLocale(req.params.locale);
+  if (!locale) return sendUnsupportedLocale(res);
+
+  if (entry !== null) {
+    const error = checkTranslations({ [locale]: entry }, REWARD_TRANSLATION_LIMITS);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+  }
+
+  const { $set, $unset } = translationUpdates({ [locale]: entry });
+  const reward = await Reward.findByIdAndUpdate(
+    req.params.id,
+    { ...(Object.keys($set).length > 0 && { $set }), ...(Object.keys($unset).length > 0 && { $unset }) },
+    { new: true, runValidators: true }
+  );
+  if (!reward) {
+    return res.status(404).json({ success: false, message: 'Reward not found' });
+  }
+
+  return res.json({
+    success: true,
+    message: entry === null ? 'Translation removed' : 'Translation updated',
+    data: { locale, translations: reward.translations ? Object.fromEntries(reward.translations) : {} }
+  });
+}
+
+// PUT /api/rewards/:id/translations/:locale -> set the translation for one locale (rewards:write)
+router.put('/:id/translations/:locale', auth, requirePermission('rewards:write'), validateObjectId, async (req, res) => {
+  try {
+    return await updateRewardTranslation(req, res, req.body);
+  } catch (error) {
+    console.error('Reward translation update error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// DELETE /api/rewards/:id/translations/:locale -> remove the translation for one locale (rewards:write)
+router.delete('/:id/translations/:locale', auth, requirePermission('rewards:write'), validateObjectId, async (req, res) => {
+  try {
+    return await updateRewardTranslation(req, res, null);
+  } catch (error) {
+    console.error('Reward translation delete error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// DELETE /api/rewards/:id -> soft delete reward (rewards:write); purged later by the purge job
+router.delete('/:id', auth, requirePermission('rewards:write'), validateObjectId, async (req, res) => {
+  try {
+    const reward = await Reward.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy: req.user.id } },
+      { new: true }
+    );
     
     if (!reward) {
       return res.status(404).json({
@@ -327,20 +541,46 @@ router.delete('/:id', auth, adminOnly, validateObjectId, async (req, res) => {
   }
 });
 
-// GET /api/rewards/admin/all -> get all rewards for admin (including inactive)
-router.get('/admin/all', auth, adminOnly, async (req, res) => {
+// POST /api/rewards/:id/restore -> undo a soft delete (rewards:write)
+router.post('/:id/restore', auth, requirePermission('rewards:write'), validateObjectId, async (req, res) => {
+  try {
+    const reward = await Reward.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null }, $unset: { deletedBy: 1 } },
+      { new: true }
+    );
+
+    if (!reward) {
+      return res.status(404).json({ success: false, message: 'Deleted reward not found' });
+    }
+
+    return res.json({ success: true, message: 'Reward restored successfully', data: reward });
+  } catch (error) {
+    console.error('Reward restore error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/rewards/admin/all?status=active|deleted|all -> get all rewards for admin (including inactive, rewards:write)
+router.get('/admin/all', auth, requirePermission('rewards:write'), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
+    const status = req.query.status || 'active';
+    if (!['active', 'deleted', 'all'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be one of: active, deleted, all' });
+    }
+
     const rewards = await Reward.find({})
+      .byDeletedStatus(status)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .lean();
 
-    const totalCount = await Reward.countDocuments({});
+    const totalCount = await Reward.countDocuments({}).byDeletedStatus(status);
 
     return res.json({
       success: true,
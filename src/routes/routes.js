@@ -0,0 +1,37 @@
+const router = require('express').Router();
+const { auth } = require('../middleware/auth');
+const { validateRoutePlan } = require('../middleware/validation');
+const { planRoute } = require('../utils/routePlanner');
+const { getLocaleChain, setLocaleHeaders, localize } = require('../utils/i18n');
+
+// POST /api/routes/plan?lang= -> walk through nearby places that fits a time budget (only places the user can check in at now)
+router.post('/plan', auth, validateRoutePlan, async (req, res) => {
+  try {
+    const { start, timeBudgetMinutes, categories, objective, returnToStart, maxStops } = req.body;
+    const plan = await planRoute({
+      userId: req.user.id,
+      start,
+      timeBudgetMinutes,
+      categories: (categories || []).map(category => category.trim().toLowerCase()),
+      objective,
+      returnToStart,
+      maxStops
+    });
+
+    const chain = getLocaleChain(req);
+    setLocaleHeaders(res, chain);
+    return res.json({
+      success: true,
+      message: plan.stops.length > 0 ? 'Route planned successfully' : 'No places fit in the time budget',
+      data: {
+        ...plan,
+        stops: plan.stops.map(stop => ({ ...stop, place: localize(stop.place, 'place', chain) }))
+      }
+    });
+  } catch (error) {
+    console.error('Route planning error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
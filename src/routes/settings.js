@@ -0,0 +1,54 @@
+const router = require('express').Router();
+const { Settings } = require('../../models');
+const { auth, requirePermission } = require('../middleware/auth');
+const { validateDefaultCheckinPolicy } = require('../middleware/validation');
+const { getCheckinPolicyDefaults } = require('../../config/checkin');
+const { DEFAULT_POLICY_FIELDS, getDefaultCheckinPolicy, updateDefaultCheckinPolicy } = require('../utils/checkinPolicy');
+
+// Stored overrides plus the environment defaults they replace
+async function describeCheckinPolicy(policy) {
+  const settings = await Settings.findOne({ key: 'global' }).lean();
+  return {
+    policy,
+    overrides: (settings && settings.checkinPolicy) || {},
+    environmentDefaults: getCheckinPolicyDefaults(),
+    updatedBy: settings ? settings.updatedBy : null,
+    updatedAt: settings ? settings.updatedAt : null
+  };
+}
+
+// GET /api/settings/checkin-policy -> global default check-in policy (settings:write)
+router.get('/checkin-policy', auth, requirePermission('settings:write'), async (req, res) => {
+  try {
+    const data = await describeCheckinPolicy(await getDefaultCheckinPolicy());
+    return res.json({ success: true, message: 'Check-in policy retrieved successfully', data });
+  } catch (error) {
+    console.error('Check-in policy query error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/settings/checkin-policy -> change the global default (settings:write); null resets a field
+router.put('/checkin-policy', auth, requirePermission('settings:write'), validateDefaultCheckinPolicy, async (req, res) => {
+  try {
+    const current = await getDefaultCheckinPolicy();
+    const environmentDefaults = getCheckinPolicyDefaults();
+    const next = { ...current };
+    DEFAULT_POLICY_FIELDS.forEach(field => {
+      if (req.body[field] === null) next[field] = environmentDefaults[field];
+      else if (req.body[field] !== undefined) next[field] = req.body[field];
+    });
+    if (next.minDistanceMeters > next.maxDistanceMeters) {
+      return res.status(400).json({ success: false, message: 'minDistanceMeters must not exceed maxDistanceMeters' });
+    }
+
+    const policy = await updateDefaultCheckinPolicy(req.body, req.user.id);
+    const data = await describeCheckinPolicy(policy);
+    return res.json({ success: true, message: 'Check-in policy updated successfully', data });
+  } catch (error) {
+    console.error('Check-in policy update error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
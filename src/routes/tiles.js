@@ -0,0 +1,35 @@
+const router = require('express').Router();
+const { isValidTile } = require('../utils/tiles');
+const { getPlacesTile, getCheckinDensityTile } = require('../utils/vectorTiles');
+
+const MVT_CONTENT_TYPE = 'application/vnd.mapbox-vector-tile';
+
+// Shared handler: validates the tile address and sends the encoded tile (Express adds ETag / 304)
+function tileHandler(getTile, { maxAge, label }) {
+  return async (req, res) => {
+    try {
+      const [z, x, y] = [req.params.z, req.params.x, req.params.y].map(Number);
+      if (!isValidTile(z, x, y)) {
+        return res.status(400).json({ success: false, message: 'Invalid tile address' });
+      }
+
+      const tile = await getTile(z, x, y);
+      res.set('Cache-Control', `public, max-age=${maxAge}`);
+      if (tile.length === 0) {
+        return res.status(204).end();
+      }
+      return res.type(MVT_CONTENT_TYPE).send(tile);
+    } catch (error) {
+      console.error(`${label} tile error:`, error);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+}
+
+// GET /api/tiles/places/:z/:x/:y.mvt -> vector tile with a "places" layer
+router.get('/places/:z/:x/:y.mvt', tileHandler(getPlacesTile, { maxAge: 60, label: 'Places' }));
+
+// GET /api/tiles/checkins/:z/:x/:y.mvt -> vector tile with a "checkins" density layer
+router.get('/checkins/:z/:x/:y.mvt', tileHandler(getCheckinDensityTile, { maxAge: 300, label: 'Check-in density' }));
+
+module.exports = router;
@@ -0,0 +1,318 @@
+const router = require('express').Router();
+const { Tour, TourProgress, Place } = require('../../models');
+const { auth, requirePermission } = require('../middleware/auth');
+const { validateCoordinates, validateObjectId, validateTour, validateTourUpdate } = require('../middleware/validation');
+const { calculateDistance } = require('../utils/geo');
+const {
+  measureTourStops,
+  estimateTourDuration,
+  expireTourProgress,
+  startTour,
+  formatTourProgress
+} = require('../utils/tours');
+
+const TOUR_FIELDS = ['name', 'description', 'stops', 'images', 'estimatedDurationMinutes', 'completionBonus', 'timeWindowHours', 'requireOrder', 'isPublished'];
+const LIST_FIELDS = 'name description images startLocation distanceMeters estimatedDurationMinutes completionBonus timeWindowHours requireOrder stops';
+
+function pickFields(body, fields) {
+  return fields.reduce((picked, field) => {
+    if (body[field] !== undefined) picked[field] = body[field];
+    return picked;
+  }, {});
+}
+
+// List view: stop count instead of the stops themselves
+function summarizeTour(tour) {
+  const { stops, ...summary } = tour;
+  return { ...summary, stopCount: stops.length };
+}
+
+// Detail view: stops with the places they point at (deleted places are left out)
+async function withStopPlaces(tour) {
+  const places = await Place.find({ _id: { $in: tour.stops.map(stop => stop.placeId) } })
+    .select('name description location images category')
+    .lean();
+  const byId = new Map(places.map(place => [String(place._id), place]));
+
+  return {
+    ...tour,
+    stops: tour.stops
+      .filter(stop => byId.has(String(stop.placeId)))
+      .map((stop, index) => ({ order: index + 1, placeId: stop.placeId, narrative: stop.narrative, place: byId.get(String(stop.placeId)) }))
+  };
+}
+
+// Recompute start, distance and (unless given) duration when the stops change
+async function applyStopMetrics(fields, res) {
+  const metrics = await measureTourStops(fields.stops);
+  if (metrics.missing) {
+    res.status(400).json({ success: false, message: `Unknown places in stops: ${metrics.missing.join(', ')}` });
+    return false;
+  }
+  fields.stops = fields.stops.map(({ placeId, narrative }) => ({ placeId, narrative }));
+  fields.startLocation = metrics.startLocation;
+  fields.distanceMeters = metrics.distanceMeters;
+  if (!fields.estimatedDurationMinutes) {
+    fields.estimatedDurationMinutes = estimateTourDuration(metrics.distanceMeters, fields.stops.length);
+  }
+  return true;
+}
+
+// GET /api/tours?lat=&lng=&radius=&page=&limit= -> published tours, nearest start first when lat/lng given
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    if (req.query.lat !== undefined || req.query.lng !== undefined) {
+      const lat = parseFloat(req.query.lat);
+      const lng = parseFloat(req.query.lng);
+      const radius = parseInt(req.query.radius || '5000', 10);
+
+      if (!validateCoordinates(lat, lng)) {
+        return res.status(400).json({ success: false, message: 'Valid lat and lng are required' });
+      }
+      if (isNaN(radius) || radius <= 0 || radius > 50000) {
+        return res.status(400).json({ success: false, message: 'Radius must be a positive number between 1 and 50000 meters' });
+      }
+
+      const tours = await Tour.find({
+        isPublished: true,
+        startLocation: {
+          $nearSphere: { $geometry: { type: 'Point', coordinates: [lng, lat] }, $maxDistance: radius }
+        }
+      })
+        .select(LIST_FIELDS)
+        .limit(limit)
+        .lean();
+
+      const data = tours.map(tour => ({
+        ...summarizeTour(tour),
+        distance: Math.round(calculateDistance(lat, lng, tour.startLocation.coordinates[1], tour.startLocation.coordinates[0]))
+      }));
+
+      return res.json({
+        success: true,
+        message: 'Nearby tours retrieved successfully',
+        data,
+        count: data.length,
+        searchCenter: { lat, lng },
+        searchRadius: radius
+      });
+    }
+
+    const filter = { isPublished: true };
+    const [tours, totalCount] = await Promise.all([
+      Tour.find(filter).select(LIST_FIELDS).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Tour.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+    return res.json({
+      success: true,
+      message: 'Tours retrieved successfully',
+      data: tours.map(summarizeTour),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Tours query error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/tours/me/progress?status= -> my tour runs, newest first
+// Registered before /:id/progress so "me" isn't taken for an id
+router.get('/me/progress', auth, async (req, res) => {
+  try {
+    await expireTourProgress({ userId: req.user.id });
+
+    const filter = { userId: req.user.id };
+    if (req.query.status) {
+      if (!['active', 'completed', 'expired', 'abandoned'].includes(req.query.status)) {
+        return res.status(400).json({ success: false, message: 'Status must be one of: active, completed, expired, abandoned' });
+      }
+      filter.status = req.query.status;
+    }
+
+    const runs = await TourProgress.find(filter)
+      .sort({ startedAt: -1 })
+      .limit(50)
+      .populate('tourId', 'name images')
+      .lean();
+
+    const data = runs.map(run => ({ ...formatTourProgress(run), tourId: run.tourId && run.tourId._id, tour: run.tourId }));
+    return res.json({ success: true, message: 'Tour progress retrieved successfully', data, count: data.length });
+  } catch (error) {
+    console.error('Tour progress list error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/tours/:id -> published tour with its stops
+router.get('/:id', validateObjectId, async (req, res) => {
+  try {
+    const tour = await Tour.findOne({ _id: req.params.id, isPublished: true }).lean();
+    if (!tour) {
+      return res.status(404).json({ success: false, message: 'Tour not found' });
+    }
+
+    return res.json({ success: true, message: 'Tour retrieved successfully', data: await withStopPlaces(tour) });
+  } catch (error) {
+    console.error('Tour details error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/tours/:id/start -> start a run; check-ins at the stops then advance it
+router.post('/:id/start', auth, validateObjectId, async (req, res) => {
+  try {
+    const tour = await Tour.findOne({ _id: req.params.id, isPublished: true }).lean();
+    if (!tour) {
+      return res.status(404).json({ success: false, message: 'Tour not found' });
+    }
+
+    const progress = await startTour(req.user.id, tour);
+    if (!progress) {
+      const active = await TourProgress.findOne({ userId: req.user.id, tourId: tour._id, status: 'active' });
+      return res.status(409).json({
+        success: false,
+        message: 'You have already started this tour',
+        ...(active && { data: formatTourProgress(active) })
+      });
+    }
+
+    return res.status(201).json({ success: true, message: 'Tour started', data: formatTourProgress(progress) });
+  } catch (error) {
+    console.error('Tour start error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// GET /api/tours/:id/progress -> my latest run of a tour
+router.get('/:id/progress', auth, validateObjectId, async (req, res) => {
+  try {
+    await expireTourProgress({ userId: req.user.id, tourId: req.params.id });
+
+    const progress = await TourProgress.findOne({ userId: req.user.id, tourId: req.params.id }).sort({ startedAt: -1 });
+    if (!progress) {
+      return res.status(404).json({ success: false, message: 'You have not started this tour' });
+    }
+
+    return res.json({ success: true, message: 'Tour progress retrieved successfully', data: formatTourProgress(progress) });
+  } catch (error) {
+    console.error('Tour progress error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/tours/:id/abandon -> stop my active run of a tour
+router.post('/:id/abandon', auth, validateObjectId, async (req, res) => {
+  try {
+    const progress = await TourProgress.findOneAndUpdate(
+      { userId: req.user.id, tourId: req.params.id, status: 'active' },
+      { $set: { status: 'abandoned' } },
+      { new: true }
+    );
+    if (!progress) {
+      return res.status(404).json({ success: false, message: 'No active run of this tour' });
+    }
+
+    return res.json({ success: true, message: 'Tour abandoned', data: formatTourProgress(progress) });
+  } catch (error) {
+    console.error('Tour abandon error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ==================== EDITOR ENDPOINTS ====================
+
+// GET /api/tours/admin/all -> every tour including unpublished ones (tours:write)
+router.get('/admin/all', auth, requirePermission('tours:write'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [tours, totalCount] = await Promise.all([
+      Tour.find({}).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Tour.countDocuments({})
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+    return res.json({
+      success: true,
+      message: 'All tours retrieved successfully',
+      data: tours,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Admin tours query error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/tours -> create a tour (tours:write)
+router.post('/', auth, requirePermission('tours:write'), validateTour, async (req, res) => {
+  try {
+    const fields = pickFields(req.body, TOUR_FIELDS);
+    if (!(await applyStopMetrics(fields, res))) return;
+
+    const tour = await Tour.create({ ...fields, createdBy: req.user.id });
+    return res.status(201).json({ success: true, message: 'Tour created successfully', data: tour });
+  } catch (error) {
+    console.error('Tour create error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/tours/:id -> update a tour (tours:write); runs already started keep their stops
+router.put('/:id', auth, requirePermission('tours:write'), validateObjectId, validateTourUpdate, async (req, res) => {
+  try {
+    const tour = await Tour.findById(req.params.id);
+    if (!tour) {
+      return res.status(404).json({ success: false, message: 'Tour not found' });
+    }
+
+    const fields = pickFields(req.body, TOUR_FIELDS);
+    // New stops are re-measured; the duration is re-estimated unless sent along
+    if (fields.stops && !(await applyStopMetrics(fields, res))) return;
+
+    tour.set(fields);
+    await tour.save();
+    return res.json({ success: true, message: 'Tour updated successfully', data: tour });
+  } catch (error) {
+    console.error('Tour update error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// DELETE /api/tours/:id -> delete a tour (tours:write); active runs are abandoned
+router.delete('/:id', auth, requirePermission('tours:write'), validateObjectId, async (req, res) => {
+  try {
+    const tour = await Tour.findByIdAndDelete(req.params.id);
+    if (!tour) {
+      return res.status(404).json({ success: false, message: 'Tour not found' });
+    }
+
+    await TourProgress.updateMany({ tourId: tour._id, status: 'active' }, { $set: { status: 'abandoned' } });
+    return res.json({ success: true, message: 'Tour deleted successfully' });
+  } catch (error) {
+    console.error('Tour delete error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,21 @@
 const router = require('express').Router();
-const { auth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { RewardHistory, User } = require('../../models');
 const { validateObjectId } = require('../middleware/validation');
 const validator = require('validator');
 const bcrypt = require('bcryptjs');
+const { resetAccountFailures, resetIpFailures } = require('../utils/loginThrottle');
+const { sendVerificationEmail } = require('../utils/accountEmails');
+const { createSession, revokeUserSessions } = require('../utils/sessions');
+const { postPoints } = require('../utils/ledger');
+const { reconcilePoints } = require('../jobs/reconcilePoints');
+const { ROLE_NAMES, PERMISSIONS, isRole, getRolePermissions, hasPermission } = require('../../config/roles');
 
 // GET /api/users/:id/rewards -> return total points + detailed history
 router.get('/:id/rewards', auth, validateObjectId, async (req, res) => {
   try {
-    if (req.user.id !== req.params.id && req.user.role !== 'admin') {
+    if (String(req.user.id) !== req.params.id && !hasPermission(req.user.role, 'users:read')) {
       return res.status(403).json({ 
         success: false,
         message: 'Access denied. You can only view your own rewards.' 
@@ -37,13 +44,17 @@ router.get('/:id/rewards', auth, validateObjectId, async (req, res) => {
     // Get total count for pagination
     const totalCount = await RewardHistory.countDocuments({ userId: req.params.id });
 
-    // Calculate reward statistics
+    // Calculate reward statistics; admin adjustments are counted apart from points earned and spent
+    const isAdjustment = { $eq: ['$sourceType', 'adjustment'] };
     const stats = await RewardHistory.aggregate([
       { $match: { userId: user._id } },
       {
         $group: {
           _id: null,
-          totalEarned: { $sum: '$amount' },
+          totalEarned: { $sum: { $cond: [{ $and: [{ $not: [isAdjustment] }, { $gt: ['$amount', 0] }] }, '$amount', 0] } },
+          totalSpent: { $sum: { $cond: [{ $and: [{ $not: [isAdjustment] }, { $lt: ['$amount', 0] }] }, { $multiply: ['$amount', -1] }, 0] } },
+          totalAdjusted: { $sum: { $cond: [isAdjustment, '$amount', 0] } },
+          historyTotal: { $sum: '$amount' },
           totalTransactions: { $sum: 1 },
           firstReward: { $min: '$timestamp' },
           lastReward: { $max: '$timestamp' }
@@ -53,6 +64,9 @@ router.get('/:id/rewards', auth, validateObjectId, async (req, res) => {
 
     const rewardStats = stats[0] || {
       totalEarned: 0,
+      totalSpent: 0,
+      totalAdjusted: 0,
+      historyTotal: 0,
       totalTransactions: 0,
       firstReward: null,
       lastReward: null
@@ -72,6 +86,10 @@ router.get('/:id/rewards', auth, validateObjectId, async (req, res) => {
         statistics: {
           totalPoints: user.rewardPoints.total,
           totalEarned: rewardStats.totalEarned,
+          totalSpent: rewardStats.totalSpent,
+          totalAdjusted: rewardStats.totalAdjusted,
+          // false when the balance has drifted from the history (see /api/users/admin/reconcile-points)
+          balanceMatchesHistory: rewardStats.historyTotal === user.rewardPoints.total,
           totalTransactions: rewardStats.totalTransactions,
           firstReward: rewardStats.firstReward,
           lastReward: rewardStats.lastReward
@@ -139,7 +157,7 @@ router.get('/leaderboard', async (_req, res) => {
 // PUT /api/users/profile -> update profile (name, email, picture, username, password)
 router.put('/profile', auth, async (req, res) => {
   try {
-    const { firstName, lastName, email, pictureUrl, username, password } = req.body;
+    const { firstName, lastName, email, pictureUrl, username, password, currentPassword } = req.body;
 
     const updates = {};
     if (typeof firstName === 'string') updates['profile.firstName'] = firstName.trim();
@@ -176,17 +194,32 @@ router.put('/profile', auth, async (req, res) => {
       if (trimmed.length < 6) {
         return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
       }
+      // A stolen access token alone must not be enough to take over the account
+      const current = await User.findById(req.user.id).select('login.password');
+      if (!current) return res.status(404).json({ success: false, message: 'User not found' });
+      if (typeof currentPassword !== 'string' || !(await current.comparePassword(currentPassword))) {
+        return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+      }
       // Hash the password
       const hashedPassword = await bcrypt.hash(trimmed, 10);
       updates['login.password'] = hashedPassword;
     }
 
     // Ensure email uniqueness when changed
+    let emailChanged = false;
     if (updates['profile.email']) {
       const existing = await User.findOne({ _id: { $ne: req.user.id }, 'profile.email': updates['profile.email'] });
       if (existing) {
         return res.status(409).json({ success: false, message: 'Email already in use' });
       }
+
+      // A new address has to be verified again
+      const current = await User.findById(req.user.id).select('profile.email');
+      if (current && current.profile.email !== updates['profile.email']) {
+        emailChanged = true;
+        updates['profile.emailVerified'] = false;
+        updates['profile.emailVerifiedAt'] = null;
+      }
     }
 
     // Ensure username uniqueness when changed
@@ -207,6 +240,21 @@ router.put('/profile', auth, async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updated);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
+    // A new password ends every login, device keys included; this device continues with a fresh session
+    if (updates['login.password']) {
+      await revokeUserSessions(req.user.id, 'password_changed');
+      const tokens = await createSession(updated, req);
+      return res.json({ success: true, message: 'Profile updated', data: updated, tokens });
+    }
+
     return res.json({ success: true, message: 'Profile updated', data: updated });
   } catch (error) {
     console.error('Profile update error:', error);
@@ -225,21 +273,38 @@ router.get('/points', auth, async (req, res) => {
   }
 });
 
-// Add to your users.js or a dev-only route file
-router.post('/make-admin/:id', async (req, res) => {
+// POST /api/users/:id/unlock -> clear failed login attempts and lockout (users:manage)
+router.post('/:id/unlock', auth, requirePermission('users:manage'), validateObjectId, async (req, res) => {
   try {
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { $set: { role: 'admin' } },
-      { new: true }
-    );
+    const user = await User.findById(req.params.id).select('_id');
     if (!user) return res.status(404).json({ success: false, message: 'User not found' });
-    res.json({ success: true, message: 'User promoted to admin', data: user });
+
+    await resetAccountFailures(user._id);
+    return res.json({ success: true, message: 'Account unlocked' });
   } catch (error) {
-    res.status(500).json({ success: false, message: 'Server error' });
+    console.error('Account unlock error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
+// POST /api/users/admin/unlock-ip -> clear failed login attempts for an IP (users:manage)
+router.post('/admin/unlock-ip', auth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { ip } = req.body;
+    if (!ip || typeof ip !== 'string') {
+      return res.status(400).json({ success: false, message: 'IP address is required' });
+    }
+
+    const cleared = await resetIpFailures(ip.trim());
+    return res.json({
+      success: true,
+      message: cleared ? 'IP unlocked' : 'No failed login attempts recorded for this IP'
+    });
+  } catch (error) {
+    console.error('IP unlock error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
 // GET /api/users/is-admin -> check if current user is admin
 router.get('/is-admin', auth, async (req, res) => {
@@ -249,8 +314,159 @@ router.get('/is-admin', auth, async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
     const isAdmin = user.role === 'admin';
-    return res.json({ success: true, isAdmin });
+    return res.json({ success: true, isAdmin, role: user.role, permissions: getRolePermissions(user.role) });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ==================== POINTS LEDGER ====================
+
+// POST /api/users/:id/points/adjustments -> credit or debit a user's points with a reason (points:manage, honours Idempotency-Key)
+router.post('/:id/points/adjustments', auth, requirePermission('points:manage'), idempotency, validateObjectId, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+    if (!Number.isInteger(amount) || amount === 0) {
+      return res.status(400).json({ success: false, message: 'Amount must be a non-zero integer' });
+    }
+    if (typeof reason !== 'string' || !reason.trim() || reason.trim().length > 200) {
+      return res.status(400).json({ success: false, message: 'Reason is required (max 200 characters)' });
+    }
+
+    const { balance, entry } = await postPoints({
+      userId: req.params.id,
+      amount,
+      reason: reason.trim(),
+      source: { type: 'adjustment' },
+      createdBy: req.user.id
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Points adjusted',
+      data: { entry, totalPoints: balance }
+    });
+  } catch (error) {
+    if (error.code === 'USER_NOT_FOUND') {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (error.code === 'INSUFFICIENT_POINTS') {
+      return res.status(400).json({ success: false, message: 'Adjustment would make the balance negative' });
+    }
+    console.error('Points adjustment error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// POST /api/users/admin/reconcile-points -> compare balances with the rewards history; `fix: true` resets drifted balances (points:manage)
+router.post('/admin/reconcile-points', auth, requirePermission('points:manage'), async (req, res) => {
+  try {
+    const { userId, fix } = req.body || {};
+    if (userId !== undefined && !validator.isMongoId(String(userId))) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID format' });
+    }
+    if (fix !== undefined && typeof fix !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'fix must be a boolean' });
+    }
+
+    const summary = await reconcilePoints({ userId, fix: fix === true, fixedBy: req.user.id });
+    const found = summary.discrepancies.length;
+    return res.json({
+      success: true,
+      message: summary.fix
+        ? `Reset ${summary.fixed} balance(s) to match the rewards history`
+        : `${found} balance(s) differ from the rewards history`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Points reconciliation error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ==================== ROLE MANAGEMENT ====================
+
+// GET /api/users/roles -> list roles and their permissions (users:roles)
+router.get('/roles', auth, requirePermission('users:roles'), (_req, res) => {
+  const roles = ROLE_NAMES.map(name => ({ name, permissions: getRolePermissions(name) }));
+  return res.json({ success: true, data: { roles, permissions: PERMISSIONS } });
+});
+
+// GET /api/users/admin/all -> list users with their roles (users:roles)
+router.get('/admin/all', auth, requirePermission('users:roles'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.role) {
+      if (!isRole(req.query.role)) {
+        return res.status(400).json({ success: false, message: `Invalid role. Must be one of: ${ROLE_NAMES.join(', ')}` });
+      }
+      filter.role = req.query.role;
+    }
+
+    const users = await User.find(filter)
+      .select('profile.firstName profile.lastName profile.email login.username role createdAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const totalCount = await User.countDocuments(filter);
+
+    return res.json({
+      success: true,
+      message: 'Users retrieved successfully',
+      data: users,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalItems: totalCount,
+        itemsPerPage: limit,
+        hasNext: page < Math.ceil(totalCount / limit),
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Admin users query error:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// PUT /api/users/:id/role -> assign a role to a user (users:roles)
+router.put('/:id/role', auth, requirePermission('users:roles'), validateObjectId, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!isRole(role)) {
+      return res.status(400).json({ success: false, message: `Invalid role. Must be one of: ${ROLE_NAMES.join(', ')}` });
+    }
+
+    const user = await User.findById(req.params.id).select('role');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    // Never leave the system without an administrator
+    if (user.role === 'admin' && role !== 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(409).json({ success: false, message: 'Cannot remove the last admin' });
+      }
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { role } },
+      { new: true, runValidators: true }
+    ).select('profile.firstName profile.lastName login.username role');
+
+    return res.json({
+      success: true,
+      message: `Role updated to ${role}`,
+      data: { user: updated, permissions: getRolePermissions(role) }
+    });
   } catch (error) {
+    console.error('Role assignment error:', error);
     return res.status(500).json({ success: false, message: 'Server error' });
   }
 });
@@ -0,0 +1,36 @@
+const { sendMail } = require('./mailer');
+const { issueUserToken } = require('./userTokens');
+const { parseDuration } = require('./duration');
+
+function buildLink(pathname, token) {
+  const baseUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${baseUrl}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+// Send an email verification link to the user's current address
+async function sendVerificationEmail(user) {
+  const ttlMs = parseDuration(process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h', 24 * 60 * 60 * 1000);
+  const token = await issueUserToken(user._id, 'email_verification', ttlMs);
+  const link = buildLink('/verify-email', token);
+
+  return sendMail({
+    to: user.profile.email,
+    subject: 'Verify your AR City email address',
+    text: `Hi ${user.profile.firstName},\n\nPlease confirm your email address by opening this link:\n${link}\n\nIf you did not create an account, you can ignore this email.`
+  });
+}
+
+// Send a password reset link
+async function sendPasswordResetEmail(user) {
+  const ttlMs = parseDuration(process.env.PASSWORD_RESET_EXPIRES_IN || '1h', 60 * 60 * 1000);
+  const token = await issueUserToken(user._id, 'password_reset', ttlMs);
+  const link = buildLink('/reset-password', token);
+
+  return sendMail({
+    to: user.profile.email,
+    subject: 'Reset your AR City password',
+    text: `Hi ${user.profile.firstName},\n\nSomeone requested a password reset for your account. Open this link to choose a new password:\n${link}\n\nIf this wasn't you, you can ignore this email; your password stays unchanged.`
+  });
+}
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
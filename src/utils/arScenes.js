@@ -0,0 +1,118 @@
+const { Place, ArScene, ArAnchor } = require('../../models');
+const { calculateDistance } = require('./geo');
+
+// Client payload for one anchor; visibilityDistance falls back to the scene default
+function formatAnchor(anchor, scene, distance) {
+  return {
+    id: anchor._id,
+    name: anchor.name,
+    location: anchor.location,
+    altitude: anchor.altitude,
+    orientation: anchor.orientation,
+    scale: anchor.scale,
+    content: anchor.content,
+    visibilityDistance: anchor.visibilityDistance || scene.visibilityDistance,
+    ...(distance !== undefined && { distance: Math.round(distance) })
+  };
+}
+
+function formatScene(scene, anchors) {
+  return {
+    id: scene._id,
+    placeId: scene.placeId,
+    name: scene.name,
+    description: scene.description,
+    isPublished: scene.isPublished,
+    visibilityDistance: scene.visibilityDistance,
+    anchors
+  };
+}
+
+/**
+ * Scenes of one place with their active anchors
+ * @param {string} placeId
+ * @param {{includeUnpublished?: boolean}} [options]
+ * @returns {Promise<Object[]>}
+ */
+async function getPlaceArScenes(placeId, { includeUnpublished = false } = {}) {
+  const sceneFilter = { placeId };
+  if (!includeUnpublished) sceneFilter.isPublished = true;
+
+  const scenes = await ArScene.find(sceneFilter).sort({ sortOrder: 1, createdAt: 1 }).lean();
+  const anchors = await ArAnchor.find({ sceneId: { $in: scenes.map(scene => scene._id) }, isActive: true }).lean();
+
+  return scenes.map(scene => formatScene(
+    scene,
+    anchors
+      .filter(anchor => String(anchor.sceneId) === String(scene._id))
+      .map(anchor => formatAnchor(anchor, scene))
+  ));
+}
+
+/**
+ * Published AR content around a position, grouped by place and scene.
+ * Anchors are only returned when the user is within their visibility distance.
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} radius - Search radius in meters
+ * @returns {Promise<Object[]>} places nearest first, each with `scenes`
+ */
+async function getNearbyArContent(lat, lng, radius) {
+  const anchors = await ArAnchor.find({
+    isActive: true,
+    location: {
+      $nearSphere: {
+        $geometry: { type: 'Point', coordinates: [lng, lat] },
+        $maxDistance: radius
+      }
+    }
+  })
+  .limit(500)
+  .lean();
+
+  const sceneIds = [...new Set(anchors.map(anchor => String(anchor.sceneId)))];
+  const scenes = await ArScene.find({ _id: { $in: sceneIds }, isPublished: true }).lean();
+  const placeIds = [...new Set(scenes.map(scene => String(scene.placeId)))];
+  // Deleted places are excluded by the soft-delete plugin
+  const places = await Place.find({ _id: { $in: placeIds } })
+    .select('name description location category images')
+    .lean();
+
+  const scenesById = new Map(scenes.map(scene => [String(scene._id), scene]));
+  const placesById = new Map(places.map(place => [String(place._id), place]));
+  const grouped = new Map();
+
+  anchors.forEach(anchor => {
+    const scene = scenesById.get(String(anchor.sceneId));
+    const place = scene && placesById.get(String(scene.placeId));
+    if (!place) return;
+
+    const [anchorLng, anchorLat] = anchor.location.coordinates;
+    const distance = calculateDistance(lat, lng, anchorLat, anchorLng);
+    const formatted = formatAnchor(anchor, scene, distance);
+    if (distance > formatted.visibilityDistance) return;
+
+    if (!grouped.has(String(place._id))) {
+      const [placeLng, placeLat] = place.location.coordinates;
+      grouped.set(String(place._id), {
+        ...place,
+        distance: Math.round(calculateDistance(lat, lng, placeLat, placeLng)),
+        scenes: new Map()
+      });
+    }
+    const entry = grouped.get(String(place._id));
+    if (!entry.scenes.has(String(scene._id))) {
+      entry.scenes.set(String(scene._id), formatScene(scene, []));
+    }
+    entry.scenes.get(String(scene._id)).anchors.push(formatted);
+  });
+
+  return [...grouped.values()]
+    .map(entry => ({ ...entry, scenes: [...entry.scenes.values()] }))
+    .sort((a, b) => a.distance - b.distance);
+}
+
+module.exports = {
+  getPlaceArScenes,
+  getNearbyArContent
+};
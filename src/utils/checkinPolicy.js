@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const { Settings, Checkin } = require('../../models');
+const { getCheckinPolicyDefaults } = require('../../config/checkin');
+const { getDefaultTimeZone, getZonedParts, zonedTimeToUtc, startOfZonedDay } = require('./openingHours');
+
+// Fields of the global default policy; places can override each of them
+const DEFAULT_POLICY_FIELDS = ['minDistanceMeters', 'maxDistanceMeters', 'points', 'cooldownMode', 'cooldownHours', 'maxCheckinsPerUser'];
+const DATE_FIELDS = ['activeFrom', 'activeUntil'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Fields of `source` that are actually set (null/undefined mean "inherit")
+function pickSet(source, fields) {
+  const picked = {};
+  if (!source) return picked;
+  fields.forEach(field => {
+    if (source[field] !== null && source[field] !== undefined) picked[field] = source[field];
+  });
+  return picked;
+}
+
+/**
+ * Global default check-in policy: environment defaults overridden by the admin settings
+ * @returns {Promise<Object>}
+ */
+async function getDefaultCheckinPolicy() {
+  const settings = await Settings.findOne({ key: 'global' }).select('checkinPolicy').lean();
+  return { ...getCheckinPolicyDefaults(), ...pickSet(settings && settings.checkinPolicy, DEFAULT_POLICY_FIELDS) };
+}
+
+/**
+ * Save changes to the global default policy. A null field goes back to its environment default.
+ * @param {Object} changes - Any of DEFAULT_POLICY_FIELDS
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} the new default policy
+ */
+async function updateDefaultCheckinPolicy(changes, userId) {
+  const update = { $set: { updatedBy: userId }, $unset: {} };
+  DEFAULT_POLICY_FIELDS.forEach(field => {
+    if (changes[field] === null) update.$unset[`checkinPolicy.${field}`] = '';
+    else if (changes[field] !== undefined) update.$set[`checkinPolicy.${field}`] = changes[field];
+  });
+
+  if (Object.keys(update.$unset).length === 0) delete update.$unset;
+
+  await Settings.updateOne({ key: 'global' }, update, { upsert: true, runValidators: true });
+  return getDefaultCheckinPolicy();
+}
+
+// Submitted place policy with the active range as dates, so unchanged values compare equal
+function normalizePlacePolicy(policy) {
+  if (!policy) return policy;
+  const normalized = { ...policy };
+  DATE_FIELDS.forEach(field => {
+    if (normalized[field]) normalized[field] = new Date(normalized[field]);
+  });
+  return normalized;
+}
+
+/**
+ * Policy that applies at a place: the place's own settings over the global default
+ * @param {Object} place - Place document or lean object
+ * @param {Object} defaults - from getDefaultCheckinPolicy
+ * @returns {Object}
+ */
+function resolveCheckinPolicy(place, defaults) {
+  const own = place.checkinPolicy || {};
+  return {
+    ...defaults,
+    ...pickSet(own, DEFAULT_POLICY_FIELDS),
+    requireOpen: Boolean(own.requireOpen),
+    activeFrom: own.activeFrom || null,
+    activeUntil: own.activeUntil || null,
+    timeZone: place.timeZone || getDefaultTimeZone()
+  };
+}
+
+/**
+ * A user's counted (not rejected) check-ins at places
+ * @param {string} userId
+ * @param {Array} placeIds
+ * @param {{around?: Date, excludeId?: string, session?: ClientSession}} [options] - `around`: for a check-in made at a past instant, also
+ *   report the first check-in after it (nextCheckinAt) while lastCheckinAt is the last one before it; count always
+ *   covers every check-in matched. `excludeId`: leave out this check-in (the one being judged, when it is stored).
+ *   `session`: read inside the caller's transaction.
+ * @returns {Promise<Map<string, {count: number, lastCheckinAt: Date, nextCheckinAt?: Date}>>} keyed by place id
+ */
+async function getCheckinHistory(userId, placeIds, { around, excludeId, session } = {}) {
+  const match = {
+    userId: new mongoose.Types.ObjectId(String(userId)),
+    placeId: { $in: placeIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+    status: { $ne: 'rejected' }
+  };
+  if (excludeId) match._id = { $ne: new mongoose.Types.ObjectId(String(excludeId)) };
+
+  const group = { _id: '$placeId', count: { $sum: 1 }, lastCheckinAt: { $max: '$timestamp' } };
+  if (around) {
+    // $max/$min skip the nulls
+    group.lastCheckinAt = { $max: { $cond: [{ $lt: ['$timestamp', around] }, '$timestamp', null] } };
+    group.nextCheckinAt = { $min: { $cond: [{ $gte: ['$timestamp', around] }, '$timestamp', null] } };
+  }
+
+  const rows = await Checkin.aggregate([
+    { $match: match },
+    { $group: group }
+  ]).session(session || null);
+  return new Map(rows.map(row => [String(row._id), {
+    count: row.count,
+    lastCheckinAt: row.lastCheckinAt,
+    ...(around && { nextCheckinAt: row.nextCheckinAt })
+  }]));
+}
+
+// When the cooldown after the last check-in ends (null when there is none)
+function getCooldownEnd(policy, lastCheckinAt, now) {
+  if (!lastCheckinAt) return null;
+  if (policy.cooldownMode === 'rolling') {
+    return new Date(lastCheckinAt.getTime() + policy.cooldownHours * HOUR_MS);
+  }
+  if (policy.cooldownMode === 'calendarDay' && lastCheckinAt >= startOfZonedDay(now, policy.timeZone)) {
+    // Next local midnight
+    return zonedTimeToUtc(getZonedParts(now, policy.timeZone).dateKey, 24 * 60, policy.timeZone);
+  }
+  return null;
+}
+
+/**
+ * Whether a user may check in at a place now. Distance and opening hours are checked separately.
+ * @param {Object} policy - from resolveCheckinPolicy
+ * @param {{count: number, lastCheckinAt: Date|null, nextCheckinAt?: Date|null}} [history] - the user's check-ins
+ *   at the place; nextCheckinAt when checking a check-in made at a past `now` (see getCheckinHistory `around`)
+ * @param {Date} [now]
+ * @returns {{allowed: boolean, reason: string|null, message: string|null, nextAllowedAt: Date|null,
+ *   checkinsUsed: number, checkinsRemaining: number|null}} reason is one of
+ *   'not_started', 'ended', 'limit_reached', 'cooldown'
+ */
+function evaluateCheckinPolicy(policy, history = {}, now = new Date()) {
+  const checkinsUsed = history.count || 0;
+  const checkinsRemaining = policy.maxCheckinsPerUser > 0 ? Math.max(policy.maxCheckinsPerUser - checkinsUsed, 0) : null;
+  const result = (reason, message, nextAllowedAt = null) => ({
+    allowed: reason === null,
+    reason,
+    message,
+    nextAllowedAt,
+    checkinsUsed,
+    checkinsRemaining
+  });
+
+  if (policy.activeFrom && now < policy.activeFrom) {
+    return result('not_started', 'Check-ins at this place have not started yet', policy.activeFrom);
+  }
+  if (policy.activeUntil && now > policy.activeUntil) {
+    return result('ended', 'Check-ins at this place have ended');
+  }
+  if (checkinsRemaining === 0) {
+    return result('limit_reached', 'You have reached the check-in limit for this place');
+  }
+
+  const cooldownEnd = getCooldownEnd(policy, history.lastCheckinAt || null, now);
+  if (cooldownEnd && cooldownEnd > now) {
+    const message = policy.cooldownMode === 'calendarDay'
+      ? 'Already checked in at this place today'
+      : 'You checked in here recently. Try again later.';
+    return result('cooldown', message, cooldownEnd);
+  }
+
+  // A check-in submitted late: a check-in the user already made after it must not fall within its cooldown
+  const ownCooldownEnd = history.nextCheckinAt ? getCooldownEnd(policy, now, now) : null;
+  if (ownCooldownEnd && history.nextCheckinAt < ownCooldownEnd) {
+    const message = policy.cooldownMode === 'calendarDay'
+      ? 'Already checked in at this place that day'
+      : 'You checked in here shortly after this visit.';
+    return result('cooldown', message);
+  }
+
+  return result(null, null);
+}
+
+module.exports = {
+  DEFAULT_POLICY_FIELDS,
+  getDefaultCheckinPolicy,
+  updateDefaultCheckinPolicy,
+  normalizePlacePolicy,
+  resolveCheckinPolicy,
+  getCheckinHistory,
+  evaluateCheckinPolicy
+};
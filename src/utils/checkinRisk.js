@@ -0,0 +1,110 @@
+const { Checkin } = require('../../models');
+const { calculateDistance } = require('./geo');
+const { getCheckinRiskSettings } = require('../../config/checkin');
+
+// Points each signal adds to the risk score (capped at 100)
+const SIGNAL_WEIGHTS = {
+  mock_location: 80,
+  impossible_travel: 60,
+  repeated_coordinates: 30,
+  poor_accuracy: 20,
+  device_speed: 15,
+  missing_accuracy: 5
+};
+
+// Shortest interval used for travel speed, so GPS jitter between two quick check-ins isn't "instant" travel
+const MIN_TRAVEL_SECONDS = 60;
+
+function signal(code, detail, weight = SIGNAL_WEIGHTS[code]) {
+  return { code, weight, detail };
+}
+
+// Travel speed from the user's previous counted check-in, or to the next one (for check-ins recorded in the past)
+async function checkTravelSpeed(userId, [lng, lat], timestamp, maxTravelSpeedKmh, direction = 'previous') {
+  const previous = direction === 'previous';
+  const other = await Checkin.findOne({
+    userId,
+    status: { $ne: 'rejected' },
+    timestamp: previous ? { $lt: timestamp } : { $gt: timestamp }
+  })
+    .sort({ timestamp: previous ? -1 : 1 })
+    .select('location timestamp')
+    .lean();
+  if (!other) return null;
+
+  const [otherLng, otherLat] = other.location.coordinates;
+  const meters = calculateDistance(otherLat, otherLng, lat, lng);
+  const seconds = Math.max(Math.abs(timestamp - other.timestamp) / 1000, MIN_TRAVEL_SECONDS);
+  const speedKmh = (meters / 1000) / (seconds / 3600);
+  if (speedKmh <= maxTravelSpeedKmh) return null;
+
+  const relation = previous ? 'since the previous check-in' : 'before the next check-in';
+  return signal('impossible_travel', `${Math.round(meters)}m in ${Math.round(seconds)}s ${relation} (${Math.round(speedKmh)} km/h)`);
+}
+
+// Real GPS fixes practically never repeat to the last decimal; replayed/fixed mock positions do
+async function checkRepeatedCoordinates(userId, coordinates, timestamp, lookbackDays) {
+  const since = new Date(timestamp.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+  const repeats = await Checkin.countDocuments({
+    userId,
+    'location.coordinates': coordinates,
+    timestamp: { $gte: since, $lt: timestamp }
+  });
+  if (repeats === 0) return null;
+
+  return signal(
+    'repeated_coordinates',
+    `Identical coordinates in ${repeats} earlier check-in${repeats === 1 ? '' : 's'}`,
+    Math.min(SIGNAL_WEIGHTS.repeated_coordinates + (repeats - 1) * 10, 50)
+  );
+}
+
+function checkDevice(device, { maxAccuracyMeters, maxTravelSpeedKmh }) {
+  const signals = [];
+  if (device.mockLocation === true) {
+    signals.push(signal('mock_location', 'The device reported a mock location provider'));
+  }
+  if (device.accuracy === undefined || device.accuracy === null) {
+    signals.push(signal('missing_accuracy', 'No accuracy reported'));
+  } else if (device.accuracy > maxAccuracyMeters) {
+    signals.push(signal('poor_accuracy', `Accuracy ${Math.round(device.accuracy)}m (limit ${maxAccuracyMeters}m)`));
+  }
+  if (typeof device.speed === 'number' && device.speed * 3.6 > maxTravelSpeedKmh) {
+    signals.push(signal('device_speed', `Device moving at ${Math.round(device.speed * 3.6)} km/h`));
+  }
+  return signals;
+}
+
+/**
+ * Score how likely a check-in position is spoofed and decide what to do with it.
+ * Call before saving the check-in so it isn't compared with itself.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {number[]} params.coordinates - [lng, lat]
+ * @param {{accuracy?: number, altitude?: number, speed?: number, mockLocation?: boolean}} [params.device]
+ * @param {Date} [params.timestamp]
+ * @param {boolean} [params.recordedEarlier] - submitted after the visit (offline): the user may already have
+ *   checked in after it, so travel to the next check-in is checked too; a back-dated visit has to fit both ways
+ * @returns {Promise<{score: number, signals: Object[], action: string}>} action is 'allow', 'hold' or 'reject'
+ */
+async function assessCheckinRisk({ userId, coordinates, device = {}, timestamp = new Date(), recordedEarlier = false }) {
+  const settings = getCheckinRiskSettings();
+
+  const signals = [
+    ...checkDevice(device, settings),
+    await checkTravelSpeed(userId, coordinates, timestamp, settings.maxTravelSpeedKmh),
+    recordedEarlier && await checkTravelSpeed(userId, coordinates, timestamp, settings.maxTravelSpeedKmh, 'next'),
+    await checkRepeatedCoordinates(userId, coordinates, timestamp, settings.repeatLookbackDays)
+  ].filter(Boolean);
+
+  const score = Math.min(signals.reduce((sum, entry) => sum + entry.weight, 0), 100);
+  let action = 'allow';
+  if (score >= settings.rejectScore) action = 'reject';
+  else if (score >= settings.holdScore) action = 'hold';
+
+  return { score, signals, action };
+}
+
+module.exports = {
+  assessCheckinRisk
+};
@@ -0,0 +1,94 @@
+// Minimal RFC 4180 CSV reading and writing (quoted fields, escaped quotes, CR/LF line breaks)
+
+/**
+ * Parse CSV text into rows of string cells
+ * @param {string} text
+ * @param {{delimiter?: string}} [options]
+ * @returns {string[][]} rows; blank lines are skipped
+ * @throws {Error} on an unterminated quoted field
+ */
+function parseCsv(text, { delimiter = ',' } = {}) {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) throw new Error('Unterminated quoted field in CSV');
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize objects to CSV with a header row
+ * @param {Object[]} records
+ * @param {string[]} columns - Keys to write, in order
+ * @returns {string}
+ */
+function toCsv(records, columns) {
+  const lines = [columns.map(formatCell).join(',')];
+  records.forEach(record => {
+    lines.push(columns.map(column => formatCell(record[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Undo the formula guard added by toCsv when a file is imported again
+function unescapeCell(value) {
+  return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+module.exports = {
+  parseCsv,
+  toCsv,
+  unescapeCell
+};
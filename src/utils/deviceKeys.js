@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { DeviceKey, Session } = require('../../models');
+const { parseDuration } = require('./duration');
+
+const SIGNATURE_PATTERN = /^[0-9a-f]{64}$/i;
+
+function getDeviceKeyTtlMs() {
+  return parseDuration(process.env.DEVICE_KEY_EXPIRES_IN || '30d', 30 * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Issue a signing key for a device, bound to the login (session family) it was issued for.
+ * Earlier keys of the device stay valid so check-ins already queued with them can still be sent.
+ * @param {{userId: string, deviceId: string, family: string}} params
+ * @returns {Promise<{keyId: string, secret: string, algorithm: string, expiresAt: Date}>} secret is only returned here
+ */
+async function issueDeviceKey({ userId, deviceId, family }) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const key = await DeviceKey.create({
+    userId,
+    deviceId,
+    family,
+    secret,
+    expiresAt: new Date(Date.now() + getDeviceKeyTtlMs())
+  });
+  return { keyId: key._id, secret, algorithm: 'HMAC-SHA256', expiresAt: key.expiresAt };
+}
+
+/**
+ * A user's device key with its secret, if it hasn't expired and its login hasn't been revoked
+ * (logout, logout everywhere, password change, refresh token reuse)
+ * @param {string} userId
+ * @param {string} keyId
+ * @returns {Promise<Object|null>}
+ */
+async function findUsableDeviceKey(userId, keyId) {
+  const key = await DeviceKey.findOne({ _id: keyId, userId, expiresAt: { $gt: new Date() } }).select('+secret');
+  if (!key) return null;
+
+  const revoked = await Session.exists({ family: key.family, revokedAt: { $ne: null } });
+  return revoked ? null : key;
+}
+
+/**
+ * Check an HMAC-SHA256 signature (hex) of a payload string
+ * @param {string} secret - device key secret
+ * @param {string} payload - exactly the string the device signed
+ * @param {string} signature
+ * @returns {boolean}
+ */
+function verifyPayloadSignature(secret, payload, signature) {
+  if (typeof signature !== 'string' || !SIGNATURE_PATTERN.test(signature)) return false;
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest();
+  return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+}
+
+module.exports = {
+  issueDeviceKey,
+  findUsableDeviceKey,
+  verifyPayloadSignature
+};
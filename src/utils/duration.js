@@ -0,0 +1,24 @@
+// Duration helpers for env values like "15m", "7d" or plain milliseconds
+
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Parse a duration string into milliseconds, returning the fallback when it can't be parsed
+function parseDuration(value, fallbackMs) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value !== 'string') return fallbackMs;
+
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/i);
+  if (!match) return fallbackMs;
+
+  const unit = (match[2] || 'ms').toLowerCase();
+  return Math.round(parseFloat(match[1]) * UNITS[unit]);
+}
+
+module.exports = { parseDuration };
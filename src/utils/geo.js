@@ -0,0 +1,204 @@
+// Geometry helpers for GPS coordinates and GeoJSON check-in areas.
+// Positions are GeoJSON order [lng, lat]; polygon maths is planar in degrees, which is
+// accurate enough for POI-sized areas.
+
+const EARTH_RADIUS_METERS = 6371e3;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two GPS coordinates (Haversine)
+ * @returns {number} Distance in meters
+ */
+function calculateDistance(lat1, lng1, lat2, lng2) {
+  const φ1 = toRadians(lat1);
+  const φ2 = toRadians(lat2);
+  const Δφ = toRadians(lat2 - lat1);
+  const Δλ = toRadians(lng2 - lng1);
+
+  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+          Math.cos(φ1) * Math.cos(φ2) *
+          Math.sin(Δλ/2) * Math.sin(Δλ/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+  return EARTH_RADIUS_METERS * c;
+}
+
+// Polygons of a Polygon or MultiPolygon geometry as arrays of rings
+function getPolygons(geometry) {
+  return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+}
+
+function isOnSegment([px, py], [ax, ay], [bx, by]) {
+  const cross = (bx - ax) * (py - ay) - (by - ay) * (px - ax);
+  if (Math.abs(cross) > 1e-12) return false;
+  return px >= Math.min(ax, bx) && px <= Math.max(ax, bx) && py >= Math.min(ay, by) && py <= Math.max(ay, by);
+}
+
+// Ray casting; points on the boundary count as inside
+function pointInRing(point, ring) {
+  const [x, y] = point;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    if (isOnSegment(point, ring[j], ring[i])) return true;
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a point lies inside a Polygon/MultiPolygon (outside of its holes)
+ * @param {number[]} point - [lng, lat]
+ * @param {{type: string, coordinates: Array}} geometry
+ * @returns {boolean}
+ */
+function pointInGeometry(point, geometry) {
+  return getPolygons(geometry).some(([outer, ...holes]) =>
+    pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole) && !isOnRingBoundary(point, hole))
+  );
+}
+
+function isOnRingBoundary(point, ring) {
+  return ring.some((position, i) => i > 0 && isOnSegment(point, ring[i - 1], position));
+}
+
+// Spherical excess approximation of a ring's area in square meters
+function ringArea(ring) {
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[i + 1];
+    total += toRadians(lng2 - lng1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+  return Math.abs(total * EARTH_RADIUS_METERS * EARTH_RADIUS_METERS / 2);
+}
+
+/**
+ * Area of a Polygon/MultiPolygon in square meters (holes subtracted)
+ * @param {{type: string, coordinates: Array}} geometry
+ * @returns {number}
+ */
+function geometryArea(geometry) {
+  return getPolygons(geometry).reduce((sum, [outer, ...holes]) =>
+    sum + ringArea(outer) - holes.reduce((holeSum, hole) => holeSum + ringArea(hole), 0), 0);
+}
+
+function orientation([ax, ay], [bx, by], [cx, cy]) {
+  const value = (by - ay) * (cx - bx) - (bx - ax) * (cy - by);
+  if (Math.abs(value) < 1e-12) return 0;
+  return value > 0 ? 1 : 2;
+}
+
+function segmentsIntersect(p1, q1, p2, q2) {
+  const o1 = orientation(p1, q1, p2);
+  const o2 = orientation(p1, q1, q2);
+  const o3 = orientation(p2, q2, p1);
+  const o4 = orientation(p2, q2, q1);
+
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (o1 === 0 && isOnSegment(p2, p1, q1)) ||
+    (o2 === 0 && isOnSegment(q2, p1, q1)) ||
+    (o3 === 0 && isOnSegment(p1, p2, q2)) ||
+    (o4 === 0 && isOnSegment(q1, p2, q2));
+}
+
+// Whether any two non-adjacent edges of a closed ring touch or cross
+function ringSelfIntersects(ring) {
+  const edges = ring.length - 1;
+  for (let i = 0; i < edges; i++) {
+    for (let j = i + 1; j < edges; j++) {
+      const adjacent = j === i + 1 || (i === 0 && j === edges - 1);
+      if (adjacent) continue;
+      if (segmentsIntersect(ring[i], ring[i + 1], ring[j], ring[j + 1])) return true;
+    }
+  }
+  return false;
+}
+
+function isPosition(position) {
+  return Array.isArray(position) && position.length === 2 &&
+    position.every(value => typeof value === 'number' && Number.isFinite(value)) &&
+    position[0] >= -180 && position[0] <= 180 && position[1] >= -90 && position[1] <= 90;
+}
+
+/**
+ * Validate a GeoJSON check-in area. Returns an error message or null.
+ * @param {Object} geometry - Polygon or MultiPolygon
+ * @param {{maxAreaSqMeters: number, maxVertices: number}} limits
+ * @returns {string|null}
+ */
+function checkGeofence(geometry, { maxAreaSqMeters, maxVertices }) {
+  if (!geometry || typeof geometry !== 'object' || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return 'checkinArea must be a GeoJSON Polygon or MultiPolygon';
+  }
+  if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    return 'checkinArea.coordinates must be a non-empty array';
+  }
+
+  const polygons = getPolygons(geometry);
+  let vertices = 0;
+  for (const polygon of polygons) {
+    if (!Array.isArray(polygon) || polygon.length === 0) {
+      return 'Each polygon needs at least an outer ring';
+    }
+    for (const ring of polygon) {
+      if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+        return 'Polygon rings need at least 4 [lng, lat] positions with valid coordinates';
+      }
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        return 'Polygon rings must be closed (first and last position equal)';
+      }
+      if (ringSelfIntersects(ring)) {
+        return 'checkinArea must not be self-intersecting';
+      }
+      vertices += ring.length - 1;
+    }
+  }
+
+  if (vertices > maxVertices) {
+    return `checkinArea has too many vertices (max ${maxVertices})`;
+  }
+
+  const area = geometryArea(geometry);
+  if (area <= 0) {
+    return 'checkinArea must have a non-zero area';
+  }
+  if (area > maxAreaSqMeters) {
+    return `checkinArea is too large (${Math.round(area)} m², max ${maxAreaSqMeters} m²)`;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a "minLng,minLat,maxLng,maxLat" bounding box
+ * @param {string} value
+ * @returns {number[]|null} null when malformed; minLng > maxLng means it crosses the antimeridian
+ */
+function parseBbox(value) {
+  if (typeof value !== 'string') return null;
+  const parts = value.split(',').map(part => parseFloat(part));
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  const validLng = (lng) => lng >= -180 && lng <= 180;
+  const validLat = (lat) => lat >= -90 && lat <= 90;
+  if (!validLng(minLng) || !validLng(maxLng) || !validLat(minLat) || !validLat(maxLat) || minLat > maxLat) {
+    return null;
+  }
+  return parts;
+}
+
+module.exports = {
+  calculateDistance,
+  parseBbox,
+  pointInGeometry,
+  geometryArea,
+  checkGeofence
+};
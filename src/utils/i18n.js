@@ -0,0 +1,183 @@
+const { getDefaultLocale, getSupportedLocales, getTranslationLocales } = require('../../config/i18n');
+
+// Fields that can be translated, per content type. Arrays hold lists of strings.
+const TRANSLATABLE_FIELDS = {
+  place: ['name', 'description'],
+  reward: ['name', 'shortDescription', 'description', 'termsAndConditions']
+};
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+
+// "de_CH" / "DE-ch" -> "de-ch"; null when it isn't a language tag
+function normalizeLocale(tag) {
+  if (typeof tag !== 'string') return null;
+  const locale = tag.trim().toLowerCase().replace(/_/g, '-');
+  return LOCALE_PATTERN.test(locale) ? locale : null;
+}
+
+// Locale content can be translated into (any supported locale but the default), or null
+function parseTranslationLocale(value) {
+  const locale = normalizeLocale(value);
+  return getTranslationLocales().includes(locale) ? locale : null;
+}
+
+/**
+ * Language tags from an Accept-Language header, most preferred first
+ * @param {string} header - e.g. "de-CH,de;q=0.9,en;q=0.5"
+ * @returns {string[]}
+ */
+function parseAcceptLanguage(header) {
+  if (!header) return [];
+  return header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.split(';');
+      const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { locale: normalizeLocale(tag), q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter(entry => entry.locale && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(entry => entry.locale);
+}
+
+/**
+ * Locales to try for a request, in order: ?lang=, then Accept-Language, each followed by its base
+ * language ("de-ch" -> "de"), ending with the default locale. Only supported locales are kept.
+ * @param {Object} req - Express request
+ * @returns {string[]}
+ */
+function getLocaleChain(req) {
+  const supported = getSupportedLocales();
+  const requested = [normalizeLocale(req.query.lang), ...parseAcceptLanguage(req.get('accept-language'))];
+
+  const chain = [];
+  requested.filter(Boolean).forEach(locale => {
+    [locale, locale.split('-')[0]].forEach(candidate => {
+      if (supported.includes(candidate) && !chain.includes(candidate)) chain.push(candidate);
+    });
+  });
+  const defaultLocale = getDefaultLocale();
+  if (!chain.includes(defaultLocale)) chain.push(defaultLocale);
+  return chain;
+}
+
+// Content-Language / Vary headers for a localized response
+function setLocaleHeaders(res, chain) {
+  res.set('Content-Language', chain[0]);
+  res.vary('Accept-Language');
+}
+
+function hasValue(value) {
+  return Array.isArray(value) ? value.length > 0 : typeof value === 'string' && value.trim() !== '';
+}
+
+// Translations as a plain object, whether they come from a document (Map) or a lean query
+function getTranslations(doc) {
+  const translations = doc.translations;
+  if (!translations) return {};
+  return translations instanceof Map ? Object.fromEntries(translations) : translations;
+}
+
+/**
+ * Copy of a place/reward with translatable fields in the best available locale (per field, following
+ * the chain) and `locale` set to the first locale of the chain the content is translated into.
+ * The stored translations are left out.
+ * @param {Object} doc - Document or lean object
+ * @param {string} type - 'place' or 'reward'
+ * @param {string[]} chain - from getLocaleChain
+ * @returns {Object}
+ */
+function localize(doc, type, chain) {
+  const source = typeof doc.toObject === 'function' ? doc.toObject({ flattenMaps: true }) : doc;
+  const translations = getTranslations(source);
+  const localized = { ...source };
+  delete localized.translations;
+  const defaultLocale = getDefaultLocale();
+
+  const valueIn = (locale, field) => {
+    if (locale === defaultLocale) return source[field];
+    const translation = translations[locale];
+    return translation && hasValue(translation[field]) ? translation[field] : undefined;
+  };
+
+  TRANSLATABLE_FIELDS[type].forEach(field => {
+    const locale = chain.find(candidate => valueIn(candidate, field) !== undefined);
+    if (locale) localized[field] = valueIn(locale, field);
+  });
+  localized.locale = chain.find(locale =>
+    locale === defaultLocale || TRANSLATABLE_FIELDS[type].some(field => valueIn(locale, field) !== undefined)
+  );
+  return localized;
+}
+
+/**
+ * Canonical form of submitted translations: known fields only, trimmed, empty values and null/empty locales dropped
+ * @param {Object} translations - { [locale]: { field: value } }
+ * @param {string} type - 'place' or 'reward'
+ * @returns {Object}
+ */
+function normalizeTranslations(translations, type) {
+  const normalized = {};
+  Object.keys(translations || {}).sort().forEach(key => {
+    const locale = normalizeLocale(key);
+    const source = translations[key] || {};
+    const entry = {};
+    TRANSLATABLE_FIELDS[type].forEach(field => {
+      const value = source[field];
+      if (Array.isArray(value)) {
+        const items = value.map(item => item.trim()).filter(Boolean);
+        if (items.length > 0) entry[field] = items;
+      } else if (hasValue(value)) {
+        entry[field] = value.trim();
+      }
+    });
+    if (locale && Object.keys(entry).length > 0) normalized[locale] = entry;
+  });
+  return normalized;
+}
+
+/**
+ * Translatable fields that have content in the default locale but no translation
+ * @param {Object} doc - Document or lean object
+ * @param {string} type - 'place' or 'reward'
+ * @param {string} locale
+ * @returns {string[]}
+ */
+function getMissingTranslations(doc, type, locale) {
+  const translation = getTranslations(doc)[locale] || {};
+  return TRANSLATABLE_FIELDS[type].filter(field => hasValue(doc[field]) && !hasValue(translation[field]));
+}
+
+// Query form of hasValue() for a field path: a non-empty list, or a string with non-blank text
+function valueCondition(path, field, present) {
+  if (field === 'termsAndConditions') return { [`${path}.0`]: { $exists: present } };
+  return { [path]: present ? /\S/ : { $not: /\S/ } };
+}
+
+/**
+ * Mongo filter for documents missing at least one translation in a locale (the same rule as getMissingTranslations)
+ * @param {string} type - 'place' or 'reward'
+ * @param {string} locale
+ * @returns {Object}
+ */
+function missingTranslationsFilter(type, locale) {
+  return {
+    $or: TRANSLATABLE_FIELDS[type].map(field => ({
+      ...valueCondition(field, field, true),
+      ...valueCondition(`translations.${locale}.${field}`, field, false)
+    }))
+  };
+}
+
+module.exports = {
+  TRANSLATABLE_FIELDS,
+  normalizeLocale,
+  parseTranslationLocale,
+  parseAcceptLanguage,
+  getLocaleChain,
+  setLocaleHeaders,
+  localize,
+  normalizeTranslations,
+  getMissingTranslations,
+  missingTranslationsFilter
+};
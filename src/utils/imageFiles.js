@@ -0,0 +1,47 @@
+const path = require('path');
+const fs = require('fs');
+
+const imagesDir = path.join(__dirname, '../../public/images');
+
+// Matches URLs produced by processImage: /images/<name>.webp and /images/thumbs/<name>_thumb.webp
+const IMAGE_URL_PATTERN = /^\/images\/(?:thumbs\/)?([A-Za-z0-9_-]+?)(?:_thumb)?\.webp$/;
+
+// Base name shared by the optimized image, its thumbnail and the original, or null for foreign URLs
+function getImageBaseName(url) {
+  const match = typeof url === 'string' ? IMAGE_URL_PATTERN.exec(url) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Delete the optimized image, thumbnail and original behind an uploaded image URL
+ * @param {string} url - Image URL as returned by /api/upload
+ * @returns {Promise<string[]>} paths that were removed
+ */
+async function removeImageFiles(url) {
+  const name = getImageBaseName(url);
+  if (!name) return [];
+
+  const originalsDir = path.join(imagesDir, 'originals');
+  const originals = await fs.promises.readdir(originalsDir).catch(() => []);
+
+  const candidates = [
+    path.join(imagesDir, `${name}.webp`),
+    path.join(imagesDir, 'thumbs', `${name}_thumb.webp`),
+    ...originals
+      .filter(file => path.basename(file, path.extname(file)) === name)
+      .map(file => path.join(originalsDir, file))
+  ];
+
+  const removed = [];
+  for (const filePath of candidates) {
+    try {
+      await fs.promises.unlink(filePath);
+      removed.push(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return removed;
+}
+
+module.exports = { getImageBaseName, removeImageFiles };
@@ -0,0 +1,122 @@
+// Points ledger. Every balance change goes through postPoints so the balance and the rewards history
+// are written together: one MongoDB transaction (needs a replica set or Atlas), with debits guarded by
+// the balance so concurrent redemptions can't overdraw.
+
+const mongoose = require('mongoose');
+const { User, RewardHistory } = require('../../models');
+
+function ledgerError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Run `work(session)` in a new transaction, or in the caller's when a session is given.
+ * Transient conflicts (e.g. two requests changing the same balance) are retried by the driver.
+ * @param {Function} work - async (session) => result
+ * @param {ClientSession} [session]
+ * @returns {Promise<*>} the result of `work`
+ */
+async function runInTransaction(work, session) {
+  if (session) return work(session);
+
+  const ownSession = await mongoose.startSession();
+  try {
+    let result;
+    await ownSession.withTransaction(async () => {
+      result = await work(ownSession);
+    });
+    return result;
+  } finally {
+    await ownSession.endSession();
+  }
+}
+
+/**
+ * Credit or debit a user's points and write the rewards history entry atomically
+ * @param {Object} change
+ * @param {string} change.userId
+ * @param {number} change.amount - positive credits, negative debits
+ * @param {string} change.reason - history text
+ * @param {{type: string, id?: *}} change.source - what the points are for; type is one of RewardHistory.SOURCE_TYPES
+ * @param {string} [change.createdBy] - admin making an adjustment
+ * @param {Object} [change.userUpdate] - further update operators for the user, applied with the balance change (e.g. $push)
+ * @param {ClientSession} [change.session] - join the caller's transaction
+ * @returns {Promise<{balance: number, entry: Object}>} new balance and the history entry
+ * @throws {Error} code 'USER_NOT_FOUND' or 'INSUFFICIENT_POINTS'; nothing is written then
+ */
+async function postPoints({ userId, amount, reason, source, createdBy = null, userUpdate = {}, session }) {
+  return runInTransaction(async (txn) => {
+    const filter = { _id: userId };
+    if (amount < 0) filter['rewardPoints.total'] = { $gte: -amount };
+
+    const user = await User.findOneAndUpdate(
+      filter,
+      { ...userUpdate, $inc: { ...userUpdate.$inc, 'rewardPoints.total': amount } },
+      { new: true, session: txn }
+    ).select('rewardPoints.total');
+
+    if (!user) {
+      const exists = await User.exists({ _id: userId }).session(txn);
+      throw exists
+        ? ledgerError('INSUFFICIENT_POINTS', 'Insufficient points')
+        : ledgerError('USER_NOT_FOUND', 'User not found');
+    }
+
+    const [entry] = await RewardHistory.create([{
+      userId,
+      amount,
+      reason: reason.slice(0, 200),
+      timestamp: new Date(),
+      balanceAfter: user.rewardPoints.total,
+      sourceType: source.type,
+      sourceId: source.id || null,
+      createdBy
+    }], { session: txn });
+
+    return { balance: user.rewardPoints.total, entry };
+  }, session);
+}
+
+/**
+ * Reset a user's balance to a known-good value (reconciliation) and record the correction as an adjustment
+ * entry. The entry's amount is 0: the history already holds every real change, so its total stays equal to
+ * the balance; the old and new balance are in the reason and balanceAfter.
+ * @param {Object} correction
+ * @param {string} correction.userId
+ * @param {number} correction.balance - new balance
+ * @param {string} correction.reason - history text
+ * @param {string} [correction.createdBy] - admin making the correction
+ * @param {ClientSession} [correction.session] - join the caller's transaction
+ * @returns {Promise<{balance: number, entry: Object}>}
+ * @throws {Error} code 'USER_NOT_FOUND'
+ */
+async function correctBalance({ userId, balance, reason, createdBy = null, session }) {
+  return runInTransaction(async (txn) => {
+    const user = await User.findOneAndUpdate(
+      { _id: userId },
+      { $set: { 'rewardPoints.total': balance } },
+      { session: txn }
+    ).select('_id');
+    if (!user) throw ledgerError('USER_NOT_FOUND', 'User not found');
+
+    const [entry] = await RewardHistory.create([{
+      userId,
+      amount: 0,
+      reason: reason.slice(0, 200),
+      timestamp: new Date(),
+      balanceAfter: balance,
+      sourceType: 'adjustment',
+      createdBy
+    }], { session: txn });
+
+    return { balance, entry };
+  }, session);
+}
+
+module.exports = {
+  runInTransaction,
+  postPoints,
+  correctBalance
+};
@@ -0,0 +1,116 @@
+const { User, LoginAttempt } = require('../../models');
+const { parseDuration } = require('./duration');
+
+// Read limits lazily so values from dotenv are picked up
+function getLockoutConfig() {
+  const maxAttempts = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+  return {
+    maxAttempts,
+    maxAttemptsPerIp: parseInt(process.env.MAX_LOGIN_ATTEMPTS_PER_IP) || maxAttempts * 4,
+    lockoutMs: parseDuration(process.env.LOCKOUT_TIME || '15m', 15 * 60 * 1000)
+  };
+}
+
+function secondsUntil(date) {
+  if (!date) return 0;
+  const ms = new Date(date).getTime() - Date.now();
+  return ms > 0 ? Math.ceil(ms / 1000) : 0;
+}
+
+/**
+ * Seconds left on an account lockout (0 when not locked)
+ * @param {Object} user - User document
+ * @returns {number}
+ */
+function getAccountRetryAfter(user) {
+  return secondsUntil(user.security && user.security.lockUntil);
+}
+
+/**
+ * Register a failed password attempt for an account, locking it once the limit is reached
+ * @param {Object} user - User document
+ * @returns {Promise<number>} seconds until unlock, 0 if the account is still open
+ */
+async function recordAccountFailure(user) {
+  const { maxAttempts, lockoutMs } = getLockoutConfig();
+  const now = new Date();
+  const lastFailure = user.security && user.security.lastFailedLoginAt;
+
+  // Failures older than the lockout window no longer count towards the limit
+  const update = lastFailure && now - lastFailure > lockoutMs
+    ? { $set: { 'security.failedLoginAttempts': 1, 'security.lastFailedLoginAt': now } }
+    : { $inc: { 'security.failedLoginAttempts': 1 }, $set: { 'security.lastFailedLoginAt': now } };
+
+  const updated = await User.findByIdAndUpdate(user._id, update, { new: true }).select('security');
+  if (!updated || updated.security.failedLoginAttempts < maxAttempts) return 0;
+
+  const lockUntil = new Date(now.getTime() + lockoutMs);
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'security.lockUntil': lockUntil, 'security.failedLoginAttempts': 0 } }
+  );
+  return secondsUntil(lockUntil);
+}
+
+// Clear failed attempts and any lock on an account
+async function resetAccountFailures(userId) {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'security.failedLoginAttempts': 0 },
+      $unset: { 'security.lockUntil': 1, 'security.lastFailedLoginAt': 1 }
+    }
+  );
+}
+
+/**
+ * Seconds left on an IP lockout (0 when not locked)
+ * @param {string} ip - Client IP
+ * @returns {Promise<number>}
+ */
+async function getIpRetryAfter(ip) {
+  const attempt = await LoginAttempt.findOne({ ip }).select('lockUntil').lean();
+  return secondsUntil(attempt && attempt.lockUntil);
+}
+
+/**
+ * Register a failed login from an IP, locking it once the limit is reached
+ * @param {string} ip - Client IP
+ * @returns {Promise<number>} seconds until unlock, 0 if the IP is still allowed
+ */
+async function recordIpFailure(ip) {
+  const { maxAttemptsPerIp, lockoutMs } = getLockoutConfig();
+  const now = new Date();
+
+  // The TTL monitor only runs periodically, so drop stale windows ourselves
+  await LoginAttempt.deleteOne({ ip, expiresAt: { $lte: now } });
+
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { ip },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(now.getTime() + lockoutMs) } },
+    { upsert: true, new: true }
+  );
+  if (attempt.count < maxAttemptsPerIp) return 0;
+
+  const lockUntil = new Date(now.getTime() + lockoutMs);
+  await LoginAttempt.updateOne(
+    { _id: attempt._id },
+    { $set: { lockUntil, expiresAt: lockUntil, count: 0 } }
+  );
+  return secondsUntil(lockUntil);
+}
+
+async function resetIpFailures(ip) {
+  const result = await LoginAttempt.deleteOne({ ip });
+  return result.deletedCount > 0;
+}
+
+module.exports = {
+  getLockoutConfig,
+  getAccountRetryAfter,
+  recordAccountFailure,
+  resetAccountFailures,
+  getIpRetryAfter,
+  recordIpFailure,
+  resetIpFailures
+};
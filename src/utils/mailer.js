@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Pluggable mail delivery. Transports are async functions receiving a normalized message.
+const transports = {};
+
+// Default development transport: write each message as JSON into a local outbox directory
+async function outboxTransport(message) {
+  const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../outbox'));
+  await fs.promises.mkdir(outboxDir, { recursive: true });
+
+  const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+  const filePath = path.join(outboxDir, filename);
+  await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+  return { id: filename, path: filePath };
+}
+
+// Log messages to stdout (useful in containers without a writable disk)
+async function consoleTransport(message) {
+  console.log('📧 Mail to %s: %s\n%s', message.to, message.subject, message.text);
+  return { id: null };
+}
+
+/**
+ * Register a mail transport under a name selectable via MAIL_TRANSPORT
+ * @param {string} name - Transport name
+ * @param {Function} transport - async (message) => ({ id })
+ */
+function registerTransport(name, transport) {
+  if (typeof transport !== 'function') {
+    throw new Error('Mail transport must be a function');
+  }
+  transports[name] = transport;
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {{to: string, subject: string, text: string, html?: string}} options
+ * @returns {Promise<{id: string|null}>}
+ */
+async function sendMail({ to, subject, text, html }) {
+  const name = process.env.MAIL_TRANSPORT || 'outbox';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transport({
+    from: process.env.MAIL_FROM || 'AR City <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html,
+    createdAt: new Date().toISOString()
+  });
+}
+
+registerTransport('outbox', outboxTransport);
+registerTransport('console', consoleTransport);
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,127 @@
+const { Place } = require('../../models');
+const { TILE_SIZE, tileToBbox, bboxGeoFilter, gridCellExpressions } = require('./tiles');
+const { getMapClusterConfig } = require('../../config/map');
+
+// Fields returned for individual places on the map
+const MAP_PLACE_FIELDS = { name: 1, category: 1, tags: 1, location: 1, redemption: 1 };
+
+// Clusters are cells of a Web Mercator grid. With power-of-two cells each cell splits into
+// exactly four cells one zoom level deeper, so the cell address doubles as a stable cluster id.
+function getGridZoom(zoom, cellSize) {
+  return zoom + Math.max(0, Math.round(Math.log2(TILE_SIZE / cellSize)));
+}
+
+function formatClusterId(zoom, x, y) {
+  return `${zoom}:${x}:${y}`;
+}
+
+/**
+ * Parse a cluster id produced by clusterPlaces
+ * @param {string} id - "zoom:x:y"
+ * @returns {{zoom: number, x: number, y: number}|null}
+ */
+function parseClusterId(id) {
+  const match = /^(\d{1,2}):(\d+):(\d+)$/.exec(id || '');
+  if (!match) return null;
+  const [zoom, x, y] = match.slice(1).map(Number);
+  const { cellSize } = getMapClusterConfig();
+  const cells = 2 ** getGridZoom(zoom, cellSize);
+  return x < cells && y < cells ? { zoom, x, y } : null;
+}
+
+// Bounds of the grid cell behind a cluster id
+function getClusterCellBbox({ zoom, x, y }) {
+  const { cellSize } = getMapClusterConfig();
+  return tileToBbox(getGridZoom(zoom, cellSize), x, y);
+}
+
+/**
+ * Places inside a bbox, grouped into grid clusters below the max cluster zoom
+ * @param {Object} filter - Additional place filter (category, tags, ...)
+ * @param {number[]} bbox - [minLng, minLat, maxLng, maxLat]
+ * @param {number} zoom - Map zoom level
+ * @returns {Promise<{clustered: boolean, clusters: Object[], places: Object[], truncated: boolean}>}
+ */
+async function clusterPlaces(filter, bbox, zoom) {
+  const { maxClusterZoom, cellSize, maxPlaces } = getMapClusterConfig();
+  const match = { ...filter, ...bboxGeoFilter(bbox) };
+
+  if (zoom >= maxClusterZoom) {
+    const places = await Place.find(match).select(MAP_PLACE_FIELDS).limit(maxPlaces + 1).lean();
+    return {
+      clustered: false,
+      clusters: [],
+      places: places.slice(0, maxPlaces),
+      truncated: places.length > maxPlaces
+    };
+  }
+
+  const cell = gridCellExpressions(getGridZoom(zoom, cellSize));
+  const cells = await Place.aggregate([
+    { $match: match },
+    { $addFields: { cellX: cell.x, cellY: cell.y } },
+    {
+      $group: {
+        _id: { x: '$cellX', y: '$cellY' },
+        count: { $sum: 1 },
+        sumLng: { $sum: { $arrayElemAt: ['$location.coordinates', 0] } },
+        sumLat: { $sum: { $arrayElemAt: ['$location.coordinates', 1] } },
+        minLng: { $min: { $arrayElemAt: ['$location.coordinates', 0] } },
+        minLat: { $min: { $arrayElemAt: ['$location.coordinates', 1] } },
+        maxLng: { $max: { $arrayElemAt: ['$location.coordinates', 0] } },
+        maxLat: { $max: { $arrayElemAt: ['$location.coordinates', 1] } },
+        place: {
+          $first: {
+            _id: '$_id',
+            name: '$name',
+            category: '$category',
+            tags: '$tags',
+            location: '$location',
+            redemption: '$redemption'
+          }
+        }
+      }
+    }
+  ]);
+
+  const clusters = [];
+  const places = [];
+  cells.forEach(entry => {
+    // A cell holding one place is shown as the place itself
+    if (entry.count === 1) {
+      places.push(entry.place);
+      return;
+    }
+    clusters.push({
+      id: formatClusterId(zoom, entry._id.x, entry._id.y),
+      count: entry.count,
+      centroid: [entry.sumLng / entry.count, entry.sumLat / entry.count],
+      bounds: [entry.minLng, entry.minLat, entry.maxLng, entry.maxLat],
+      expansionZoom: Math.min(zoom + 1, maxClusterZoom)
+    });
+  });
+
+  return { clustered: true, clusters, places, truncated: false };
+}
+
+/**
+ * Contents of a cluster one zoom level deeper (sub-clusters and single places)
+ * @param {Object} filter - Same filter the cluster was built with
+ * @param {string} clusterId
+ * @returns {Promise<Object|null>} null for an invalid id
+ */
+async function expandCluster(filter, clusterId) {
+  const cluster = parseClusterId(clusterId);
+  if (!cluster) return null;
+
+  const { maxClusterZoom } = getMapClusterConfig();
+  const zoom = Math.min(cluster.zoom + 1, maxClusterZoom);
+  const bbox = getClusterCellBbox(cluster);
+  return { zoom, bbox, ...(await clusterPlaces(filter, bbox, zoom)) };
+}
+
+module.exports = {
+  clusterPlaces,
+  expandCluster,
+  parseClusterId
+};
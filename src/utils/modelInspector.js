@@ -0,0 +1,376 @@
+// Structural validation and metadata extraction for 3D model uploads (glTF 2.0 / GLB, USDZ passthrough).
+// Only headers and JSON are read: accessor min/max give bounds, so vertex data is never decoded.
+
+const GLB_MAGIC = 0x46546C67; // "glTF"
+const CHUNK_JSON = 0x4E4F534A;
+const CHUNK_BIN = 0x004E4942;
+
+const COMPONENT_SIZES = { 5120: 1, 5121: 1, 5122: 2, 5123: 2, 5125: 4, 5126: 4 };
+const TYPE_COMPONENTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function parseGlb(buffer) {
+  if (buffer.length < 20 || buffer.readUInt32LE(0) !== GLB_MAGIC) fail('Not a GLB file (bad magic)');
+  if (buffer.readUInt32LE(4) !== 2) fail('Only glTF 2.0 binaries are supported');
+  if (buffer.readUInt32LE(8) !== buffer.length) fail('GLB length header does not match the file size');
+
+  let offset = 12;
+  let json = null;
+  let bin = null;
+  while (offset < buffer.length) {
+    if (offset + 8 > buffer.length) fail('Truncated GLB chunk header');
+    const chunkLength = buffer.readUInt32LE(offset);
+    const chunkType = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+    const end = start + chunkLength;
+    if (end > buffer.length) fail('GLB chunk runs past the end of the file');
+
+    if (json === null) {
+      if (chunkType !== CHUNK_JSON) fail('First GLB chunk must be JSON');
+      json = parseJson(buffer.subarray(start, end));
+    } else if (chunkType === CHUNK_BIN && bin === null) {
+      bin = buffer.subarray(start, end);
+    }
+    offset = end;
+  }
+
+  if (!json) fail('GLB has no JSON chunk');
+  return { json, bin };
+}
+
+function parseJson(buffer) {
+  try {
+    // JSON chunks are padded with spaces; strip a UTF-8 BOM if present
+    return JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    return fail('glTF JSON is not valid JSON');
+  }
+}
+
+function decodeDataUri(uri) {
+  const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(uri);
+  if (!match) return null;
+  return {
+    mimeType: match[1] || null,
+    data: match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]))
+  };
+}
+
+// Resolve every buffer to bytes; external files can't be resolved from a single upload
+function loadBuffers(json, bin) {
+  return (json.buffers || []).map((buffer, index) => {
+    let data;
+    if (buffer.uri === undefined) {
+      if (index !== 0 || !bin) fail(`Buffer ${index} has no uri and no GLB binary chunk`);
+      data = bin;
+    } else {
+      const decoded = decodeDataUri(buffer.uri);
+      if (!decoded) fail('External buffer files are not supported; embed them or upload a .glb');
+      data = decoded.data;
+    }
+    if (!Number.isInteger(buffer.byteLength) || buffer.byteLength > data.length) {
+      fail(`Buffer ${index} byteLength does not match its data`);
+    }
+    return data;
+  });
+}
+
+function checkBufferViews(json, buffers) {
+  (json.bufferViews || []).forEach((view, index) => {
+    const data = buffers[view.buffer];
+    if (!data) fail(`bufferView ${index} references a missing buffer`);
+    const start = view.byteOffset || 0;
+    if (!Number.isInteger(view.byteLength) || start + view.byteLength > data.length) {
+      fail(`bufferView ${index} is out of range of its buffer`);
+    }
+  });
+}
+
+function checkAccessors(json) {
+  const views = json.bufferViews || [];
+  (json.accessors || []).forEach((accessor, index) => {
+    const componentSize = COMPONENT_SIZES[accessor.componentType];
+    const components = TYPE_COMPONENTS[accessor.type];
+    if (!componentSize || !components || !Number.isInteger(accessor.count) || accessor.count < 1) {
+      fail(`Accessor ${index} has an invalid type, componentType or count`);
+    }
+    // Accessors without a bufferView are zero-filled (sparse / compressed data)
+    if (accessor.bufferView === undefined) return;
+
+    const view = views[accessor.bufferView];
+    if (!view) fail(`Accessor ${index} references a missing bufferView`);
+    const elementSize = componentSize * components;
+    const stride = view.byteStride || elementSize;
+    const needed = (accessor.byteOffset || 0) + stride * (accessor.count - 1) + elementSize;
+    if (needed > view.byteLength) fail(`Accessor ${index} reads past the end of its bufferView`);
+  });
+}
+
+// ---- Texture headers ----
+
+function readImageSize(data) {
+  if (data.length >= 24 && data.readUInt32BE(0) === 0x89504E47) {
+    return { mimeType: 'image/png', width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+  }
+
+  if (data.length >= 4 && data[0] === 0xFF && data[1] === 0xD8) {
+    let offset = 2;
+    while (offset + 9 < data.length) {
+      if (data[offset] !== 0xFF) { offset++; continue; }
+      const marker = data[offset + 1];
+      const isFrameHeader = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+      if (isFrameHeader) {
+        return { mimeType: 'image/jpeg', width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + data.readUInt16BE(offset + 2);
+    }
+    return null;
+  }
+
+  if (data.length >= 30 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+    const format = data.toString('ascii', 12, 16);
+    if (format === 'VP8X') {
+      return { mimeType: 'image/webp', width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+    }
+    if (format === 'VP8L') {
+      const bits = data.readUInt32LE(21);
+      return { mimeType: 'image/webp', width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    if (format === 'VP8 ') {
+      return { mimeType: 'image/webp', width: data.readUInt16LE(26) & 0x3FFF, height: data.readUInt16LE(28) & 0x3FFF };
+    }
+    return null;
+  }
+
+  if (data.length >= 28 && data.toString('latin1', 1, 7) === 'KTX 20') {
+    return { mimeType: 'image/ktx2', width: data.readUInt32LE(20), height: data.readUInt32LE(24) };
+  }
+
+  return null;
+}
+
+function inspectImages(json, buffers) {
+  return (json.images || []).map((image, index) => {
+    let data;
+    if (image.bufferView !== undefined) {
+      const view = (json.bufferViews || [])[image.bufferView];
+      if (!view) fail(`Image ${index} references a missing bufferView`);
+      const start = view.byteOffset || 0;
+      data = buffers[view.buffer].subarray(start, start + view.byteLength);
+    } else if (image.uri !== undefined) {
+      const decoded = decodeDataUri(image.uri);
+      if (!decoded) fail('External texture files are not supported; embed them or upload a .glb');
+      data = decoded.data;
+    } else {
+      fail(`Image ${index} has neither bufferView nor uri`);
+    }
+
+    const size = readImageSize(data);
+    if (!size) fail(`Texture ${index} is not a readable PNG, JPEG, WebP or KTX2 image`);
+    return { index, ...size, bytes: data.length };
+  });
+}
+
+// ---- Scene graph ----
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// Column-major 4x4 multiply (a * b)
+function multiply(a, b) {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += a[k * 4 + row] * b[col * 4 + k];
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+}
+
+function nodeMatrix(node) {
+  if (Array.isArray(node.matrix) && node.matrix.length === 16) return node.matrix;
+
+  const [tx, ty, tz] = node.translation || [0, 0, 0];
+  const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+  const [sx, sy, sz] = node.scale || [1, 1, 1];
+  return [
+    (1 - 2 * (y * y + z * z)) * sx, (2 * (x * y + z * w)) * sx, (2 * (x * z - y * w)) * sx, 0,
+    (2 * (x * y - z * w)) * sy, (1 - 2 * (x * x + z * z)) * sy, (2 * (y * z + x * w)) * sy, 0,
+    (2 * (x * z + y * w)) * sz, (2 * (y * z - x * w)) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+    tx, ty, tz, 1
+  ];
+}
+
+function transformPoint(m, [x, y, z]) {
+  return [
+    m[0] * x + m[4] * y + m[8] * z + m[12],
+    m[1] * x + m[5] * y + m[9] * z + m[13],
+    m[2] * x + m[6] * y + m[10] * z + m[14]
+  ];
+}
+
+function primitiveTriangles(json, primitive) {
+  const accessors = json.accessors || [];
+  const indexAccessor = primitive.indices !== undefined ? accessors[primitive.indices] : null;
+  const positionAccessor = accessors[(primitive.attributes || {}).POSITION];
+  if (!positionAccessor) fail('Mesh primitive without a POSITION accessor');
+
+  const count = indexAccessor ? indexAccessor.count : positionAccessor.count;
+  const mode = primitive.mode === undefined ? 4 : primitive.mode;
+  if (mode === 4) return Math.floor(count / 3);
+  if (mode === 5 || mode === 6) return Math.max(count - 2, 0);
+  return 0; // points and lines
+}
+
+// Walk the default scene, accumulating world-space bounds and per-instance triangle counts
+function inspectGeometry(json) {
+  const nodes = json.nodes || [];
+  const meshes = json.meshes || [];
+  const accessors = json.accessors || [];
+  const bounds = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+  let triangleCount = 0;
+
+  const addMesh = (meshIndex, matrix) => {
+    const mesh = meshes[meshIndex];
+    if (!mesh) fail(`Node references missing mesh ${meshIndex}`);
+    (mesh.primitives || []).forEach(primitive => {
+      triangleCount += primitiveTriangles(json, primitive);
+
+      const position = accessors[primitive.attributes.POSITION];
+      if (!Array.isArray(position.min) || !Array.isArray(position.max)) {
+        fail('POSITION accessors must define min and max');
+      }
+      const [x0, y0, z0] = position.min;
+      const [x1, y1, z1] = position.max;
+      [[x0, y0, z0], [x0, y0, z1], [x0, y1, z0], [x0, y1, z1], [x1, y0, z0], [x1, y0, z1], [x1, y1, z0], [x1, y1, z1]]
+        .forEach(corner => {
+          transformPoint(matrix, corner).forEach((value, axis) => {
+            bounds.min[axis] = Math.min(bounds.min[axis], value);
+            bounds.max[axis] = Math.max(bounds.max[axis], value);
+          });
+        });
+    });
+  };
+
+  // glTF node hierarchies are forests: a node has at most one parent, so each node is walked once per scene.
+  // Rejecting shared children also keeps a crafted DAG from being walked once per path (exponential).
+  const visited = new Set();
+  const visit = (nodeIndex, parentMatrix, path) => {
+    const node = nodes[nodeIndex];
+    if (!node) fail(`Scene references missing node ${nodeIndex}`);
+    if (path.has(nodeIndex)) fail('Node hierarchy contains a cycle');
+    if (visited.has(nodeIndex)) fail(`Node ${nodeIndex} is used more than once in the scene`);
+    visited.add(nodeIndex);
+
+    const matrix = multiply(parentMatrix, nodeMatrix(node));
+    if (node.mesh !== undefined) addMesh(node.mesh, matrix);
+
+    path.add(nodeIndex);
+    (node.children || []).forEach(child => visit(child, matrix, path));
+    path.delete(nodeIndex);
+  };
+
+  const scenes = json.scenes || [];
+  const scene = scenes[json.scene || 0];
+  if (scene) {
+    (scene.nodes || []).forEach(nodeIndex => visit(nodeIndex, IDENTITY, new Set()));
+  } else if (nodes.length > 0) {
+    const children = new Set(nodes.flatMap(node => node.children || []));
+    nodes.forEach((node, index) => { if (!children.has(index)) visit(index, IDENTITY, new Set()); });
+  } else {
+    meshes.forEach((mesh, index) => addMesh(index, IDENTITY));
+  }
+
+  if (!Number.isFinite(bounds.min[0])) {
+    return { triangleCount, boundingBox: null };
+  }
+
+  const round = (value) => Math.round(value * 1e6) / 1e6;
+  return {
+    triangleCount,
+    boundingBox: {
+      min: bounds.min.map(round),
+      max: bounds.max.map(round),
+      size: bounds.max.map((value, axis) => round(value - bounds.min[axis]))
+    }
+  };
+}
+
+function inspectAnimations(json) {
+  const accessors = json.accessors || [];
+  return (json.animations || []).map((animation, index) => {
+    const duration = (animation.samplers || []).reduce((max, sampler) => {
+      const input = accessors[sampler.input];
+      if (!input) fail(`Animation ${index} references a missing accessor`);
+      return Math.max(max, Array.isArray(input.max) ? input.max[0] : 0);
+    }, 0);
+    return {
+      name: animation.name || `animation_${index}`,
+      channels: (animation.channels || []).length,
+      duration: Math.round(duration * 1000) / 1000
+    };
+  });
+}
+
+function inspectGltf(json, bin) {
+  if (!json || typeof json !== 'object' || !json.asset || typeof json.asset.version !== 'string') {
+    fail('Missing glTF asset.version');
+  }
+  if (!json.asset.version.startsWith('2.')) fail('Only glTF 2.0 is supported');
+
+  const buffers = loadBuffers(json, bin);
+  checkBufferViews(json, buffers);
+  checkAccessors(json);
+  const { triangleCount, boundingBox } = inspectGeometry(json);
+
+  return {
+    version: json.asset.version,
+    generator: json.asset.generator || null,
+    boundingBox,
+    triangleCount,
+    textures: inspectImages(json, buffers),
+    animations: inspectAnimations(json),
+    stats: {
+      meshes: (json.meshes || []).length,
+      materials: (json.materials || []).length,
+      nodes: (json.nodes || []).length
+    },
+    extensionsUsed: json.extensionsUsed || [],
+    extensionsRequired: json.extensionsRequired || []
+  };
+}
+
+/**
+ * Validate a model file and extract its metadata
+ * @param {Buffer} buffer - File contents
+ * @param {'glb'|'gltf'|'usdz'} format
+ * @returns {{error: string}|{metadata: Object}} metadata is null for usdz (passthrough)
+ */
+function inspectModel(buffer, format) {
+  try {
+    if (format === 'glb') {
+      const { json, bin } = parseGlb(buffer);
+      return { metadata: inspectGltf(json, bin) };
+    }
+    if (format === 'gltf') {
+      return { metadata: inspectGltf(parseJson(buffer), null) };
+    }
+    if (format === 'usdz') {
+      // USDZ is a zip package; only the container signature is checked
+      if (buffer.length < 4 || buffer.readUInt32LE(0) !== 0x04034B50) fail('Not a USDZ (zip) package');
+      return { metadata: null };
+    }
+    return fail(`Unsupported model format: ${format}`);
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+module.exports = {
+  inspectModel,
+  readImageSize
+};
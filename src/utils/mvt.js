@@ -0,0 +1,148 @@
+// Minimal Mapbox Vector Tile (spec v2.1) encoder for point layers.
+// Writes the protobuf wire format directly; polygons and lines are not needed by our tiles.
+
+const GEOM_POINT = 1;
+const CMD_MOVE_TO = 1;
+
+class ProtobufWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  varint(value) {
+    // Arithmetic instead of bit ops so values above 2^31 survive
+    let remaining = value;
+    while (remaining >= 0x80) {
+      this.bytes.push((remaining % 0x80) | 0x80);
+      remaining = Math.floor(remaining / 0x80);
+    }
+    this.bytes.push(remaining);
+  }
+
+  tag(field, wireType) {
+    this.varint(field * 8 + wireType);
+  }
+
+  varintField(field, value) {
+    this.tag(field, 0);
+    this.varint(value);
+  }
+
+  bytesField(field, buffer) {
+    this.tag(field, 2);
+    this.varint(buffer.length);
+    for (const byte of buffer) this.bytes.push(byte);
+  }
+
+  stringField(field, value) {
+    this.bytesField(field, Buffer.from(String(value), 'utf8'));
+  }
+
+  doubleField(field, value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleLE(value);
+    this.tag(field, 1);
+    for (const byte of buffer) this.bytes.push(byte);
+  }
+
+  packedVarints(field, values) {
+    const inner = new ProtobufWriter();
+    values.forEach(value => inner.varint(value));
+    this.bytesField(field, inner.finish());
+  }
+
+  messageField(field, writeMessage) {
+    const inner = new ProtobufWriter();
+    writeMessage(inner);
+    this.bytesField(field, inner.finish());
+  }
+
+  finish() {
+    return Buffer.from(this.bytes);
+  }
+}
+
+const zigzag = (value) => (value >= 0 ? value * 2 : -value * 2 - 1);
+
+function writeValue(writer, value) {
+  if (typeof value === 'boolean') {
+    writer.varintField(7, value ? 1 : 0);
+  } else if (typeof value === 'number' && Number.isInteger(value)) {
+    if (value >= 0) writer.varintField(5, value);
+    else writer.varintField(6, zigzag(value));
+  } else if (typeof value === 'number') {
+    writer.doubleField(3, value);
+  } else {
+    writer.stringField(1, value);
+  }
+}
+
+// Points are already in tile pixel space; MoveTo parameters are zigzagged deltas
+function encodePointGeometry(points) {
+  const commands = [CMD_MOVE_TO | (points.length << 3)];
+  let cursorX = 0;
+  let cursorY = 0;
+  points.forEach(([x, y]) => {
+    commands.push(zigzag(x - cursorX), zigzag(y - cursorY));
+    cursorX = x;
+    cursorY = y;
+  });
+  return commands;
+}
+
+function writeLayer(writer, layer) {
+  const keys = [];
+  const keyIndex = new Map();
+  const values = [];
+  const valueIndex = new Map();
+
+  const indexOf = (index, list, key, item) => {
+    if (!index.has(key)) {
+      index.set(key, list.length);
+      list.push(item);
+    }
+    return index.get(key);
+  };
+
+  writer.varintField(15, 2); // version
+  writer.stringField(1, layer.name);
+
+  layer.features.forEach(feature => {
+    const tags = [];
+    Object.entries(feature.properties || {}).forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      tags.push(
+        indexOf(keyIndex, keys, key, key),
+        indexOf(valueIndex, values, `${typeof value}:${value}`, value)
+      );
+    });
+
+    writer.messageField(2, featureWriter => {
+      if (Number.isInteger(feature.id) && feature.id >= 0) featureWriter.varintField(1, feature.id);
+      if (tags.length > 0) featureWriter.packedVarints(2, tags);
+      featureWriter.varintField(3, GEOM_POINT);
+      featureWriter.packedVarints(4, encodePointGeometry(feature.points));
+    });
+  });
+
+  keys.forEach(key => writer.stringField(3, key));
+  values.forEach(value => writer.messageField(4, valueWriter => writeValue(valueWriter, value)));
+  writer.varintField(5, layer.extent || 4096);
+}
+
+/**
+ * Encode point layers as a vector tile
+ * @param {Array<{name: string, extent?: number, features: Array<{id?: number, points: number[][], properties?: Object}>}>} layers
+ * @returns {Buffer} empty buffer when every layer is empty
+ */
+function encodeTile(layers) {
+  const writer = new ProtobufWriter();
+  layers
+    .filter(layer => layer.features.length > 0)
+    .forEach(layer => writer.messageField(3, layerWriter => writeLayer(layerWriter, layer)));
+  return writer.finish();
+}
+
+module.exports = {
+  encodeTile
+};
@@ -0,0 +1,240 @@
+// Opening hours evaluation in a place's own time zone (IANA names, DST aware via Intl).
+//
+// Weekly intervals use local "HH:mm" times; a close time at or before the open time runs past
+// midnight into the next day. Exceptions replace the weekly hours for a specific local date.
+
+const DAY_MINUTES = 24 * 60;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CLOSE_TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+function getDefaultTimeZone() {
+  return process.env.DEFAULT_TIME_ZONE || 'UTC';
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Local calendar fields of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, dateKey: string, weekday: number, minutes: number}}
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+
+  const dateKey = `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+  return {
+    ...parts,
+    dateKey,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay(),
+    minutes: parts.hour * 60 + parts.minute
+  };
+}
+
+// Milliseconds the time zone is ahead of UTC at an instant
+function getOffsetMs(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a local date + minutes after local midnight into a UTC instant.
+ * Minutes beyond 24h roll over into the following days.
+ * @param {string} dateKey - Local date "YYYY-MM-DD"
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(dateKey, minutes, timeZone) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Two passes settle the offset around DST transitions
+  let instant = wallClock - getOffsetMs(new Date(wallClock), timeZone);
+  instant = wallClock - getOffsetMs(new Date(instant), timeZone);
+  return new Date(instant);
+}
+
+// Start of the local calendar day containing `date`
+function startOfZonedDay(date, timeZone) {
+  return zonedTimeToUtc(getZonedParts(date, timeZone).dateKey, 0, timeZone);
+}
+
+function addDaysToKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    dateKey: shifted.toISOString().slice(0, 10),
+    weekday: shifted.getUTCDay()
+  };
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function hasOpeningHours(openingHours) {
+  return Boolean(openingHours && (
+    (openingHours.weekly && openingHours.weekly.length > 0) ||
+    (openingHours.exceptions && openingHours.exceptions.length > 0)
+  ));
+}
+
+// Local [start, end) minute ranges for one date; end may exceed 24h for overnight intervals
+function getLocalIntervals(openingHours, dateKey, weekday) {
+  const exception = (openingHours.exceptions || []).find(entry => entry.date === dateKey);
+  let intervals;
+  if (exception) {
+    intervals = exception.closed ? [] : (exception.intervals || []);
+  } else {
+    intervals = (openingHours.weekly || []).filter(entry => entry.day === weekday);
+  }
+
+  return intervals.map(({ open, close }) => {
+    const start = toMinutes(open);
+    let end = toMinutes(close);
+    if (end <= start) end += DAY_MINUTES;
+    return [start, end];
+  });
+}
+
+/**
+ * Whether a place is open at an instant and when that next changes
+ * @param {Object} place - Place with openingHours and timeZone
+ * @param {Date} [date] - Instant to evaluate (default now)
+ * @returns {{isOpen: boolean|null, nextChange: Date|null}} isOpen is null when no hours are defined
+ */
+function getOpeningStatus(place, date = new Date()) {
+  const openingHours = place.openingHours;
+  if (!hasOpeningHours(openingHours)) {
+    return { isOpen: null, nextChange: null };
+  }
+
+  const timeZone = isValidTimeZone(place.timeZone) ? place.timeZone : getDefaultTimeZone();
+  const today = getZonedParts(date, timeZone).dateKey;
+
+  // Absolute intervals from yesterday (overnight spill) to a week ahead, merged when they touch
+  const intervals = [];
+  for (let offset = -1; offset <= 7; offset++) {
+    const { dateKey, weekday } = addDaysToKey(today, offset);
+    getLocalIntervals(openingHours, dateKey, weekday).forEach(([start, end]) => {
+      intervals.push([
+        zonedTimeToUtc(dateKey, start, timeZone).getTime(),
+        zonedTimeToUtc(dateKey, end, timeZone).getTime()
+      ]);
+    });
+  }
+  intervals.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  intervals.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+
+  const now = date.getTime();
+  const current = merged.find(([start, end]) => start <= now && now < end);
+  if (current) {
+    return { isOpen: true, nextChange: new Date(current[1]) };
+  }
+
+  const upcoming = merged.find(([start]) => start > now);
+  return { isOpen: false, nextChange: upcoming ? new Date(upcoming[0]) : null };
+}
+
+/**
+ * Validate an openingHours object. Returns an error message or null.
+ * @param {Object} openingHours
+ * @returns {string|null}
+ */
+function checkOpeningHours(openingHours) {
+  if (!openingHours || typeof openingHours !== 'object' || Array.isArray(openingHours)) {
+    return 'openingHours must be an object { weekly, exceptions }';
+  }
+
+  const checkInterval = (interval) => {
+    if (!interval || !TIME_PATTERN.test(interval.open) || !CLOSE_TIME_PATTERN.test(interval.close)) {
+      return 'Opening intervals need open "HH:mm" and close "HH:mm" (close may be "24:00")';
+    }
+    if (interval.open === interval.close) {
+      return 'Opening intervals must not start and end at the same time';
+    }
+    return null;
+  };
+
+  const weekly = openingHours.weekly || [];
+  if (!Array.isArray(weekly)) return 'openingHours.weekly must be an array';
+  for (const entry of weekly) {
+    if (!entry || !Number.isInteger(entry.day) || entry.day < 0 || entry.day > 6) {
+      return 'openingHours.weekly[].day must be 0 (Sunday) to 6 (Saturday)';
+    }
+    const error = checkInterval(entry);
+    if (error) return error;
+  }
+
+  const exceptions = openingHours.exceptions || [];
+  if (!Array.isArray(exceptions)) return 'openingHours.exceptions must be an array';
+  for (const entry of exceptions) {
+    if (!entry || !DATE_PATTERN.test(entry.date) || Number.isNaN(Date.parse(entry.date))) {
+      return 'openingHours.exceptions[].date must be "YYYY-MM-DD"';
+    }
+    if (!entry.closed) {
+      if (!Array.isArray(entry.intervals) || entry.intervals.length === 0) {
+        return 'openingHours.exceptions[] needs closed: true or a list of intervals';
+      }
+      for (const interval of entry.intervals) {
+        const error = checkInterval(interval);
+        if (error) return error;
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  getDefaultTimeZone,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  hasOpeningHours,
+  getOpeningStatus,
+  checkOpeningHours
+};
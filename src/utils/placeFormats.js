@@ -0,0 +1,296 @@
+const { XMLParser } = require('fast-xml-parser');
+
+// Conversion between places and GIS exchange formats (GeoJSON, KML, GPX).
+// Parsers return one row per feature: { row, externalId, id, data, error }, where `data` holds
+// the place fields found in the row and `id` is a place id carried over from a previous export.
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  isArray: (name) => ['Placemark', 'Data', 'SimpleData', 'wpt'].includes(name)
+});
+
+/**
+ * Guess the format of an uploaded file from its name, falling back to its content
+ * @param {string} filename
+ * @param {string} text
+ * @returns {'geojson'|'kml'|'gpx'|null}
+ */
+function detectFormat(filename, text) {
+  const ext = (filename || '').toLowerCase().split('.').pop();
+  if (ext === 'geojson' || ext === 'json') return 'geojson';
+  if (ext === 'kml' || ext === 'gpx') return ext;
+
+  const start = text.trimStart();
+  if (start.startsWith('{')) return 'geojson';
+  if (/<kml[\s>]/i.test(start.slice(0, 500))) return 'kml';
+  if (/<gpx[\s>]/i.test(start.slice(0, 500))) return 'gpx';
+  return null;
+}
+
+function parseTags(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',').map(tag => tag.trim()).filter(Boolean);
+  return undefined;
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return value;
+}
+
+// Shared mapping from flat key/value properties (GeoJSON properties, KML ExtendedData) to place fields
+function mapProperties(properties, data) {
+  if (properties.name !== undefined) data.name = typeof properties.name === 'string' ? properties.name.trim() : properties.name;
+  if (properties.description !== undefined) data.description = properties.description;
+  if (properties.category !== undefined && properties.category !== '') data.category = properties.category;
+  if (properties.tags !== undefined) data.tags = parseTags(properties.tags);
+  if (properties.timeZone !== undefined && properties.timeZone !== '') data.timeZone = properties.timeZone;
+  if (properties.openingHours !== undefined) data.openingHours = properties.openingHours;
+  if (properties.checkinArea !== undefined) data.checkinArea = properties.checkinArea;
+  if (properties.translations !== undefined && properties.translations !== null) data.translations = properties.translations;
+
+  if (properties.redemption !== undefined) {
+    data.redemption = properties.redemption;
+  } else if (properties.pointsCost !== undefined || properties.redemptionEligible !== undefined) {
+    data.redemption = {};
+    if (properties.redemptionEligible !== undefined) data.redemption.eligible = parseBoolean(properties.redemptionEligible);
+    if (properties.pointsCost !== undefined) {
+      const pointsCost = Number(properties.pointsCost);
+      data.redemption.pointsCost = properties.pointsCost !== '' && Number.isFinite(pointsCost) ? pointsCost : properties.pointsCost;
+    }
+  }
+  return data;
+}
+
+function toPoint(lng, lat) {
+  return { type: 'Point', coordinates: [parseFloat(lng), parseFloat(lat)] };
+}
+
+function objectIdOrNull(value) {
+  return typeof value === 'string' && OBJECT_ID_PATTERN.test(value) ? value : null;
+}
+
+function parseGeoJson(text) {
+  let collection;
+  try {
+    collection = JSON.parse(text);
+  } catch (error) {
+    throw new Error('File is not valid JSON');
+  }
+
+  let features;
+  if (collection && collection.type === 'FeatureCollection' && Array.isArray(collection.features)) {
+    features = collection.features;
+  } else if (collection && collection.type === 'Feature') {
+    features = [collection];
+  } else {
+    throw new Error('GeoJSON must be a FeatureCollection or Feature');
+  }
+
+  return features.map((feature, index) => {
+    const row = index + 1;
+    const properties = (feature && feature.properties) || {};
+    const externalId = properties.externalId !== undefined && properties.externalId !== null
+      ? String(properties.externalId)
+      : null;
+    const base = { row, externalId, id: objectIdOrNull(feature && feature.id) };
+
+    const geometry = feature && feature.geometry;
+    if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+      return { ...base, error: 'Only Point geometries are supported (use properties.checkinArea for polygons)' };
+    }
+
+    const [lng, lat] = geometry.coordinates;
+    return { ...base, data: mapProperties(properties, { location: toPoint(lng, lat) }) };
+  });
+}
+
+// All Placemark elements, however deeply nested in Documents/Folders
+function collectPlacemarks(node, found = []) {
+  if (!node || typeof node !== 'object') return found;
+  Object.entries(node).forEach(([key, value]) => {
+    if (key === 'Placemark') {
+      found.push(...value);
+    } else if (Array.isArray(value)) {
+      value.forEach(item => collectPlacemarks(item, found));
+    } else if (typeof value === 'object') {
+      collectPlacemarks(value, found);
+    }
+  });
+  return found;
+}
+
+function textOf(value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === 'object') return value['#text'] !== undefined ? String(value['#text']) : undefined;
+  return String(value);
+}
+
+function parseXml(text) {
+  try {
+    return xmlParser.parse(text);
+  } catch (error) {
+    throw new Error('File is not valid XML');
+  }
+}
+
+function parseKml(text) {
+  const document = parseXml(text);
+  if (!document.kml) throw new Error('KML root element <kml> not found');
+
+  return collectPlacemarks(document.kml).map((placemark, index) => {
+    const properties = {};
+    const extended = placemark.ExtendedData || {};
+    (extended.Data || []).forEach(entry => {
+      properties[entry['@_name']] = textOf(entry.value);
+    });
+    const schemaData = Array.isArray(extended.SchemaData) ? extended.SchemaData : [extended.SchemaData].filter(Boolean);
+    schemaData.forEach(schema => {
+      (schema.SimpleData || []).forEach(entry => {
+        properties[entry['@_name']] = textOf(entry);
+      });
+    });
+    if (placemark.name !== undefined) properties.name = textOf(placemark.name);
+    if (placemark.description !== undefined) properties.description = textOf(placemark.description);
+
+    const row = index + 1;
+    const externalId = properties.externalId || null;
+    const base = { row, externalId, id: objectIdOrNull(placemark['@_id']) };
+    delete properties.externalId;
+
+    const coordinates = placemark.Point && textOf(placemark.Point.coordinates);
+    if (!coordinates) {
+      return { ...base, error: 'Only Point placemarks are supported' };
+    }
+    const [lng, lat] = coordinates.trim().split(/\s+/)[0].split(',');
+    return { ...base, data: mapProperties(properties, { location: toPoint(lng, lat) }) };
+  });
+}
+
+function parseGpx(text) {
+  const document = parseXml(text);
+  if (!document.gpx) throw new Error('GPX root element <gpx> not found');
+
+  // Waypoints are the POIs of a GPX file; tracks and routes are ignored
+  return (document.gpx.wpt || []).map((waypoint, index) => {
+    const properties = {
+      name: textOf(waypoint.name),
+      description: textOf(waypoint.desc),
+      category: textOf(waypoint.type)
+    };
+    Object.keys(properties).forEach(key => properties[key] === undefined && delete properties[key]);
+
+    return {
+      row: index + 1,
+      externalId: null,
+      id: null,
+      data: mapProperties(properties, { location: toPoint(waypoint['@_lon'], waypoint['@_lat']) })
+    };
+  });
+}
+
+/**
+ * Parse an import file into place rows
+ * @param {string} text - File contents
+ * @param {'geojson'|'kml'|'gpx'} format
+ * @returns {Array<{row: number, externalId: string|null, id: string|null, data?: Object, error?: string}>}
+ * @throws {Error} when the file as a whole can't be read
+ */
+function parsePlaceFile(text, format) {
+  if (format === 'geojson') return parseGeoJson(text);
+  if (format === 'kml') return parseKml(text);
+  if (format === 'gpx') return parseGpx(text);
+  throw new Error(`Unsupported format: ${format}`);
+}
+
+function toFeature(place) {
+  return {
+    type: 'Feature',
+    id: String(place._id),
+    geometry: place.location,
+    properties: {
+      externalId: place.externalId || null,
+      name: place.name,
+      description: place.description,
+      category: place.category || null,
+      tags: place.tags || [],
+      redemption: place.redemption,
+      timeZone: place.timeZone || null,
+      openingHours: place.openingHours,
+      checkinArea: place.checkinArea || null,
+      images: place.images || [],
+      translations: place.translations || {},
+      revision: place.revision || 1,
+      updatedAt: place.updatedAt
+    }
+  };
+}
+
+function placesToGeoJson(places) {
+  return JSON.stringify({ type: 'FeatureCollection', features: places.map(toFeature) }, null, 2);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function placesToKml(places) {
+  const placemarks = places.map(place => {
+    const data = {
+      externalId: place.externalId,
+      category: place.category,
+      tags: (place.tags || []).join(','),
+      redemptionEligible: place.redemption && place.redemption.eligible,
+      pointsCost: place.redemption && place.redemption.pointsCost,
+      timeZone: place.timeZone
+    };
+    const extended = Object.entries(data)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([name, value]) => `        <Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`)
+      .join('\n');
+    const [lng, lat] = place.location.coordinates;
+
+    return [
+      `    <Placemark id="${place._id}">`,
+      `      <name>${escapeXml(place.name)}</name>`,
+      `      <description>${escapeXml(place.description || '')}</description>`,
+      '      <ExtendedData>',
+      extended,
+      '      </ExtendedData>',
+      `      <Point><coordinates>${lng},${lat}</coordinates></Point>`,
+      '    </Placemark>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    '    <name>AR City places</name>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  detectFormat,
+  parsePlaceFile,
+  placesToGeoJson,
+  placesToKml
+};
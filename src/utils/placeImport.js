@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const { Place, Category } = require('../../models');
+const { checkPlaceFields } = require('../middleware/validation');
+const { normalizeTags } = require('./placeSearch');
+const { normalizeTranslations } = require('./i18n');
+const {
+  PLACE_EDITABLE_FIELDS,
+  diffPlaceFields,
+  revisionFilter,
+  recordRevision,
+  ensureBaselineRevision
+} = require('./placeRevisions');
+
+// Find the existing places rows refer to: by externalId, or by place id for rows from our own exports
+async function loadExistingPlaces(rows) {
+  const externalIds = rows.filter(row => row.externalId).map(row => row.externalId);
+  const ids = rows.filter(row => !row.externalId && row.id).map(row => row.id);
+  const places = await Place.find({ $or: [{ externalId: { $in: externalIds } }, { _id: { $in: ids } }] })
+    .setOptions({ withDeleted: true });
+
+  return {
+    byExternalId: new Map(places.filter(place => place.externalId).map(place => [place.externalId, place])),
+    byId: new Map(places.map(place => [String(place._id), place]))
+  };
+}
+
+/**
+ * Validate parsed rows and decide what importing each one would do, without writing anything.
+ * Rows use the same rules as POST /api/places.
+ * @param {Array} rows - Output of parsePlaceFile
+ * @returns {Promise<Array<{row: number, externalId: string|null, action: string, placeId?: string, changes?: string[], error?: string}>>}
+ *   action is create, update, unchanged or error
+ */
+async function planPlaceImport(rows) {
+  const activeCategories = new Set(await Category.distinct('slug', { isActive: true }));
+  const { byExternalId, byId } = await loadExistingPlaces(rows);
+  const seen = new Set();
+
+  return rows.map(row => {
+    const entry = { row: row.row, externalId: row.externalId };
+    const fail = (error) => ({ ...entry, action: 'error', error });
+    if (row.error) return fail(row.error);
+
+    const data = { ...row.data };
+    if (data.tags !== undefined) data.tags = normalizeTags(data.tags);
+    if (typeof data.category === 'string') data.category = data.category.trim().toLowerCase();
+
+    const error = checkPlaceFields(data);
+    if (error) return fail(error);
+    if (data.translations !== undefined) data.translations = normalizeTranslations(data.translations, 'place');
+    if (typeof data.category === 'string' && !activeCategories.has(data.category)) {
+      return fail(`Unknown category: ${data.category}`);
+    }
+
+    const key = row.externalId ? `externalId:${row.externalId}` : row.id ? `id:${row.id}` : null;
+    if (key && seen.has(key)) return fail('Duplicate externalId in file');
+    if (key) seen.add(key);
+
+    const place = row.externalId ? byExternalId.get(row.externalId) : row.id && byId.get(row.id);
+    if (!place) {
+      if (row.externalId) data.externalId = row.externalId;
+      return { ...entry, action: 'create', data };
+    }
+    if (place.deletedAt) return fail('The matching place is deleted; restore it before importing');
+
+    // Rows only update the fields they carry; redemption is merged like a PATCH
+    const updates = {};
+    PLACE_EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) updates[field] = data[field];
+    });
+    if (updates.redemption) {
+      updates.redemption = { ...place.redemption.toObject(), ...updates.redemption };
+    }
+
+    const changes = diffPlaceFields(place, updates);
+    return Object.defineProperties(
+      { ...entry, action: changes.length > 0 ? 'update' : 'unchanged', placeId: place._id, changes },
+      { place: { value: place }, updates: { value: updates } }
+    );
+  });
+}
+
+/**
+ * Apply a plan from planPlaceImport in one transaction (needs a replica set or Atlas).
+ * A concurrent edit of a matched place aborts the whole import.
+ * @param {Array} plan - Entries without errors
+ * @param {{userId: string, note?: string}} options
+ * @returns {Promise<Array>} the plan with placeId set on created entries
+ */
+async function commitPlaceImport(plan, { userId, note }) {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      for (const entry of plan) {
+        if (entry.action === 'create') {
+          const [place] = await Place.create([entry.data], { session });
+          await recordRevision(place, { action: 'create', userId, note, session });
+          entry.placeId = place._id;
+        } else if (entry.action === 'update') {
+          const { place, updates } = entry;
+          await ensureBaselineRevision(place, session);
+
+          const $set = { revision: (place.revision || 1) + 1 };
+          entry.changes.forEach(field => { $set[field] = updates[field]; });
+          const updated = await Place.findOneAndUpdate(
+            { _id: place._id, revision: revisionFilter(place.revision || 1) },
+            { $set },
+            { new: true, runValidators: true, session }
+          );
+          if (!updated) {
+            const conflict = new Error(`Place ${place._id} (row ${entry.row}) was modified during the import`);
+            conflict.code = 'PLACE_CONFLICT';
+            throw conflict;
+          }
+          await recordRevision(updated, { action: 'update', changes: entry.changes, userId, note, session });
+        }
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return plan;
+}
+
+// Client-facing view of a plan (drops the place data carried for the commit)
+function summarizeImport(plan) {
+  const count = (action) => plan.filter(entry => entry.action === action).length;
+  return {
+    total: plan.length,
+    created: count('create'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    failed: count('error'),
+    rows: plan.map(({ data, ...entry }) => entry)
+  };
+}
+
+module.exports = {
+  planPlaceImport,
+  commitPlaceImport,
+  summarizeImport
+};
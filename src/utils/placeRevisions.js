@@ -0,0 +1,91 @@
+const { PlaceRevision } = require('../../models');
+
+// Fields admins can edit; these make up a revision snapshot
+const PLACE_EDITABLE_FIELDS = [
+  'name', 'description', 'location', 'checkinArea', 'images', 'redemption', 'category', 'tags',
+  'timeZone', 'openingHours', 'checkinPolicy', 'translations'
+];
+
+// Copy the editable fields of a place into a plain object (unset optional fields as null,
+// so restoring the snapshot clears them)
+function snapshotPlace(place) {
+  const source = typeof place.toObject === 'function' ? place.toObject({ flattenMaps: true }) : place;
+  return PLACE_EDITABLE_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = source[field] === undefined ? null : source[field];
+    return snapshot;
+  }, {});
+}
+
+// Compare two values structurally, ignoring Mongo subdocument ids; unset equals null
+function normalizeForCompare(value) {
+  return JSON.stringify(value === undefined ? null : value, (key, val) => (key === '_id' ? undefined : val));
+}
+
+// Names of editable fields whose value differs between a place and an update
+function diffPlaceFields(place, updates) {
+  const current = snapshotPlace(place);
+  return Object.keys(updates).filter(field => normalizeForCompare(current[field]) !== normalizeForCompare(updates[field]));
+}
+
+function getPlaceEtag(place) {
+  return `"${place._id}-${place.revision || 1}"`;
+}
+
+/**
+ * Check an If-Match header against the current place version
+ * @param {Object} req - Express request
+ * @param {Object} place - Place document
+ * @returns {boolean} true when the header is absent or matches
+ */
+function ifMatchSatisfied(req, place) {
+  const header = req.get('if-match');
+  if (!header) return true;
+
+  const current = getPlaceEtag(place);
+  return header.split(',').some(tag => {
+    const trimmed = tag.trim().replace(/^W\//, '');
+    return trimmed === '*' || trimmed === current;
+  });
+}
+
+// Filter matching a place at an exact revision (places created before revisions existed have none)
+function revisionFilter(revision) {
+  return revision === 1 ? { $in: [1, null] } : revision;
+}
+
+/**
+ * Store a revision snapshot for a place in its current (post-change) state
+ * @param {Object} place - Place document after the change
+ * @param {{action: string, changes?: string[], userId?: string, note?: string, session?: Object}} options
+ */
+async function recordRevision(place, { action, changes = [], userId, note, session }) {
+  const [revision] = await PlaceRevision.create([{
+    placeId: place._id,
+    revision: place.revision || 1,
+    action,
+    changes,
+    snapshot: snapshotPlace(place),
+    editedBy: userId,
+    note
+  }], { session });
+  return revision;
+}
+
+// Places created before revision tracking get their current state recorded before the first edit
+async function ensureBaselineRevision(place, session) {
+  const exists = await PlaceRevision.exists({ placeId: place._id }).session(session || null);
+  if (!exists) {
+    await recordRevision(place, { action: 'create', note: 'Baseline recorded before first tracked edit', session });
+  }
+}
+
+module.exports = {
+  PLACE_EDITABLE_FIELDS,
+  snapshotPlace,
+  diffPlaceFields,
+  getPlaceEtag,
+  ifMatchSatisfied,
+  revisionFilter,
+  recordRevision,
+  ensureBaselineRevision
+};
@@ -0,0 +1,126 @@
+const { Place, Category } = require('../../models');
+const { getOpeningStatus } = require('./openingHours');
+
+const EARTH_RADIUS_METERS = 6378100;
+
+// Lowercase, trim and de-duplicate free-form tags
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return tags;
+  return [...new Set(
+    tags
+      .map(tag => String(tag).toLowerCase().trim().replace(/\s+/g, ' '))
+      .filter(Boolean)
+  )];
+}
+
+// Split a comma separated query parameter into a list of values
+function parseListParam(value) {
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Build the Mongo filter for the search parameters of GET /api/places
+ * @param {{q?: string, category?: string, tags?: string}} query - Request query
+ * @returns {{filter: Object, categories: string[], tags: string[], text: string|null}}
+ */
+function buildPlaceSearch(query) {
+  const filter = {};
+  const categories = parseListParam(query.category);
+  const tags = parseListParam(query.tags);
+  const text = typeof query.q === 'string' && query.q.trim() ? query.q.trim() : null;
+
+  if (text) filter.$text = { $search: text };
+  if (categories.length > 0) filter.category = { $in: categories };
+  if (tags.length > 0) filter.tags = { $all: tags };
+
+  return { filter, categories, tags, text };
+}
+
+// $geoWithin circle usable together with $text and inside aggregations (unlike $nearSphere)
+function withinRadius(lng, lat, radius) {
+  return { $geoWithin: { $centerSphere: [[lng, lat], radius / EARTH_RADIUS_METERS] } };
+}
+
+/**
+ * Count matching places per category (ignoring the category filter itself, so every chip
+ * shows how many results selecting it would give) and the most common tags
+ * @param {Object} filter - Search filter including category/location conditions
+ * @param {{openAt?: Date}} [options] - only count places open at this instant (the openNow filter)
+ * @returns {Promise<{categories: Array, tags: Array}>}
+ */
+async function getPlaceFacets(filter, { openAt = null } = {}) {
+  let facetFilter = { ...filter };
+  delete facetFilter.category;
+
+  // Opening hours depend on each place's time zone, so open places are picked out here, like the results
+  if (openAt) {
+    const candidates = await Place.find(facetFilter).select('openingHours timeZone').lean();
+    const openIds = candidates
+      .filter(place => getOpeningStatus(place, openAt).isOpen === true)
+      .map(place => place._id);
+    facetFilter = { _id: { $in: openIds } };
+  }
+
+  const [result] = await Place.aggregate([
+    { $match: facetFilter },
+    {
+      $facet: {
+        categories: [
+          { $group: { _id: '$category', count: { $sum: 1 } } }
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 20 }
+        ]
+      }
+    }
+  ]);
+
+  const counts = new Map(result.categories.map(entry => [entry._id, entry.count]));
+  const categories = await Category.find({ isActive: true })
+    .select('slug name icon')
+    .sort({ sortOrder: 1, name: 1 })
+    .lean();
+
+  const categoryFacets = categories.map(category => ({
+    slug: category.slug,
+    name: category.name,
+    icon: category.icon,
+    count: counts.get(category.slug) || 0
+  }));
+  if (counts.get(null)) {
+    categoryFacets.push({ slug: null, name: 'Uncategorized', count: counts.get(null) });
+  }
+
+  return {
+    categories: categoryFacets,
+    tags: result.tags.map(entry => ({ tag: entry._id, count: entry.count }))
+  };
+}
+
+// Filter on point coordinates inside a [minLng, minLat, maxLng, maxLat] box (planar, antimeridian aware)
+function withinBbox([minLng, minLat, maxLng, maxLat]) {
+  const lat = { 'location.coordinates.1': { $gte: minLat, $lte: maxLat } };
+  if (minLng <= maxLng) {
+    return { ...lat, 'location.coordinates.0': { $gte: minLng, $lte: maxLng } };
+  }
+  return {
+    ...lat,
+    $or: [
+      { 'location.coordinates.0': { $gte: minLng } },
+      { 'location.coordinates.0': { $lte: maxLng } }
+    ]
+  };
+}
+
+module.exports = {
+  normalizeTags,
+  parseListParam,
+  buildPlaceSearch,
+  withinRadius,
+  withinBbox,
+  getPlaceFacets
+};
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { Review, Place, Checkin } = require('../../models');
+const { getImageBaseName } = require('./imageFiles');
+
+const REVIEW_SORTS = {
+  recent: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Only visitors who checked in at a place may review it
+async function hasVisitedPlace(userId, placeId) {
+  return Boolean(await Checkin.exists({ userId, placeId, status: { $nin: Checkin.UNCOUNTED_STATUSES } }));
+}
+
+/**
+ * Average rating and count of the visible reviews of a place, with the number of reviews per star
+ * @param {string} placeId
+ * @returns {Promise<{average: number, count: number, distribution: Object}>}
+ */
+async function getReviewSummary(placeId) {
+  const groups = await Review.aggregate([
+    { $match: { placeId: new mongoose.Types.ObjectId(String(placeId)), status: { $in: Review.VISIBLE_STATUSES } } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let total = 0;
+  groups.forEach(group => {
+    distribution[group._id] = group.count;
+    count += group.count;
+    total += group._id * group.count;
+  });
+
+  return { average: count > 0 ? Math.round(total / count * 100) / 100 : 0, count, distribution };
+}
+
+/**
+ * Recompute the rating cached on a place after one of its reviews changed
+ * @param {string} placeId
+ * @returns {Promise<{average: number, count: number}>}
+ */
+async function refreshPlaceRating(placeId) {
+  const { average, count } = await getReviewSummary(placeId);
+  await Place.updateOne({ _id: placeId }, { $set: { rating: { average, count } } }).setOptions({ withDeleted: true });
+  return { average, count };
+}
+
+// Author as shown next to a review: first name and last initial only
+function formatAuthor(user) {
+  if (!user || !user.profile) return null;
+  const lastInitial = user.profile.lastName ? ` ${user.profile.lastName.charAt(0)}.` : '';
+  return { id: user._id, name: `${user.profile.firstName}${lastInitial}`, pictureUrl: user.profile.pictureUrl };
+}
+
+// Photo URLs are rebuilt from the uploaded image's base name; client-sent thumbnail URLs are never stored or shown
+function toReviewPhotos(photos) {
+  return (photos || []).map(photo => {
+    const name = getImageBaseName(photo.url);
+    return { url: `/images/${name}.webp`, thumbUrl: `/images/thumbs/${name}_thumb.webp` };
+  });
+}
+
+// Public view of a review (reports and moderation details stay internal)
+function formatReview(review) {
+  const populated = review.userId && review.userId.profile;
+  return {
+    id: review._id,
+    placeId: review.placeId,
+    rating: review.rating,
+    text: review.text,
+    photos: toReviewPhotos(review.photos),
+    author: populated ? formatAuthor(review.userId) : { id: review.userId },
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt
+  };
+}
+
+module.exports = {
+  REVIEW_SORTS,
+  hasVisitedPlace,
+  getReviewSummary,
+  refreshPlaceRating,
+  toReviewPhotos,
+  formatReview
+};
@@ -0,0 +1,217 @@
+const { Reward } = require('../../models');
+const { checkRewardFields } = require('../middleware/validation');
+const { parseCsv, toCsv, unescapeCell } = require('./csv');
+const { runInTransaction } = require('./ledger');
+
+// Spreadsheet columns, in export order. List cells hold one entry per line.
+// `id` identifies rewards without a sku, so an exported file can be re-imported as is.
+const REWARD_CSV_COLUMNS = [
+  'id', 'sku', 'name', 'shortDescription', 'description', 'pointsCost', 'type', 'isActive',
+  'validUntil', 'terms', 'termsAndConditions', 'imageUrls'
+];
+
+const REQUIRED_FIELDS = ['name', 'shortDescription', 'description', 'pointsCost', 'type'];
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+function splitLines(value) {
+  return value.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+function parseBooleanCell(value) {
+  const normalized = value.trim().toLowerCase();
+  if (['true', 'yes', '1'].includes(normalized)) return true;
+  if (['false', 'no', '0'].includes(normalized)) return false;
+  return value;
+}
+
+// Convert one row of cells into reward fields; empty optional cells clear the field
+function cellsToFields(header, cells) {
+  const fields = {};
+  header.forEach((column, index) => {
+    if (!REWARD_CSV_COLUMNS.includes(column)) return;
+    const value = unescapeCell((cells[index] || '').trim());
+
+    switch (column) {
+      case 'pointsCost':
+        fields.pointsCost = value === '' ? undefined : Number(value);
+        break;
+      case 'isActive':
+        if (value !== '') fields.isActive = parseBooleanCell(value);
+        break;
+      case 'validUntil':
+        fields.validUntil = value === '' ? null : value;
+        break;
+      case 'terms':
+        fields.terms = value === '' ? null : value;
+        break;
+      case 'termsAndConditions':
+        fields.termsAndConditions = splitLines(value);
+        break;
+      case 'imageUrls':
+        fields.imageUrls = value.split(/\s+/).filter(Boolean);
+        break;
+      default:
+        if (value !== '') fields[column] = value;
+    }
+  });
+  return fields;
+}
+
+/**
+ * Parse a catalog CSV into reward rows
+ * @param {string} text - CSV file contents with a header row
+ * @returns {{rows: Array<{row: number, id: string|null, sku: string|null, fields: Object}>, ignoredColumns: string[]}}
+ * @throws {Error} when the file has no usable header
+ */
+function parseRewardCsv(text) {
+  const [headerCells, ...rows] = parseCsv(text);
+  if (!headerCells) throw new Error('The file is empty');
+
+  // Header matching ignores case and surrounding spaces
+  const byLowerName = new Map(REWARD_CSV_COLUMNS.map(column => [column.toLowerCase(), column]));
+  const header = headerCells.map(cell => byLowerName.get(cell.trim().toLowerCase()) || cell.trim());
+  if (!header.includes('sku') && !header.includes('id')) throw new Error('The header must include a sku or id column');
+
+  return {
+    ignoredColumns: header.filter(column => !REWARD_CSV_COLUMNS.includes(column)),
+    rows: rows.map((cells, index) => {
+      const { id, ...fields } = cellsToFields(header, cells);
+      return { row: index + 2, id: id || null, sku: fields.sku || null, fields };
+    })
+  };
+}
+
+function toRewardUpdate(fields, existing) {
+  const update = { ...fields };
+  delete update.imageUrls;
+  if (fields.imageUrls) {
+    // Keep captions of images that stay
+    const captions = new Map(((existing && existing.images) || []).map(image => [image.url, image.caption]));
+    update.images = fields.imageUrls.map(url => (captions.get(url) ? { url, caption: captions.get(url) } : { url }));
+  }
+  if (update.pointsCost === undefined) delete update.pointsCost;
+  if (update.validUntil) update.validUntil = new Date(update.validUntil);
+  return update;
+}
+
+function normalizeForCompare(value) {
+  if (value instanceof Date) return value.toISOString();
+  return JSON.stringify(value === undefined ? null : value, (key, val) => (key === '_id' ? undefined : val));
+}
+
+/**
+ * Validate rows and work out what importing them would do (nothing is written).
+ * Rows with an id update that reward (and may give it a sku); other rows upsert by sku.
+ * @param {Array} rows - Output of parseRewardCsv
+ * @returns {Promise<Array<{row: number, id?: string, sku: string|null, action: string, rewardId?: string, changes?: string[], error?: string}>>}
+ *   action is create, update, unchanged or error
+ */
+async function planRewardImport(rows) {
+  const skus = rows.filter(row => row.sku).map(row => row.sku);
+  const ids = rows.filter(row => row.id && OBJECT_ID_PATTERN.test(row.id)).map(row => row.id);
+  const existing = await Reward.find({ $or: [{ sku: { $in: skus } }, { _id: { $in: ids } }] }).setOptions({ withDeleted: true });
+  const bySku = new Map(existing.filter(reward => reward.sku).map(reward => [reward.sku, reward]));
+  const byId = new Map(existing.map(reward => [String(reward._id), reward]));
+  const seen = new Set();
+
+  return rows.map(({ row, id, sku, fields }) => {
+    const entry = { row, ...(id && { id }), sku };
+    const fail = (error) => ({ ...entry, action: 'error', error });
+
+    let reward;
+    if (id) {
+      if (!OBJECT_ID_PATTERN.test(id)) return fail(`Invalid id ${id}`);
+      if (seen.has(`id:${id}`)) return fail(`Duplicate id ${id} in file`);
+      reward = byId.get(id);
+      if (!reward) return fail(`No reward with id ${id}`);
+      const skuOwner = sku && bySku.get(sku);
+      if (skuOwner && String(skuOwner._id) !== id) return fail(`sku ${sku} belongs to another reward`);
+    } else {
+      if (!sku) return fail('sku or id is required');
+      reward = bySku.get(sku);
+    }
+    if (sku && seen.has(`sku:${sku}`)) return fail(`Duplicate sku ${sku} in file`);
+    if (id) seen.add(`id:${id}`);
+    if (sku) seen.add(`sku:${sku}`);
+
+    if (reward && reward.deletedAt) return fail('This reward is deleted; restore it before importing');
+
+    const candidate = toRewardUpdate(fields, reward);
+    const error = checkRewardFields(
+      { ...candidate, validUntil: fields.validUntil },
+      { partial: Boolean(reward) }
+    );
+    if (error) return fail(error);
+
+    if (!reward) {
+      const missing = REQUIRED_FIELDS.filter(field => candidate[field] === undefined);
+      if (missing.length > 0) return fail(`Missing required fields: ${missing.join(', ')}`);
+      return Object.defineProperty({ ...entry, action: 'create' }, 'data', { value: candidate });
+    }
+
+    const current = reward.toObject();
+    const changes = Object.keys(candidate)
+      .filter(field => normalizeForCompare(current[field]) !== normalizeForCompare(candidate[field]));
+    return Object.defineProperty(
+      { ...entry, action: changes.length > 0 ? 'update' : 'unchanged', rewardId: reward._id, changes },
+      'data',
+      { value: changes.reduce((update, field) => ({ ...update, [field]: candidate[field] }), {}) }
+    );
+  });
+}
+
+/**
+ * Write a validated plan with one ordered bulk write in a transaction: a failing row (e.g. a sku taken
+ * concurrently) leaves the catalog untouched
+ * @param {Array} plan - Output of planRewardImport without error rows
+ * @returns {Promise<{created: number, updated: number}>}
+ */
+async function commitRewardImport(plan) {
+  const operations = plan
+    .filter(entry => entry.action === 'create' || entry.action === 'update')
+    .map(entry => (entry.action === 'create'
+      ? { insertOne: { document: entry.data } }
+      : { updateOne: { filter: { _id: entry.rewardId }, update: { $set: entry.data } } }));
+
+  if (operations.length === 0) return { created: 0, updated: 0 };
+
+  const result = await runInTransaction(session => Reward.bulkWrite(operations, { ordered: true, session }));
+  return { created: result.insertedCount, updated: result.modifiedCount };
+}
+
+function summarizeRewardImport(plan) {
+  const count = (action) => plan.filter(entry => entry.action === action).length;
+  return {
+    total: plan.length,
+    created: count('create'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    failed: count('error'),
+    rows: plan
+  };
+}
+
+/**
+ * Serialize rewards to the catalog CSV layout
+ * @param {Object[]} rewards - Lean reward documents
+ * @returns {string}
+ */
+function rewardsToCsv(rewards) {
+  return toCsv(rewards.map(reward => ({
+    ...reward,
+    id: String(reward._id),
+    validUntil: reward.validUntil ? new Date(reward.validUntil).toISOString() : '',
+    termsAndConditions: (reward.termsAndConditions || []).join('\n'),
+    imageUrls: (reward.images || []).map(image => image.url).join('\n')
+  })), REWARD_CSV_COLUMNS);
+}
+
+module.exports = {
+  REWARD_CSV_COLUMNS,
+  parseRewardCsv,
+  planRewardImport,
+  commitRewardImport,
+  summarizeRewardImport,
+  rewardsToCsv
+};
@@ -0,0 +1,218 @@
+const { Place } = require('../../models');
+const { calculateDistance } = require('./geo');
+const { getDefaultCheckinPolicy, resolveCheckinPolicy, getCheckinHistory, evaluateCheckinPolicy } = require('./checkinPolicy');
+const { getRoutePlannerSettings } = require('../../config/routePlanner');
+
+// Ratings are shrunk towards an average place so one 5-star review doesn't beat fifty 4.5s
+const RATING_PRIOR_MEAN = 3;
+const RATING_PRIOR_WEIGHT = 5;
+
+const EPSILON = 1e-6;
+
+// Value of visiting a place: check-in points under its policy, or its (shrunk) review rating for "interest"
+function scorePlace(place, objective) {
+  if (objective === 'interest') {
+    const { average = 0, count = 0 } = place.rating || {};
+    return (average * count + RATING_PRIOR_MEAN * RATING_PRIOR_WEIGHT) / (count + RATING_PRIOR_WEIGHT);
+  }
+  return place.checkinPolicy.points;
+}
+
+// Nearby places the user can check in at right now (active, under the limit and out of cooldown)
+async function findCandidatePlaces({ userId, start, radius, categories, limit }) {
+  const filter = {
+    location: {
+      $nearSphere: { $geometry: { type: 'Point', coordinates: start }, $maxDistance: radius }
+    }
+  };
+  if (categories.length > 0) filter.category = { $in: categories };
+
+  const places = await Place.find(filter)
+    .select('name description category tags location images rating translations timeZone checkinPolicy')
+    .limit(limit)
+    .lean();
+
+  const [defaults, history] = await Promise.all([
+    getDefaultCheckinPolicy(),
+    getCheckinHistory(userId, places.map(place => place._id))
+  ]);
+  const now = new Date();
+
+  return places
+    .map(place => ({ ...place, checkinPolicy: resolveCheckinPolicy(place, defaults) }))
+    .filter(place => evaluateCheckinPolicy(place.checkinPolicy, history.get(String(place._id)), now).allowed);
+}
+
+/**
+ * Choose and order stops within a time budget. Stops are added greedily by score per extra minute
+ * (cheapest insertion position), and the walk is shortened with 2-opt after every insertion so the
+ * time saved can go to further stops.
+ * @param {number[][]} points - [lng, lat] positions; index 0 is the start, the rest are candidates
+ * @param {number[]} scores - Score per point (index 0 unused)
+ * @param {{timeBudgetMinutes: number, returnToStart: boolean, maxStops: number,
+ *   walkingSpeedMetersPerMinute: number, stopDwellMinutes: number}} options
+ * @returns {number[]} Indexes into `points` in visiting order (start excluded)
+ */
+function orderStops(points, scores, options) {
+  const { timeBudgetMinutes, returnToStart, maxStops, walkingSpeedMetersPerMinute, stopDwellMinutes } = options;
+  const distances = points.map(([lng1, lat1]) => points.map(([lng2, lat2]) => calculateDistance(lat1, lng1, lat2, lng2)));
+  const minutesFor = meters => meters / walkingSpeedMetersPerMinute;
+
+  const path = [];
+  const selected = new Set();
+  let walkedMeters = 0;
+
+  // Leg after position `index` of the path (null at the open end of a one-way route)
+  const nextOf = index => (index < path.length ? path[index] : (returnToStart ? 0 : null));
+
+  while (path.length < maxStops) {
+    let best = null;
+    const usedMinutes = minutesFor(walkedMeters) + path.length * stopDwellMinutes;
+
+    for (let candidate = 1; candidate < points.length; candidate++) {
+      if (selected.has(candidate)) continue;
+
+      for (let position = 0; position <= path.length; position++) {
+        const prev = position === 0 ? 0 : path[position - 1];
+        const next = nextOf(position);
+        const addedMeters = distances[prev][candidate] +
+          (next === null ? 0 : distances[candidate][next] - distances[prev][next]);
+        const addedMinutes = minutesFor(addedMeters) + stopDwellMinutes;
+        if (usedMinutes + addedMinutes > timeBudgetMinutes + EPSILON) continue;
+
+        const ratio = scores[candidate] / addedMinutes;
+        if (!best || ratio > best.ratio + EPSILON || (Math.abs(ratio - best.ratio) <= EPSILON && addedMeters < best.addedMeters)) {
+          best = { candidate, position, addedMeters, ratio };
+        }
+      }
+    }
+    if (!best) break;
+
+    path.splice(best.position, 0, best.candidate);
+    selected.add(best.candidate);
+    walkedMeters = improveWithTwoOpt(path, distances, returnToStart);
+  }
+
+  return path;
+}
+
+// Reverse segments of the path while that shortens it (start stays first; a round trip also ends there).
+// Reorders `path` in place and returns the walked distance.
+function improveWithTwoOpt(path, distances, returnToStart) {
+  const route = [0, ...path, ...(returnToStart ? [0] : [])];
+  const lastMovable = returnToStart ? route.length - 2 : route.length - 1;
+
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < lastMovable; i++) {
+      for (let j = i + 1; j <= lastMovable; j++) {
+        const before = route[i - 1];
+        const first = route[i];
+        const last = route[j];
+        const after = route[j + 1];
+        const delta = distances[before][last] - distances[before][first] +
+          (after === undefined ? 0 : distances[first][after] - distances[last][after]);
+
+        if (delta < -EPSILON) {
+          const reversed = route.slice(i, j + 1).reverse();
+          route.splice(i, reversed.length, ...reversed);
+          improved = true;
+        }
+      }
+    }
+  }
+
+  path.splice(0, path.length, ...route.slice(1, returnToStart ? -1 : undefined));
+  let meters = 0;
+  for (let i = 1; i < route.length; i++) meters += distances[route[i - 1]][route[i]];
+  return meters;
+}
+
+/**
+ * Plan a walk from a start position through places the user can check in at now
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {number[]} params.start - [lng, lat]
+ * @param {number} params.timeBudgetMinutes
+ * @param {string[]} [params.categories] - Category slugs to restrict the places to
+ * @param {string} [params.objective] - 'points' (default, as many check-ins as fit) or 'interest' (best rated)
+ * @param {boolean} [params.returnToStart]
+ * @param {number} [params.maxStops]
+ * @returns {Promise<Object>} ordered stops with leg distances and arrival times, totals and a GeoJSON LineString
+ */
+async function planRoute({ userId, start, timeBudgetMinutes, categories = [], objective = 'points', returnToStart = false, maxStops }) {
+  const settings = getRoutePlannerSettings();
+  const { walkingSpeedMetersPerMinute, stopDwellMinutes } = settings;
+  const stopLimit = Math.min(maxStops || settings.maxStops, settings.maxStops);
+
+  // Farthest a stop can be and still be walked to (and back) in time
+  const reachMeters = Math.max(0, (timeBudgetMinutes - stopDwellMinutes) * walkingSpeedMetersPerMinute / (returnToStart ? 2 : 1));
+  const places = reachMeters > 0
+    ? await findCandidatePlaces({ userId, start, radius: reachMeters, categories, limit: settings.maxCandidates })
+    : [];
+
+  const points = [start, ...places.map(place => place.location.coordinates)];
+  const scores = [0, ...places.map(place => scorePlace(place, objective))];
+  const order = orderStops(points, scores, {
+    timeBudgetMinutes,
+    returnToStart,
+    maxStops: stopLimit,
+    walkingSpeedMetersPerMinute,
+    stopDwellMinutes
+  });
+
+  let position = start;
+  let distanceMeters = 0;
+  let elapsedMinutes = 0;
+  const stops = order.map((index, stopIndex) => {
+    const place = places[index - 1];
+    const [lng, lat] = place.location.coordinates;
+    const legDistanceMeters = calculateDistance(position[1], position[0], lat, lng);
+
+    distanceMeters += legDistanceMeters;
+    elapsedMinutes += legDistanceMeters / walkingSpeedMetersPerMinute;
+    const stop = {
+      order: stopIndex + 1,
+      place,
+      score: Math.round(scores[index] * 100) / 100,
+      legDistanceMeters: Math.round(legDistanceMeters),
+      distanceFromStartMeters: Math.round(distanceMeters),
+      arrivalMinutes: Math.round(elapsedMinutes)
+    };
+    elapsedMinutes += stopDwellMinutes;
+    position = place.location.coordinates;
+    return stop;
+  });
+
+  const coordinates = [start, ...stops.map(stop => stop.place.location.coordinates)];
+  let returnLegMeters = null;
+  if (returnToStart && stops.length > 0) {
+    returnLegMeters = calculateDistance(position[1], position[0], start[1], start[0]);
+    distanceMeters += returnLegMeters;
+    elapsedMinutes += returnLegMeters / walkingSpeedMetersPerMinute;
+    coordinates.push(start);
+  }
+
+  return {
+    stops,
+    summary: {
+      objective,
+      stopCount: stops.length,
+      totalScore: Math.round(order.reduce((sum, index) => sum + scores[index], 0) * 100) / 100,
+      distanceMeters: Math.round(distanceMeters),
+      returnLegMeters: returnLegMeters === null ? null : Math.round(returnLegMeters),
+      walkingMinutes: Math.round(distanceMeters / walkingSpeedMetersPerMinute),
+      durationMinutes: Math.round(elapsedMinutes),
+      timeBudgetMinutes,
+      candidatesConsidered: places.length,
+      walkingSpeedMetersPerMinute,
+      stopDwellMinutes
+    },
+    geometry: { type: 'LineString', coordinates }
+  };
+}
+
+module.exports = {
+  planRoute
+};
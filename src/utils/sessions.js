@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Session } = require('../../models');
+const { parseDuration } = require('./duration');
+
+const DEFAULT_ACCESS_TTL = '15m';
+const DEFAULT_REFRESH_TTL = '30d';
+
+function getJwtSecret() {
+  return process.env.JWT_SECRET || 'dev_secret';
+}
+
+function getAccessTokenTtl() {
+  return process.env.JWT_ACCESS_EXPIRES_IN || DEFAULT_ACCESS_TTL;
+}
+
+function getRefreshTokenTtlMs() {
+  return parseDuration(process.env.REFRESH_TOKEN_EXPIRES_IN || DEFAULT_REFRESH_TTL, 30 * 24 * 60 * 60 * 1000);
+}
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function getClientInfo(req) {
+  return {
+    userAgent: (req.get('user-agent') || '').slice(0, 500),
+    ip: req.ip
+  };
+}
+
+/**
+ * Sign a short-lived access token bound to a session family
+ * @param {Object} user - User document
+ * @param {string} family - Session family id
+ * @returns {string}
+ */
+function signAccessToken(user, family) {
+  return jwt.sign(
+    { id: user._id, role: user.role || 'user', sid: family },
+    getJwtSecret(),
+    { expiresIn: getAccessTokenTtl() }
+  );
+}
+
+async function storeRefreshToken(user, family, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    family,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+    ...getClientInfo(req)
+  });
+  return { refreshToken, session };
+}
+
+function buildTokenResponse(user, family, refreshToken, session) {
+  return {
+    token: signAccessToken(user, family),
+    expiresIn: Math.round(parseDuration(getAccessTokenTtl(), 15 * 60 * 1000) / 1000),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Start a new session family for a user (login/registration)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, used for client metadata
+ * @returns {Promise<{token: string, expiresIn: number, refreshToken: string, refreshTokenExpiresAt: Date}>}
+ */
+async function createSession(user, req) {
+  const family = crypto.randomUUID();
+  const { refreshToken, session } = await storeRefreshToken(user, family, req);
+  return buildTokenResponse(user, family, refreshToken, session);
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Presenting a token that was already rotated revokes the whole family.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Object} req - Express request
+ * @param {Function} loadUser - async (userId) => user document or null
+ * @returns {Promise<{tokens?: Object, user?: Object, error?: string}>}
+ */
+async function rotateSession(refreshToken, req, loadUser) {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+  const usable = { tokenHash, rotatedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+
+  const current = await Session.findOne(usable).select('userId family');
+  if (!current) return rejectRefreshToken(tokenHash);
+
+  const user = await loadUser(current.userId);
+  if (!user) {
+    await revokeFamily(current.family, 'admin');
+    return { error: 'invalid' };
+  }
+
+  // Store the replacement before retiring the old token, so a failure in between never leaves the family
+  // without a usable token. The old token is then claimed atomically: of two concurrent refreshes only
+  // one succeeds, and the loser drops its replacement.
+  const { refreshToken: nextToken, session } = await storeRefreshToken(user, current.family, req);
+  const claimed = await Session.findOneAndUpdate(
+    { _id: current._id, ...usable },
+    { $set: { rotatedAt: now, lastUsedAt: now, replacedBy: session._id } }
+  ).select('_id');
+  if (!claimed) {
+    await Session.deleteOne({ _id: session._id });
+    return rejectRefreshToken(tokenHash);
+  }
+
+  return { user, tokens: buildTokenResponse(user, current.family, nextToken, session) };
+}
+
+// A refresh token that can't be rotated; presenting an already rotated one revokes its family
+async function rejectRefreshToken(tokenHash) {
+  const existing = await Session.findOne({ tokenHash }).select('family rotatedAt revokedAt');
+  if (existing && existing.rotatedAt && !existing.revokedAt) {
+    await revokeFamily(existing.family, 'reuse_detected');
+    return { error: 'reused' };
+  }
+  return { error: 'invalid' };
+}
+
+// Revoke every refresh token in a family, which also invalidates its access tokens
+async function revokeFamily(family, reason) {
+  await Session.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+// Revoke every session belonging to a user (logout everywhere, password change)
+async function revokeUserSessions(userId, reason) {
+  await Session.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+async function findFamilyByRefreshToken(refreshToken) {
+  const session = await Session.findOne({ tokenHash: hashToken(refreshToken) }).select('family userId');
+  return session ? session.family : null;
+}
+
+// A family stays usable while it has an unrotated, unrevoked, unexpired refresh token
+async function isSessionActive(family) {
+  if (!family) return false;
+  const active = await Session.exists({
+    family,
+    rotatedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(active);
+}
+
+module.exports = {
+  getJwtSecret,
+  hashToken,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  revokeFamily,
+  revokeUserSessions,
+  findFamilyByRefreshToken,
+  isSessionActive
+};
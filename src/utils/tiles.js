@@ -0,0 +1,111 @@
+// Web Mercator (EPSG:3857) helpers shared by the map and tile endpoints.
+// "World" coordinates are normalized to [0, 1) with y growing southwards, like XYZ tiles.
+
+const MAX_LATITUDE = 85.0511287798066;
+const TILE_SIZE = 256;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Project a coordinate to normalized world space
+ * @returns {{x: number, y: number}}
+ */
+function lngLatToWorld(lng, lat) {
+  const φ = clamp(lat, -MAX_LATITUDE, MAX_LATITUDE) * Math.PI / 180;
+  return {
+    x: (lng + 180) / 360,
+    y: (1 - Math.log(Math.tan(φ) + 1 / Math.cos(φ)) / Math.PI) / 2
+  };
+}
+
+/**
+ * Inverse of lngLatToWorld
+ * @returns {number[]} [lng, lat]
+ */
+function worldToLngLat(x, y) {
+  const n = Math.PI - 2 * Math.PI * y;
+  return [x * 360 - 180, 180 / Math.PI * Math.atan(Math.sinh(n))];
+}
+
+/**
+ * Bounding box of an XYZ tile (or grid cell with the same scheme)
+ * @returns {number[]} [minLng, minLat, maxLng, maxLat]
+ */
+function tileToBbox(z, x, y) {
+  const size = 2 ** z;
+  const [minLng, maxLat] = worldToLngLat(x / size, y / size);
+  const [maxLng, minLat] = worldToLngLat((x + 1) / size, (y + 1) / size);
+  return [minLng, minLat, maxLng, maxLat];
+}
+
+function isValidTile(z, x, y) {
+  return [z, x, y].every(Number.isInteger) && z >= 0 && z <= 24 && x >= 0 && y >= 0 && x < 2 ** z && y < 2 ** z;
+}
+
+// Densified polygon ring for a bbox; the big-polygon CRS lets it span more than a hemisphere
+function bboxToPolygon([minLng, minLat, maxLng, maxLat], steps = 8) {
+  const ring = [];
+  for (let i = 0; i < steps; i++) ring.push([minLng + (maxLng - minLng) * i / steps, minLat]);
+  for (let i = 0; i < steps; i++) ring.push([maxLng, minLat + (maxLat - minLat) * i / steps]);
+  for (let i = 0; i < steps; i++) ring.push([maxLng - (maxLng - minLng) * i / steps, maxLat]);
+  for (let i = 0; i < steps; i++) ring.push([minLng, maxLat - (maxLat - minLat) * i / steps]);
+  ring.push([minLng, minLat]);
+
+  return {
+    type: 'Polygon',
+    coordinates: [ring],
+    crs: { type: 'name', properties: { name: 'urn:x-mongodb:crs:strictwinding:EPSG:4326' } }
+  };
+}
+
+/**
+ * $geoWithin filter on place locations for a bbox (split in two when it crosses the antimeridian)
+ * @param {number[]} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {Object} Mongo filter
+ */
+function bboxGeoFilter(bbox) {
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  if (minLng <= maxLng) {
+    return { location: { $geoWithin: { $geometry: bboxToPolygon(bbox) } } };
+  }
+  return {
+    $or: [
+      { location: { $geoWithin: { $geometry: bboxToPolygon([minLng, minLat, 180, maxLat]) } } },
+      { location: { $geoWithin: { $geometry: bboxToPolygon([-180, minLat, maxLng, maxLat]) } } }
+    ]
+  };
+}
+
+/**
+ * Aggregation expressions for the grid cell (XYZ tile address at gridZoom) of a document's location
+ * @param {number} gridZoom
+ * @returns {{x: Object, y: Object}}
+ */
+function gridCellExpressions(gridZoom) {
+  const cells = 2 ** gridZoom;
+  const lng = { $arrayElemAt: ['$location.coordinates', 0] };
+  const lat = { $max: [-MAX_LATITUDE, { $min: [MAX_LATITUDE, { $arrayElemAt: ['$location.coordinates', 1] }] }] };
+  const φ = { $degreesToRadians: lat };
+
+  const worldX = { $divide: [{ $add: [lng, 180] }, 360] };
+  const worldY = {
+    $divide: [
+      { $subtract: [1, { $divide: [{ $ln: { $add: [{ $tan: φ }, { $divide: [1, { $cos: φ }] }] } }, Math.PI] }] },
+      2
+    ]
+  };
+  const toCell = (world) => ({ $min: [cells - 1, { $max: [0, { $floor: { $multiply: [world, cells] } }] }] });
+
+  return { x: toCell(worldX), y: toCell(worldY) };
+}
+
+module.exports = {
+  MAX_LATITUDE,
+  TILE_SIZE,
+  lngLatToWorld,
+  worldToLngLat,
+  tileToBbox,
+  isValidTile,
+  bboxGeoFilter,
+  gridCellExpressions
+};
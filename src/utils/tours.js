@@ -0,0 +1,232 @@
+const { Tour, TourProgress, Place } = require('../../models');
+const { calculateDistance } = require('./geo');
+const { getTourSettings } = require('../../config/tours');
+const { runInTransaction, postPoints } = require('./ledger');
+
+/**
+ * Start location and straight-line walking distance of a list of stops
+ * @param {Array<{placeId: string}>} stops - in tour order
+ * @param {{withDeleted?: boolean}} [options] - also measure soft-deleted places
+ * @returns {Promise<{missing: string[]}|{startLocation: Object, distanceMeters: number}>}
+ */
+async function measureTourStops(stops, { withDeleted = false } = {}) {
+  const ids = stops.map(stop => String(stop.placeId));
+  const places = await Place.find({ _id: { $in: ids } }).select('location').setOptions({ withDeleted }).lean();
+  const byId = new Map(places.map(place => [String(place._id), place]));
+
+  const missing = ids.filter(id => !byId.has(id));
+  if (missing.length > 0) return { missing };
+
+  let distanceMeters = 0;
+  for (let i = 1; i < ids.length; i++) {
+    const [lng1, lat1] = byId.get(ids[i - 1]).location.coordinates;
+    const [lng2, lat2] = byId.get(ids[i]).location.coordinates;
+    distanceMeters += calculateDistance(lat1, lng1, lat2, lng2);
+  }
+
+  return {
+    startLocation: { type: 'Point', coordinates: byId.get(ids[0]).location.coordinates },
+    distanceMeters: Math.round(distanceMeters)
+  };
+}
+
+// Walking time plus a visit at every stop
+function estimateTourDuration(distanceMeters, stopCount) {
+  const { walkingSpeedMetersPerMinute, stopDwellMinutes } = getTourSettings();
+  return Math.max(1, Math.round(distanceMeters / walkingSpeedMetersPerMinute + stopCount * stopDwellMinutes));
+}
+
+// Runs past their time window are closed lazily, whenever progress is read or advanced
+async function expireTourProgress(filter = {}) {
+  await TourProgress.updateMany(
+    { ...filter, status: 'active', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+}
+
+/**
+ * Start a run of a tour for a user
+ * @returns {Promise<Object|null>} the new progress, or null when the user already has an active run
+ */
+async function startTour(userId, tour) {
+  await expireTourProgress({ userId, tourId: tour._id });
+
+  const { defaultTimeWindowHours } = getTourSettings();
+  const startedAt = new Date();
+  const hours = tour.timeWindowHours || defaultTimeWindowHours;
+  try {
+    return await TourProgress.create({
+      userId,
+      tourId: tour._id,
+      stops: tour.stops.map(stop => stop.placeId),
+      requireOrder: tour.requireOrder,
+      completionBonus: tour.completionBonus,
+      startedAt,
+      expiresAt: new Date(startedAt.getTime() + hours * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+function nextStopOf(progress) {
+  const visited = new Set(progress.visited.map(visit => String(visit.placeId)));
+  return progress.stops.find(placeId => !visited.has(String(placeId))) || null;
+}
+
+// Close a finished run and pay its completion bonus (once per user and tour) in one transaction, so a
+// run is never left completed without its bonus
+async function completeTourRun(progress, completedAt) {
+  const tour = progress.completionBonus
+    ? await Tour.findById(progress.tourId).select('name').lean()
+    : null;
+
+  return runInTransaction(async (session) => {
+    const completed = await TourProgress.findOneAndUpdate(
+      { _id: progress._id, status: 'active' },
+      { $set: { status: 'completed', completedAt } },
+      { new: true, session }
+    );
+    if (!completed || !completed.completionBonus) return completed;
+
+    const alreadyPaid = await TourProgress.exists({
+      userId: completed.userId,
+      tourId: completed.tourId,
+      _id: { $ne: completed._id },
+      bonusAwarded: { $gt: 0 }
+    }).session(session);
+    if (alreadyPaid) return completed;
+
+    await postPoints({
+      userId: completed.userId,
+      amount: completed.completionBonus,
+      reason: `Completed tour: ${tour ? tour.name : 'tour'}`,
+      source: { type: 'tour', id: completed._id },
+      session
+    });
+    completed.bonusAwarded = completed.completionBonus;
+    await completed.save({ session });
+    return completed;
+  });
+}
+
+/**
+ * Advance the user's active tours with a check-in. Called after every successful check-in.
+ * @param {Object} checkin - Saved Checkin document
+ * @returns {Promise<Object[]>} progress summaries of the runs the check-in counted for
+ */
+async function recordTourCheckin(checkin) {
+  const { userId, placeId } = checkin;
+  await expireTourProgress({ userId, stops: placeId });
+
+  // Check-ins approved after review can predate runs started since
+  const runs = await TourProgress.find({
+    userId,
+    status: 'active',
+    startedAt: { $lte: checkin.timestamp },
+    stops: placeId,
+    'visited.placeId': { $ne: placeId }
+  });
+
+  const results = [];
+  for (const run of runs) {
+    if (run.requireOrder && String(nextStopOf(run)) !== String(placeId)) continue;
+
+    const visit = { placeId, checkinId: checkin._id, visitedAt: checkin.timestamp };
+    const updated = await TourProgress.findOneAndUpdate(
+      { _id: run._id, status: 'active', 'visited.placeId': { $ne: placeId } },
+      { $push: { visited: visit } },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    // Visits of stops removed since (purged places) don't count towards completion
+    if (!nextStopOf(updated)) {
+      const completed = await completeTourRun(updated, checkin.timestamp);
+      if (completed) {
+        results.push(formatTourProgress(completed));
+        continue;
+      }
+    }
+    results.push(formatTourProgress(updated));
+  }
+  return results;
+}
+
+/**
+ * Drop a place that is being purged from every tour and active run. Tours are re-measured, and runs
+ * left with nothing to visit are completed (bonus included) instead of staying active until they expire;
+ * runs that lost all their stops are abandoned.
+ * @param {string} placeId
+ * @returns {Promise<{toursUpdated: number, runsCompleted: number}>}
+ */
+async function removeTourStop(placeId) {
+  const tours = await Tour.find({ 'stops.placeId': placeId });
+  for (const tour of tours) {
+    tour.stops = tour.stops.filter(stop => String(stop.placeId) !== String(placeId));
+    // Other stops may be soft-deleted but not yet purged; they still have a location
+    const metrics = tour.stops.length > 0 ? await measureTourStops(tour.stops, { withDeleted: true }) : null;
+    if (metrics && !metrics.missing) {
+      tour.startLocation = metrics.startLocation;
+      tour.distanceMeters = metrics.distanceMeters;
+    } else {
+      tour.startLocation = undefined;
+      tour.distanceMeters = 0;
+    }
+    tour.estimatedDurationMinutes = estimateTourDuration(tour.distanceMeters, tour.stops.length);
+    await tour.save();
+  }
+
+  // Runs keep the stops their tour had when they started, so they are found by the stop itself
+  const affected = await TourProgress.find({ stops: placeId, status: 'active' }).distinct('_id');
+  await TourProgress.updateMany({ _id: { $in: affected }, status: 'active' }, { $pull: { stops: placeId } });
+
+  let runsCompleted = 0;
+  const runs = await TourProgress.find({ _id: { $in: affected }, status: 'active' });
+  for (const run of runs) {
+    if (nextStopOf(run)) continue;
+    // Nothing of the run is left to have visited
+    if (run.stops.length === 0) {
+      await TourProgress.updateOne({ _id: run._id, status: 'active' }, { $set: { status: 'abandoned' } });
+      continue;
+    }
+    const lastVisit = run.visited.reduce((latest, visit) => (visit.visitedAt > latest ? visit.visitedAt : latest), run.startedAt);
+    if (await completeTourRun(run, lastVisit)) runsCompleted++;
+  }
+
+  return { toursUpdated: tours.length, runsCompleted };
+}
+
+/**
+ * Client view of a tour run
+ * @param {Object} progress - TourProgress document or lean object
+ * @returns {Object}
+ */
+function formatTourProgress(progress) {
+  return {
+    id: progress._id,
+    tourId: progress.tourId,
+    status: progress.status,
+    visited: progress.visited.map(({ placeId, visitedAt }) => ({ placeId, visitedAt })),
+    visitedCount: progress.visited.length,
+    totalStops: progress.stops.length,
+    nextStop: progress.status === 'active' ? nextStopOf(progress) : null,
+    requireOrder: progress.requireOrder,
+    completionBonus: progress.completionBonus,
+    bonusAwarded: progress.bonusAwarded,
+    startedAt: progress.startedAt,
+    expiresAt: progress.expiresAt,
+    completedAt: progress.completedAt || null
+  };
+}
+
+module.exports = {
+  measureTourStops,
+  estimateTourDuration,
+  expireTourProgress,
+  startTour,
+  recordTourCheckin,
+  removeTourStop,
+  formatTourProgress
+};
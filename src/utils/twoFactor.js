@@ -0,0 +1,110 @@
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
+const { User } = require('../../models');
+const { getJwtSecret, hashToken } = require('./sessions');
+const { verifyTotp, generateBackupCodes, normalizeBackupCode } = require('./totp');
+const { parseDuration } = require('./duration');
+
+const CHALLENGE_PURPOSE = 'two_factor';
+// Backup codes are short, so they are stored as salted bcrypt hashes; every failed code costs up to one
+// comparison per stored hash, hence a lower cost than passwords
+const BACKUP_CODE_ROUNDS = 10;
+const BACKUP_CODE_LENGTH = 8;
+// Codes issued before bcrypt was used are stored as SHA-256 hex; they keep working until regenerated
+const LEGACY_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+function getChallengeTtl() {
+  return process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+}
+
+/**
+ * Sign the short-lived token returned by the first login step when 2FA is enabled.
+ * It carries no session id, so it can't be used as an access token.
+ * @param {Object} user - User document
+ * @returns {{challengeToken: string, expiresIn: number}}
+ */
+function signTwoFactorChallenge(user) {
+  const ttl = getChallengeTtl();
+  return {
+    challengeToken: jwt.sign({ id: user._id, purpose: CHALLENGE_PURPOSE }, getJwtSecret(), { expiresIn: ttl }),
+    expiresIn: Math.round(parseDuration(ttl, 5 * 60 * 1000) / 1000)
+  };
+}
+
+// Returns the user id from a valid challenge token, or null
+function verifyTwoFactorChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(challengeToken, getJwtSecret());
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create a fresh set of backup codes
+ * @returns {Promise<{codes: string[], hashes: string[]}>} plaintext codes for the user, hashes for storage
+ */
+async function createBackupCodes() {
+  const codes = generateBackupCodes();
+  const hashes = await Promise.all(codes.map(code => bcrypt.hash(normalizeBackupCode(code), BACKUP_CODE_ROUNDS)));
+  return { codes, hashes };
+}
+
+// The stored hash matching a backup code, or null
+async function findBackupCodeHash(hashes, normalized) {
+  for (const hash of hashes) {
+    const matches = LEGACY_HASH_PATTERN.test(hash)
+      ? hash === hashToken(normalized)
+      : await bcrypt.compare(normalized, hash);
+    if (matches) return hash;
+  }
+  return null;
+}
+
+/**
+ * Check a TOTP or backup code and consume it so it can't be replayed.
+ * The user must be loaded with +twoFactor.secret.
+ * @param {Object} user - User document
+ * @param {string} code - TOTP code or backup code
+ * @returns {Promise<'totp'|'backup_code'|null>} the method that matched, or null
+ */
+async function verifySecondFactor(user, code) {
+  const step = user.twoFactor.secret ? verifyTotp(user.twoFactor.secret, code) : null;
+  if (step !== null) {
+    // Only accept a time step newer than the last one used
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount > 0 ? 'totp' : null;
+  }
+
+  const normalized = normalizeBackupCode(code);
+  if (normalized.length !== BACKUP_CODE_LENGTH) return null;
+
+  const stored = await User.findById(user._id).select('+twoFactor.backupCodes').lean();
+  const hashes = (stored && stored.twoFactor && stored.twoFactor.backupCodes) || [];
+  const hash = await findBackupCodeHash(hashes, normalized);
+  if (!hash) return null;
+
+  // Pulling the matched hash only succeeds once, so a code can't be used by two concurrent requests
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.backupCodes': hash },
+    { $pull: { 'twoFactor.backupCodes': hash } }
+  );
+  return result.modifiedCount > 0 ? 'backup_code' : null;
+}
+
+module.exports = {
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  createBackupCodes,
+  verifySecondFactor
+};
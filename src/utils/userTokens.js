@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const { UserToken } = require('../../models');
+const { hashToken } = require('./sessions');
+
+/**
+ * Issue a single-use token for a user, invalidating earlier unused tokens of the same purpose
+ * @param {string} userId - User id
+ * @param {string} purpose - 'email_verification' | 'password_reset'
+ * @param {number} ttlMs - Lifetime in milliseconds
+ * @returns {Promise<string>} raw token to send to the user
+ */
+async function issueUserToken(userId, purpose, ttlMs) {
+  await UserToken.deleteMany({ userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await UserToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+}
+
+/**
+ * Mark a token as used if it is valid for the given purpose
+ * @param {string} token - Raw token from the client
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object|null>} the consumed token document, or null when invalid/expired/used
+ */
+async function consumeUserToken(token, purpose) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const now = new Date();
+  return UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+}
+
+module.exports = { issueUserToken, consumeUserToken };
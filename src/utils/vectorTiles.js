@@ -0,0 +1,178 @@
+const { Place, Checkin } = require('../../models');
+const { encodeTile } = require('./mvt');
+const { lngLatToWorld, worldToLngLat, tileToBbox, bboxGeoFilter, gridCellExpressions } = require('./tiles');
+const { getTileConfig } = require('../../config/map');
+
+const TILE_EXTENT = 4096;
+// Places just outside a tile are included so icons on the edge aren't cut in half
+const TILE_BUFFER = 64;
+// Density bins are 1/64 of a tile per side (64 extent units), down to TILE_DENSITY_MAX_BIN_ZOOM
+const DENSITY_BIN_ZOOM = 6;
+// Deepest zoom a place tile can be requested at (matches isValidTile)
+const MAX_TILE_ZOOM = 24;
+
+// In-memory tile cache: insertion-ordered Map used as an LRU, entries expire after the TTL
+const cache = new Map();
+// Bumped on every place invalidation so tiles built during an edit aren't cached stale
+let placesGeneration = 0;
+
+function cacheGet(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(key);
+    return null;
+  }
+  // Move to the back so it is evicted last
+  cache.delete(key);
+  cache.set(key, entry);
+  return entry.tile;
+}
+
+function cacheSet(key, tile) {
+  const { cacheTtlSeconds, cacheMaxEntries } = getTileConfig();
+  cache.delete(key);
+  cache.set(key, { tile, expiresAt: Date.now() + cacheTtlSeconds * 1000 });
+  while (cache.size > cacheMaxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+async function cachedTile(key, build) {
+  const cached = cacheGet(key);
+  if (cached) return cached;
+  const generation = placesGeneration;
+  const tile = await build();
+  if (generation === placesGeneration) cacheSet(key, tile);
+  return tile;
+}
+
+// Position of a coordinate inside a tile, in extent units (may fall in the buffer, outside 0..extent)
+function toTilePoint([lng, lat], z, x, y) {
+  const world = lngLatToWorld(lng, lat);
+  const size = 2 ** z;
+  return [
+    Math.round((world.x * size - x) * TILE_EXTENT),
+    Math.round((world.y * size - y) * TILE_EXTENT)
+  ];
+}
+
+// Tile bounds grown by the buffer (clamped to the world; the buffer does not wrap the antimeridian)
+function bufferedTileBbox(z, x, y) {
+  const size = 2 ** z;
+  const pad = TILE_BUFFER / TILE_EXTENT;
+  const clamp = (value) => Math.min(Math.max(value, 0), 1);
+  const [minLng, maxLat] = worldToLngLat(clamp((x - pad) / size), clamp((y - pad) / size));
+  const [maxLng, minLat] = worldToLngLat(clamp((x + 1 + pad) / size), clamp((y + 1 + pad) / size));
+  return [minLng, minLat, maxLng, maxLat];
+}
+
+async function buildPlacesTile(z, x, y) {
+  const { maxFeatures } = getTileConfig();
+  const places = await Place.find(bboxGeoFilter(bufferedTileBbox(z, x, y)))
+    .select({ name: 1, category: 1, redemption: 1, location: 1 })
+    .limit(maxFeatures)
+    .lean();
+
+  return encodeTile([{
+    name: 'places',
+    extent: TILE_EXTENT,
+    features: places.map(place => ({
+      points: [toTilePoint(place.location.coordinates, z, x, y)],
+      properties: {
+        id: String(place._id),
+        name: place.name,
+        category: place.category,
+        redemptionEligible: Boolean(place.redemption && place.redemption.eligible),
+        pointsCost: (place.redemption && place.redemption.pointsCost) || 0
+      }
+    }))
+  }]);
+}
+
+async function buildCheckinDensityTile(z, x, y) {
+  const { densityDays, densityMaxBinZoom, densityMinUsers } = getTileConfig();
+  const since = new Date(Date.now() - densityDays * 24 * 60 * 60 * 1000);
+  const binZoom = Math.min(z + DENSITY_BIN_ZOOM, densityMaxBinZoom);
+  const cell = gridCellExpressions(binZoom);
+
+  // Past the finest bin zoom a bin is larger than the tile: count the whole bin (the ancestor tile at binZoom)
+  const areaZoom = Math.min(z, binZoom);
+  const scale = 2 ** (z - areaZoom);
+  const area = tileToBbox(areaZoom, Math.floor(x / scale), Math.floor(y / scale));
+
+  const cells = await Checkin.aggregate([
+    { $match: { ...bboxGeoFilter(area), timestamp: { $gte: since }, status: { $nin: Checkin.UNCOUNTED_STATUSES } } },
+    { $group: { _id: { x: cell.x, y: cell.y }, count: { $sum: 1 }, users: { $addToSet: '$userId' } } },
+    { $match: { [`users.${densityMinUsers - 1}`]: { $exists: true } } },
+    { $project: { count: 1 } }
+  ]);
+
+  const binsPerTile = 2 ** (binZoom - z);
+  const features = cells
+    // Bin centre in tile extent units
+    .map(entry => ({
+      point: [
+        Math.round(((entry._id.x + 0.5) / binsPerTile - x) * TILE_EXTENT),
+        Math.round(((entry._id.y + 0.5) / binsPerTile - y) * TILE_EXTENT)
+      ],
+      count: entry.count
+    }))
+    // Points exactly on the tile edge can land in a neighbouring tile's bin; large bins are drawn in one tile
+    .filter(({ point: [px, py] }) => px >= 0 && py >= 0 && px < TILE_EXTENT && py < TILE_EXTENT)
+    .map(({ point, count }) => ({ points: [point], properties: { count } }));
+
+  return encodeTile([{ name: 'checkins', extent: TILE_EXTENT, features }]);
+}
+
+/**
+ * Vector tile with a "places" point layer (id, name, category, redemptionEligible, pointsCost)
+ * @returns {Promise<Buffer>}
+ */
+function getPlacesTile(z, x, y) {
+  return cachedTile(`places/${z}/${x}/${y}`, () => buildPlacesTile(z, x, y));
+}
+
+/**
+ * Vector tile with a "checkins" point layer: one point per density bin with a `count`.
+ * Only expires with the cache TTL; check-ins are not invalidated individually.
+ * @returns {Promise<Buffer>}
+ */
+function getCheckinDensityTile(z, x, y) {
+  return cachedTile(`checkins/${z}/${x}/${y}`, () => buildCheckinDensityTile(z, x, y));
+}
+
+/**
+ * Drop cached place tiles showing any of the given locations (including neighbours whose buffer reaches them)
+ * @param {...Object} locations - GeoJSON points; missing values are ignored
+ */
+function invalidatePlaceTiles(...locations) {
+  placesGeneration++;
+  locations
+    .filter(location => location && Array.isArray(location.coordinates))
+    .forEach(({ coordinates: [lng, lat] }) => {
+      const world = lngLatToWorld(lng, lat);
+      for (let z = 0; z <= MAX_TILE_ZOOM; z++) {
+        const size = 2 ** z;
+        const pad = TILE_BUFFER / TILE_EXTENT;
+        const columns = new Set([Math.floor(world.x * size - pad), Math.floor(world.x * size + pad)]);
+        const rows = new Set([Math.floor(world.y * size - pad), Math.floor(world.y * size + pad)]);
+        columns.forEach(x => rows.forEach(y => cache.delete(`places/${z}/${x}/${y}`)));
+      }
+    });
+}
+
+// Drop every cached place tile (e.g. after a change that touches many places)
+function invalidateAllPlaceTiles() {
+  placesGeneration++;
+  [...cache.keys()]
+    .filter(key => key.startsWith('places/'))
+    .forEach(key => cache.delete(key));
+}
+
+module.exports = {
+  getPlacesTile,
+  getCheckinDensityTile,
+  invalidatePlaceTiles,
+  invalidateAllPlaceTiles
+};